@@ -0,0 +1,33 @@
+-- ========================================
+-- AIVORA API Keys Migration
+-- Hashed API keys with scopes, rate limits and daily generation quotas
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id uuid primary key default extensions.uuid_generate_v4(),
+  name text not null,
+
+  -- Only the SHA-256 hash is stored; key_prefix identifies the key in logs and the admin list
+  key_prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null default array['generate', 'read'],
+
+  -- Limits (null = RATE_LIMIT_PER_MINUTE / DAILY_GENERATION_QUOTA defaults)
+  rate_limit_per_minute integer check (rate_limit_per_minute > 0),
+  daily_generation_quota integer check (daily_generation_quota > 0),
+
+  last_used_at timestamp without time zone,
+  revoked_at timestamp without time zone,
+  created_at timestamp without time zone default now()
+);
+
+-- Which key created each job (daily quotas)
+alter table public.generation_jobs
+  add column if not exists api_key_id uuid references public.api_keys(id) on delete set null;
+
+create index if not exists idx_generation_jobs_api_key_created on public.generation_jobs using btree (api_key_id, created_at desc)
+  where api_key_id is not null;
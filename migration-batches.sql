@@ -0,0 +1,40 @@
+-- ========================================
+-- AIVORA Batch Generation Migration
+-- Batch, scene and variation numbering on generation_jobs
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+-- Matches media_generations.batch_id of the job's output
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS batch_id text;
+
+-- Scene = source URL position in the batch request (1-based)
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS scene_number integer;
+
+-- Variation within the scene (1-based)
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS variation_id integer;
+
+-- Index for batch status aggregation
+create index if not exists idx_generation_jobs_batch on public.generation_jobs using btree (batch_id, scene_number, variation_id);
+
+-- One row per POST /api/generate/batch request; batch_id matches generation_jobs.batch_id
+-- and media_generations.batch_id (media_generations.scene_id is "<batch_id>_scene<n>")
+CREATE TABLE IF NOT EXISTS public.batches (
+  batch_id text primary key,
+  created_at timestamp without time zone default now()
+);
+
+ALTER TABLE public.batches
+ADD COLUMN IF NOT EXISTS persona text,
+ADD COLUMN IF NOT EXISTS mode text,
+ADD COLUMN IF NOT EXISTS platform text,
+ADD COLUMN IF NOT EXISTS scene_count integer,
+ADD COLUMN IF NOT EXISTS variations integer,
+ADD COLUMN IF NOT EXISTS job_count integer,
+ADD COLUMN IF NOT EXISTS source text,
+ADD COLUMN IF NOT EXISTS api_key_id uuid;
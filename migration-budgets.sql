@@ -0,0 +1,137 @@
+-- ========================================
+-- AIVORA Generation Budgets Migration
+-- Daily image/video/spend limits per persona and globally, and per-key daily generation quotas,
+-- are counted from generation_jobs (spend also counts prompt previews, generation_usage rows without a job)
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- Requires migration-cost-accounting.sql (estimated_cost_usd, generation_usage) and migration-api-keys.sql (api_key_id)
+-- ===============================================
+
+-- Provider chosen when the job was created (unit price for jobs that haven't run yet)
+alter table public.generation_jobs
+  add column if not exists provider_id text;
+
+create index if not exists idx_generation_jobs_persona_created on public.generation_jobs using btree (persona, created_at desc);
+create index if not exists idx_generation_jobs_created on public.generation_jobs using btree (created_at desc);
+
+-- Cost reserved when the job was created (provider unit price, plus the still for image-to-video
+-- with a generated still); counts toward spend until estimated_cost_usd is recorded
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS reserved_cost_usd numeric(10, 4);
+
+-- Budget held by a request between the check and its job insert (deleted once the jobs exist)
+CREATE TABLE IF NOT EXISTS public.generation_budget_reservations (
+  id uuid primary key default extensions.uuid_generate_v4(),
+  persona text not null,
+  images integer not null default 0,
+  videos integer not null default 0,
+  spend_usd numeric(10, 4) not null default 0,
+  expires_at timestamp without time zone not null,
+  created_at timestamp without time zone default now()
+);
+
+create index if not exists idx_generation_budget_reservations_expires on public.generation_budget_reservations using btree (expires_at);
+
+-- Reservations also count toward the creating key's daily quota
+ALTER TABLE public.generation_budget_reservations
+ADD COLUMN IF NOT EXISTS api_key_id uuid;
+
+-- Earlier signature, without the API key
+drop function if exists public.reserve_generation_budget(text, integer, integer, numeric, jsonb, integer);
+
+-- Check today's (UTC) usage against the limits and reserve the request in one step.
+-- Calls are serialized with an advisory lock, so concurrent requests can't both pass on the same
+-- remaining budget. p_limits: { "persona": { "images", "videos", "spendUsd" }, "global": {...},
+-- "apiKey": { "jobs" } } (null or missing limits are unlimited; a missing scope isn't checked).
+-- Failed and cancelled jobs don't count toward images, videos or jobs. Prompt previews count toward
+-- global and persona spend only.
+-- Returns { reserved, reservation_id, usage: { <scope>: { images, videos, jobs, spendUsd } } } with usage before the request
+create or replace function public.reserve_generation_budget(
+  p_persona text,
+  p_images integer,
+  p_videos integer,
+  p_spend_usd numeric,
+  p_limits jsonb,
+  p_ttl_seconds integer default 300,
+  p_api_key_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_now timestamp := timezone('utc', now());
+  v_since timestamp := date_trunc('day', timezone('utc', now()));
+  v_usage jsonb := '{}'::jsonb;
+  v_scope text;
+  v_limits jsonb;
+  v_images integer;
+  v_videos integer;
+  v_spend numeric;
+  v_reserved boolean := true;
+  v_reservation_id uuid;
+begin
+  perform pg_advisory_xact_lock(hashtext('aivora_generation_budget'));
+
+  delete from public.generation_budget_reservations where expires_at < v_now;
+
+  for v_scope, v_limits in select key, value from jsonb_each(p_limits) loop
+    select
+      count(*) filter (where mode = 'image' and status not in ('failed', 'cancelled')),
+      count(*) filter (where mode = 'video' and status not in ('failed', 'cancelled')),
+      coalesce(sum(coalesce(
+        estimated_cost_usd,
+        case when status in ('pending', 'processing') then reserved_cost_usd end,
+        0
+      )), 0)
+    into v_images, v_videos, v_spend
+    from public.generation_jobs
+    where created_at >= v_since
+      and (v_scope = 'global'
+        or (v_scope = 'persona' and persona = p_persona)
+        or (v_scope = 'apiKey' and api_key_id = p_api_key_id));
+
+    -- Prompt previews: LLM calls recorded without a job
+    select v_spend + coalesce(sum(estimated_cost_usd), 0)
+    into v_spend
+    from public.generation_usage
+    where job_id is null
+      and created_at >= v_since
+      and (v_scope = 'global' or (v_scope = 'persona' and persona = p_persona));
+
+    select
+      v_images + coalesce(sum(images), 0),
+      v_videos + coalesce(sum(videos), 0),
+      v_spend + coalesce(sum(spend_usd), 0)
+    into v_images, v_videos, v_spend
+    from public.generation_budget_reservations
+    where v_scope = 'global'
+      or (v_scope = 'persona' and persona = p_persona)
+      or (v_scope = 'apiKey' and api_key_id = p_api_key_id);
+
+    v_usage := v_usage || jsonb_build_object(v_scope, jsonb_build_object(
+      'images', v_images,
+      'videos', v_videos,
+      'jobs', v_images + v_videos,
+      'spendUsd', round(v_spend, 2)
+    ));
+
+    if (p_images > 0 and jsonb_typeof(v_limits -> 'images') = 'number' and v_images + p_images > (v_limits ->> 'images')::numeric)
+      or (p_videos > 0 and jsonb_typeof(v_limits -> 'videos') = 'number' and v_videos + p_videos > (v_limits ->> 'videos')::numeric)
+      or (p_images + p_videos > 0 and jsonb_typeof(v_limits -> 'jobs') = 'number' and v_images + v_videos + p_images + p_videos > (v_limits ->> 'jobs')::numeric)
+      or (p_spend_usd > 0 and jsonb_typeof(v_limits -> 'spendUsd') = 'number' and round(v_spend + p_spend_usd, 2) > (v_limits ->> 'spendUsd')::numeric)
+    then
+      v_reserved := false;
+    end if;
+  end loop;
+
+  if v_reserved then
+    insert into public.generation_budget_reservations (persona, api_key_id, images, videos, spend_usd, expires_at)
+    values (p_persona, p_api_key_id, p_images, p_videos, p_spend_usd, v_now + make_interval(secs => p_ttl_seconds))
+    returning id into v_reservation_id;
+  end if;
+
+  return jsonb_build_object('reserved', v_reserved, 'reservation_id', v_reservation_id, 'usage', v_usage);
+end;
+$$;
@@ -0,0 +1,50 @@
+-- ========================================
+-- AIVORA Cost Accounting Migration
+-- One row per billable provider call, with an estimated cost from the price table
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS public.generation_usage (
+  id uuid primary key default extensions.uuid_generate_v4(),
+  job_id text not null references public.generation_jobs(id) on delete cascade,
+
+  -- Copied from the job so spend reports need no joins
+  persona text,
+  platform text,
+
+  -- Provider call
+  provider text not null,
+  model text not null,
+  operation text not null,
+  resolution text,
+
+  -- Billable units
+  input_tokens integer not null default 0,
+  output_tokens integer not null default 0,
+  input_images integer not null default 0,
+  images integer not null default 0,
+  video_seconds numeric(8, 1),
+
+  -- Null when the model is missing from the price table
+  estimated_cost_usd numeric(12, 6),
+
+  created_at timestamp without time zone default now()
+);
+
+create index if not exists idx_generation_usage_job on public.generation_usage using btree (job_id);
+create index if not exists idx_generation_usage_created on public.generation_usage using btree (created_at desc);
+create index if not exists idx_generation_usage_persona_created on public.generation_usage using btree (persona, created_at desc);
+
+-- Job total (sum of its usage rows), written when the job finishes
+alter table public.generation_jobs
+  add column if not exists estimated_cost_usd numeric(12, 6);
+
+-- Prompt previews (POST /api/prompts/preview) record their LLM calls without a job
+alter table public.generation_usage
+  alter column job_id drop not null;
+
+create index if not exists idx_generation_usage_previews_created on public.generation_usage using btree (created_at desc)
+  where job_id is null;
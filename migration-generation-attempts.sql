@@ -0,0 +1,29 @@
+-- ========================================
+-- AIVORA Generation Attempts Migration
+-- One row per provider attempt (retries and fallbacks)
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS public.generation_attempts (
+  id uuid primary key default extensions.uuid_generate_v4(),
+  job_id text not null references public.generation_jobs(id) on delete cascade,
+
+  -- Attempt details
+  attempt_number integer not null,
+  model text not null,
+  status text not null check (status in ('succeeded', 'failed')),
+
+  -- Failure details
+  error_message text,
+  error_status integer,
+  retryable boolean,
+
+  started_at timestamp without time zone,
+  finished_at timestamp without time zone default now()
+);
+
+create index if not exists idx_generation_attempts_job on public.generation_attempts using btree (job_id, attempt_number);
+create index if not exists idx_generation_attempts_model on public.generation_attempts using btree (model, status);
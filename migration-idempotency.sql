@@ -0,0 +1,26 @@
+-- ========================================
+-- AIVORA Idempotency Keys Migration
+-- Deduplicate retried / double-clicked generation requests
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+-- "key:<api key id>:<mode>:<Idempotency-Key header>" (batches: "batch:..."),
+-- or "auto:<api key id>:<mode>:<sha256 of request content>"
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS idempotency_key text;
+
+-- sha256 of the request content, to reject a key reused for a different request
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS idempotency_request_hash text;
+
+-- Index for duplicate lookups
+create index if not exists idx_generation_jobs_idempotency on public.generation_jobs using btree (idempotency_key, created_at desc);
+
+-- One pending/processing job per key (per scene and variation for batches), so concurrent
+-- duplicates from different processes can't both insert; the API returns the first job
+-- (scene_number and variation_id come from migration-batches.sql)
+create unique index if not exists idx_generation_jobs_idempotency_live on public.generation_jobs using btree (idempotency_key, coalesce(scene_number, 0), coalesce(variation_id, 0))
+where idempotency_key is not null and status in ('pending', 'processing');
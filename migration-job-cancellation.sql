@@ -0,0 +1,15 @@
+-- ========================================
+-- AIVORA Job Cancellation Migration
+-- Allow 'cancelled' as a generation_jobs status
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+ALTER TABLE public.generation_jobs
+DROP CONSTRAINT IF EXISTS generation_jobs_status_check;
+
+ALTER TABLE public.generation_jobs
+ADD CONSTRAINT generation_jobs_status_check
+CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled'));
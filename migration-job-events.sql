@@ -0,0 +1,30 @@
+-- ========================================
+-- AIVORA Job Progress Events Migration
+-- Structured progress events streamed over SSE
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+-- ============================================
+-- 1. CREATE: generation_job_events (Pipeline progress)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.generation_job_events (
+  id bigserial primary key,
+  job_id text not null references public.generation_jobs(id) on delete cascade,
+
+  -- Pipeline step (queued, download, reverse_prompt, polling, completed, ...)
+  step text not null,
+  progress integer check (progress between 0 and 100),
+  message text,
+
+  -- Step details (poll count, provider status, model, ...)
+  data jsonb default '{}',
+
+  created_at timestamp without time zone default now()
+);
+
+-- Index for SSE catch-up queries
+create index if not exists idx_generation_job_events_job on public.generation_job_events using btree (job_id, id);
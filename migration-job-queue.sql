@@ -0,0 +1,61 @@
+-- ========================================
+-- AIVORA Durable Job Queue Migration
+-- Claim/lease columns for generation_jobs
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+-- ============================================
+-- 1. MODIFY: generation_jobs (Add claim/lease tracking)
+-- ============================================
+
+-- Number of times a worker has claimed this job
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS attempts integer not null default 0;
+
+-- Give up after this many claims (protects against crash loops)
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS max_attempts integer not null default 3;
+
+-- Worker currently holding the job (hostname:pid:slot)
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS locked_by text;
+
+-- Lease expiry; a processing job past its lease is considered orphaned
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS lease_expires_at timestamp without time zone;
+
+ALTER TABLE public.generation_jobs
+ADD COLUMN IF NOT EXISTS started_at timestamp without time zone;
+
+-- Index for claim queries (oldest pending job per mode)
+create index if not exists idx_generation_jobs_queue on public.generation_jobs using btree (status, mode, created_at);
+
+-- Index for orphan recovery
+create index if not exists idx_generation_jobs_lease on public.generation_jobs using btree (status, lease_expires_at);
+
+-- ============================================
+-- 2. MIGRATE EXISTING DATA: Fail stuck fire-and-forget jobs
+-- ============================================
+
+-- Jobs left "processing" by the old in-process workers never had a lease
+-- They may be days old, so fail them instead of spending credits on a re-run
+update public.generation_jobs
+set status = 'failed',
+    error_message = 'Interrupted by server restart before durable queue migration'
+where status = 'processing'
+  and lease_expires_at is null;
+
+-- ============================================
+-- COMPLETE: Media Vault
+-- ============================================
+
+-- Verify
+select
+  'generation_jobs' as table_name,
+  status,
+  count(*) as count
+from public.generation_jobs
+group by status;
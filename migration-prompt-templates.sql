@@ -0,0 +1,44 @@
+-- ========================================
+-- AIVORA Prompt Templates Migration
+-- Versioned LLM prompt templates (reverse prompting, prompt editing), edited via /api/prompt-templates
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- Requires migration-api-keys.sql (api_keys)
+-- ===============================================
+
+-- One row per template that has been edited; version 1 of every template is built into the server
+CREATE TABLE IF NOT EXISTS public.prompt_templates (
+  name text primary key,
+  active_version integer not null default 1,
+  latest_version integer not null default 1,
+  updated_at timestamp without time zone default now()
+);
+
+CREATE TABLE IF NOT EXISTS public.prompt_template_versions (
+  id uuid primary key default extensions.uuid_generate_v4(),
+  template_name text not null,
+
+  -- Starts at 2 (1 is the built-in version)
+  version integer not null check (version >= 2),
+
+  -- {{variable}} placeholders, see src/config/prompt-templates.js
+  system_prompt text,
+  body text not null,
+  notes text,
+
+  -- Key that created the version
+  api_key_id uuid references public.api_keys(id) on delete set null,
+
+  created_at timestamp without time zone default now(),
+
+  unique (template_name, version)
+);
+
+-- Template versions used for each job: { "reverse-prompt-sfw": 1, "edit-prompt-mythomax": 3 }
+alter table public.generation_jobs
+  add column if not exists prompt_templates jsonb;
+
+create index if not exists idx_generation_jobs_prompt_templates on public.generation_jobs using gin (prompt_templates)
+  where prompt_templates is not null;
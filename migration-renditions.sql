@@ -0,0 +1,36 @@
+-- ========================================
+-- AIVORA Image Renditions Migration
+-- Platform crops (4:5, 9:16, 1:1), thumbnails and compressed copies of each generated image
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS public.media_renditions (
+  id uuid primary key default extensions.uuid_generate_v4(),
+  media_generation_id uuid not null references public.media_generations(id) on delete cascade,
+  job_id text references public.generation_jobs(id) on delete set null,
+
+  -- Crop variants match content_variants.crop_type and schedule_master.crop_variant
+  variant text not null check (variant in ('4:5', '9:16', '1:1', 'thumbnail', 'jpeg', 'webp')),
+  kind text not null check (kind in ('crop', 'thumbnail', 'compressed')),
+  format text not null check (format in ('jpeg', 'webp')),
+
+  width integer not null,
+  height integer not null,
+  bytes integer not null,
+
+  -- attention (saliency) or entropy, for crops
+  crop_strategy text,
+
+  -- Stored beside the original in the aivora-gallery bucket
+  storage_path text not null,
+  url text not null,
+
+  created_at timestamp without time zone default now(),
+
+  unique (media_generation_id, variant)
+);
+
+create index if not exists idx_media_renditions_job on public.media_renditions using btree (job_id);
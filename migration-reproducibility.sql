@@ -0,0 +1,24 @@
+-- ========================================
+-- AIVORA Reproducible Generations Migration
+-- Stores the exact provider request of each job so it can be replayed (POST /api/generate/:jobId/rerun)
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- Requires migration-budgets.sql (provider_id)
+-- ===============================================
+
+-- What was sent to the provider: { provider, model, prompt, negativePrompt, seed, size,
+-- guidanceScale, sourceUrl, referenceUrls, ... } (written when the job completes)
+alter table public.generation_jobs
+  add column if not exists provider_request jsonb;
+
+-- Reruns: the job being replayed and the request to send (its provider_request plus overrides)
+alter table public.generation_jobs
+  add column if not exists rerun_of text references public.generation_jobs (id) on delete set null;
+
+alter table public.generation_jobs
+  add column if not exists replay_request jsonb;
+
+create index if not exists idx_generation_jobs_rerun_of on public.generation_jobs using btree (rerun_of)
+  where rerun_of is not null;
@@ -0,0 +1,20 @@
+-- ========================================
+-- AIVORA Safety Classification Migration
+-- Classifier scores of each job's output; media_generations.nsfw_level is set from them
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+-- Classification of the final output, made before upload:
+-- { "classifier", "model", "categories": { "nsfw": 0.97, ... }, "frames"?, "nsfwLevel",
+--   "blocked", "violations": [{ "rule", "category", "score", "threshold" }], "error"?, "classifiedAt" }
+-- Blocked outputs are never uploaded: the job is failed and keeps the classification here
+-- Null when classification is turned off (SAFETY_CLASSIFIER=none) and for older jobs
+alter table public.generation_jobs
+  add column if not exists safety_classification jsonb;
+
+-- Review of blocked outputs
+create index if not exists idx_generation_jobs_safety_blocked on public.generation_jobs (created_at desc)
+  where (safety_classification->>'blocked')::boolean;
@@ -0,0 +1,18 @@
+-- ========================================
+-- AIVORA Scene Analysis Migration
+-- Structured reverse prompt stored on each job, searchable via /api/media/search
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+-- Source image analysis the prompt was built from (after settings.scene overrides):
+-- { "subject", "clothing", "pose", "setting", "lighting", "camera", "technical", "style" }
+-- Null for jobs without a structured reverse prompt (video-to-video, unstructured replies, older jobs)
+alter table public.generation_jobs
+  add column if not exists scene_analysis jsonb;
+
+-- Search scans completed, analyzed jobs newest first
+create index if not exists idx_generation_jobs_scene_search on public.generation_jobs (created_at desc)
+  where status = 'completed' and scene_analysis is not null;
@@ -0,0 +1,53 @@
+-- ========================================
+-- AIVORA Webhook Deliveries Migration
+-- Stores every webhook delivery and attempt so failed deliveries can be replayed
+-- ========================================
+
+-- ===============================================
+-- RUN IN AIVORA MEDIA VAULT SUPABASE
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id uuid primary key default extensions.uuid_generate_v4(),
+
+  -- What was sent, and where
+  event text not null,
+  endpoint text not null,
+  job_id text references public.generation_jobs(id) on delete set null,
+  payload jsonb not null,
+
+  -- Delivery state
+  status text not null default 'pending' check (status in ('pending', 'retrying', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  delivered_at timestamp without time zone,
+
+  created_at timestamp without time zone default now(),
+  updated_at timestamp without time zone default now()
+);
+
+create index if not exists idx_webhook_deliveries_status on public.webhook_deliveries using btree (status, created_at desc);
+
+-- When the next attempt is due (swept by the queue workers); null once delivered or failed
+ALTER TABLE public.webhook_deliveries
+ADD COLUMN IF NOT EXISTS next_attempt_at timestamp without time zone;
+
+-- Index for the retry sweep
+create index if not exists idx_webhook_deliveries_due on public.webhook_deliveries using btree (next_attempt_at)
+where status in ('pending', 'retrying');
+create index if not exists idx_webhook_deliveries_job on public.webhook_deliveries using btree (job_id);
+
+CREATE TABLE IF NOT EXISTS public.webhook_delivery_attempts (
+  id uuid primary key default extensions.uuid_generate_v4(),
+  delivery_id uuid not null references public.webhook_deliveries(id) on delete cascade,
+
+  attempt_number integer not null,
+  status_code integer,
+  response_body text,
+  error_message text,
+  duration_ms integer,
+
+  attempted_at timestamp without time zone default now()
+);
+
+create index if not exists idx_webhook_delivery_attempts_delivery on public.webhook_delivery_attempts using btree (delivery_id, attempt_number);
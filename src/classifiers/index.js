@@ -0,0 +1,12 @@
+/**
+ * Built-in output safety classifiers
+ * To add one: implement the classifier interface (see registry.js), register it here
+ * and select it with SAFETY_CLASSIFIER
+ */
+
+import { registerClassifier } from './registry.js';
+import localClassifier from './local.classifier.js';
+
+registerClassifier(localClassifier);
+
+export { registerClassifier, getClassifier, listClassifiers } from './registry.js';
@@ -0,0 +1,65 @@
+/**
+ * Local image classifier (transformers.js, CPU)
+ *
+ * Runs an ONNX image-classification model in-process, no external API.
+ * The model (SAFETY_LOCAL_MODEL) is downloaded from the Hugging Face Hub on first use and cached.
+ * @huggingface/transformers is optional: install it to use this classifier
+ * (npm install @huggingface/transformers); workers won't start with this classifier without it
+ */
+
+import { getSafetyConfig } from '../config/safety.js';
+
+// model id -> Promise<pipeline>, loaded once per process
+const pipelines = new Map();
+
+async function importTransformers() {
+  try {
+    return await import('@huggingface/transformers');
+  } catch {
+    throw new Error('The local safety classifier needs @huggingface/transformers (npm install @huggingface/transformers)');
+  }
+}
+
+async function loadPipeline(model) {
+  const transformers = await importTransformers();
+
+  console.log(`[Safety] Loading local model ${model}`);
+  const classifier = await transformers.pipeline('image-classification', model, { device: 'cpu' });
+  return { classifier, RawImage: transformers.RawImage };
+}
+
+function getPipeline(model) {
+  if (!pipelines.has(model)) {
+    // Drop failed loads so the next output tries again
+    const loading = loadPipeline(model).catch(error => {
+      pipelines.delete(model);
+      throw error;
+    });
+    pipelines.set(model, loading);
+  }
+  return pipelines.get(model);
+}
+
+export default {
+  id: 'local',
+  name: 'Local NSFW model',
+
+  async check() {
+    await importTransformers();
+  },
+
+  async classify(image, { signal } = {}) {
+    const { localModel } = getSafetyConfig();
+    const { classifier, RawImage } = await getPipeline(localModel);
+    signal?.throwIfAborted();
+
+    const input = await RawImage.fromBlob(new Blob([image]));
+    const labelCount = Object.keys(classifier.model.config.id2label || {}).length || undefined;
+    const scores = await classifier(input, { top_k: labelCount });
+
+    return {
+      model: localModel,
+      categories: Object.fromEntries(scores.map(({ label, score }) => [label.toLowerCase(), score]))
+    };
+  }
+};
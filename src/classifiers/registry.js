@@ -0,0 +1,39 @@
+/**
+ * Output safety classifier registry
+ *
+ * Every classifier implements the same interface:
+ * {
+ *   id: 'local',                       // SAFETY_CLASSIFIER value
+ *   name: 'Local NSFW model',          // display name (progress events, logs)
+ *   classify(image, { signal }) => { model, categories: { nsfw: 0.97, sfw: 0.03 } },
+ *   check() => void                    // optional: throws when the classifier can't run (checked at worker startup)
+ * }
+ *
+ * image is a Buffer with one still image (PNG or JPEG; videos are passed frame by frame).
+ * categories maps each label the classifier knows to a 0-1 score; thresholds in
+ * config/safety.js refer to these labels (lowercased)
+ */
+
+const classifiers = new Map();
+
+const REQUIRED_FIELDS = ['id', 'name', 'classify'];
+
+/**
+ * Register a classifier (replaces any classifier with the same id)
+ */
+export function registerClassifier(classifier) {
+  const missing = REQUIRED_FIELDS.filter(field => !classifier[field]);
+  if (missing.length > 0) {
+    throw new Error(`Classifier ${classifier.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+
+  classifiers.set(classifier.id, classifier);
+}
+
+export function getClassifier(id) {
+  return classifiers.get(id) || null;
+}
+
+export function listClassifiers() {
+  return [...classifiers.values()];
+}
@@ -0,0 +1,64 @@
+// ==========================================
+// DAILY GENERATION BUDGETS
+// ==========================================
+
+/**
+ * Limits per UTC day. Each limit is a number, or null for unlimited:
+ * { images, videos, spendUsd }
+ *
+ * - GLOBAL_DAILY_IMAGE_LIMIT / GLOBAL_DAILY_VIDEO_LIMIT / GLOBAL_DAILY_SPEND_USD: all personas together
+ * - PERSONA_DAILY_IMAGE_LIMIT / PERSONA_DAILY_VIDEO_LIMIT / PERSONA_DAILY_SPEND_USD: default for each persona
+ * - PERSONA_BUDGETS (JSON): per-persona overrides, e.g. {"arisa":{"images":150,"videos":20,"spendUsd":40}}
+ *   (use null to lift a default limit for one persona)
+ * - BUDGET_WARNING_THRESHOLD: share of a limit that triggers a warning (default 0.8)
+ *
+ * Read at call time (dotenv loads after imports)
+ */
+export function getBudgetConfig() {
+  return {
+    warningThreshold: parseFloat(process.env.BUDGET_WARNING_THRESHOLD || '0.8'),
+    global: {
+      images: parseLimit(process.env.GLOBAL_DAILY_IMAGE_LIMIT),
+      videos: parseLimit(process.env.GLOBAL_DAILY_VIDEO_LIMIT),
+      spendUsd: parseLimit(process.env.GLOBAL_DAILY_SPEND_USD)
+    },
+    personaDefaults: {
+      images: parseLimit(process.env.PERSONA_DAILY_IMAGE_LIMIT),
+      videos: parseLimit(process.env.PERSONA_DAILY_VIDEO_LIMIT),
+      spendUsd: parseLimit(process.env.PERSONA_DAILY_SPEND_USD)
+    },
+    personas: parsePersonaBudgets(process.env.PERSONA_BUDGETS)
+  };
+}
+
+/**
+ * Effective limits for one persona (defaults merged with its overrides)
+ */
+export function getPersonaLimits(config, persona) {
+  return { ...config.personaDefaults, ...config.personas[persona?.toLowerCase()] };
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+
+function parsePersonaBudgets(raw) {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const budgets = JSON.parse(raw);
+    return Object.fromEntries(Object.entries(budgets).map(([persona, limits]) => [
+      persona.toLowerCase(),
+      Object.fromEntries(Object.entries(limits).map(([name, value]) => [name, parseLimit(value)]))
+    ]));
+  } catch (error) {
+    console.warn(`[Budget] Ignoring invalid PERSONA_BUDGETS: ${error.message}`);
+    return {};
+  }
+}
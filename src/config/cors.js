@@ -0,0 +1,36 @@
+// ==========================================
+// CORS
+// ==========================================
+
+// Chrome extension pages, allowed when CORS_ORIGIN is unset
+const EXTENSION_ORIGIN = /^chrome-extension:\/\/[a-p]{32}$/;
+
+/**
+ * - CORS_ORIGIN: comma-separated browser origins allowed to call the API,
+ *   e.g. chrome-extension://<extension id>,https://dashboard.example.com ('*' allows any origin)
+ *   Default: Chrome extension pages only
+ *
+ * Read at call time (dotenv loads after imports)
+ */
+export function getCorsConfig() {
+  const origins = (process.env.CORS_ORIGIN || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  return {
+    anyOrigin: origins.includes('*'),
+    origins
+  };
+}
+
+/**
+ * Whether a browser origin may call the API
+ * Requests without an Origin header (curl, n8n, server-to-server) aren't subject to CORS
+ */
+export function isOriginAllowed(origin) {
+  const { anyOrigin, origins } = getCorsConfig();
+  if (anyOrigin) return true;
+  if (origins.length === 0) return EXTENSION_ORIGIN.test(origin);
+  return origins.includes(origin);
+}
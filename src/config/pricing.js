@@ -0,0 +1,128 @@
+// ==========================================
+// PROVIDER PRICE TABLE (USD, estimates)
+// ==========================================
+
+/**
+ * Unit prices per provider model id (the model string sent to the provider API)
+ *
+ * - inputPerMillionTokens / outputPerMillionTokens: LLM and Gemini token pricing
+ * - perInputImage: images sent to a vision model
+ * - perImage: images generated
+ * - perVideoSecond: seconds of video generated
+ * - defaultVideoSeconds: billed length when the output duration can't be read
+ * - byResolution: overrides of the above for a given resolution ('4K', '720p', ...)
+ *
+ * Override or extend with PRICE_TABLE (JSON, merged per model), e.g.
+ * PRICE_TABLE={"seedream-v4.5-edit":{"perImage":0.035}}
+ */
+const DEFAULT_PRICE_TABLE = {
+  // OpenRouter (see OPENROUTER_MODELS in prompt.service.js)
+  'meta-llama/llama-3.2-11b-vision-instruct': {
+    inputPerMillionTokens: 0.049,
+    outputPerMillionTokens: 0.049,
+    perInputImage: 0.000079
+  },
+  'google/gemma-3-4b-it:free': {
+    inputPerMillionTokens: 0.01,
+    outputPerMillionTokens: 0.01
+  },
+  'gryphe/mythomax-l2-13b': {
+    inputPerMillionTokens: 0.10,
+    outputPerMillionTokens: 0.10
+  },
+
+  // Google AI Studio
+  'gemini-3-pro-image-preview': {
+    inputPerMillionTokens: 2.00,
+    perImage: 0.134,
+    byResolution: { '4K': { perImage: 0.24 } }
+  },
+
+  // Wavespeed
+  'seedream-v4.5-edit': { perImage: 0.04 },
+  'seedream-v4.0-edit': { perImage: 0.027 },
+  'wan-2.2-animate': {
+    perVideoSecond: 0.04,
+    defaultVideoSeconds: 10,
+    byResolution: { '720p': { perVideoSecond: 0.08 } }
+  },
+  'kling-v2.5-turbo-pro': { perVideoSecond: 0.07 },
+  'veo3.1': { perVideoSecond: 0.20 }
+};
+
+/**
+ * Price table with PRICE_TABLE overrides applied
+ * Read at call time (dotenv loads after imports)
+ */
+export function getPriceTable() {
+  const raw = process.env.PRICE_TABLE;
+  if (!raw) {
+    return DEFAULT_PRICE_TABLE;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    console.warn(`[Pricing] Ignoring invalid PRICE_TABLE: ${error.message}`);
+    return DEFAULT_PRICE_TABLE;
+  }
+
+  const table = { ...DEFAULT_PRICE_TABLE };
+  for (const [model, prices] of Object.entries(overrides)) {
+    table[model] = { ...table[model], ...prices };
+  }
+  return table;
+}
+
+/**
+ * Prices for a model, with any resolution-specific overrides applied
+ * Returns null for models missing from the table
+ */
+export function getModelPrices(model, resolution = null) {
+  const prices = getPriceTable()[model];
+  if (!prices) {
+    return null;
+  }
+
+  const { byResolution, ...base } = prices;
+  return { ...base, ...(resolution && byResolution?.[resolution]) };
+}
+
+// ==========================================
+// PER-JOB UNIT PRICES (USD, estimates)
+// ==========================================
+
+/**
+ * Flat estimated cost of one job per provider id, used before a job runs
+ * (daily spend caps in budget.service.js). Actual costs come from the price table above.
+ * 'prompt-preview' is one POST /api/prompts/preview (reverse prompt and prompt edit on OpenRouter).
+ *
+ * Override with UNIT_PRICES (JSON), e.g. UNIT_PRICES={"veo-3.1":1.2}
+ */
+const DEFAULT_UNIT_PRICES = {
+  'gemini-3-pro-image': 0.14,
+  'seedream-4.0-edit': 0.03,
+  'seedream-4.5-edit': 0.045,
+  'wan-2.2-animate': 0.80,      // ~10 s at 720p
+  'kling-2.5': 0.35,            // 5 s
+  'veo-3.1': 1.60,              // 8 s, no audio
+  'prompt-preview': 0.01        // held while the OpenRouter calls run, actual cost recorded after
+};
+
+/**
+ * Estimated cost of one job run by a provider (0 for unknown providers)
+ */
+export function getUnitPrice(providerId) {
+  let prices = DEFAULT_UNIT_PRICES;
+
+  if (process.env.UNIT_PRICES) {
+    try {
+      prices = { ...DEFAULT_UNIT_PRICES, ...JSON.parse(process.env.UNIT_PRICES) };
+    } catch (error) {
+      console.warn(`[Pricing] Ignoring invalid UNIT_PRICES: ${error.message}`);
+    }
+  }
+
+  return prices[providerId] ?? 0;
+}
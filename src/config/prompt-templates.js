@@ -0,0 +1,227 @@
+// ==========================================
+// PROMPT TEMPLATES (built-in versions)
+// ==========================================
+
+/**
+ * LLM prompts used to build generation prompts (see services/prompt-template.service.js)
+ *
+ * Each template has a system prompt (or null) and a body. The bodies here are version 1;
+ * newer versions are stored in prompt_template_versions and edited through /api/prompt-templates.
+ *
+ * Bodies and system prompts use {{variable}} placeholders, or {{variable|fallback}} to fall back
+ * when the value is empty. A template can only use the variables it lists.
+ */
+
+// Keys of the structured reverse prompt (generation_jobs.scene_analysis) and their labels
+// in the text description given to the edit templates
+export const SCENE_FIELDS = {
+  subject: 'Subject(s)',
+  clothing: 'Clothing & Accessories',
+  pose: 'Pose & Body Language',
+  setting: 'Setting/Location',
+  lighting: 'Lighting & Atmosphere',
+  camera: 'Camera & Composition',
+  technical: 'Technical Details',
+  style: 'Style & Aesthetic'
+};
+
+// Variables available to edit templates
+export const PROMPT_TEMPLATE_VARIABLES = {
+  reversePrompt: 'Description of the source image (from the reverse prompt)',
+  sceneSubject: 'Source image subject(s)',
+  sceneClothing: 'Source image clothing and accessories',
+  scenePose: 'Source image pose and body language',
+  sceneSetting: 'Source image setting/location',
+  sceneLighting: 'Source image lighting and atmosphere',
+  sceneCamera: 'Source image camera and composition',
+  sceneTechnical: 'Source image technical details',
+  sceneStyle: 'Source image style and aesthetic',
+  persona: 'Persona name',
+  physicalTraits: 'Hair, eyes, skin and face lines from the persona profile (empty without physical traits)',
+  hairColor: 'Persona hair color',
+  hairStyle: 'Persona hair style',
+  eyeColor: 'Persona eye color',
+  skinTone: 'Persona skin tone',
+  faceShape: 'Persona face shape',
+  style: 'Persona style and aesthetic',
+  stylePrompt: 'Style preset prompt fragment (settings.style), also appended to the final prompt',
+  referenceImages: 'One line per image sent with the prompt, labelled by role',
+  referenceInstruction: 'Which images to use for the face and for the body',
+  referenceCount: 'Number of reference images',
+  faceCount: 'Number of face references',
+  bodyCount: 'Number of body references'
+};
+
+const EDIT_VARIABLES = Object.keys(PROMPT_TEMPLATE_VARIABLES);
+
+export const PROMPT_TEMPLATES = {
+  // Detailed reverse prompt following Gemini prompting guide
+  // Include photography terms: camera angles, lens types, lighting, fine details
+  // Reverse-prompt templates must ask for a JSON object with the SCENE_FIELDS keys (utils/scene.js)
+  'reverse-prompt-sfw': {
+    description: 'Source image analysis for SFW jobs (Llama 3.2 11B Vision)',
+    variables: [],
+    system: null,
+    body: `You are analyzing an image for AI image generation. Describe this image in extreme detail as a JSON object with these keys:
+
+- "subject": Person/people - age, gender, appearance, facial features, hair, skin tone, body type
+- "clothing": Exact colors, fabrics, styles, patterns, how clothing fits, any accessories
+- "pose": Body position, gestures, expression, posture, stance
+- "setting": Environment, background elements, props, objects, architectural details
+- "lighting": Light source type (natural/artificial), direction, intensity, color temperature, mood
+- "camera": Shot type (close-up, portrait, full body), camera angle (eye-level, high angle, low angle), framing, depth of field
+- "technical": Any visible textures, materials, reflections, shadows
+- "style": Overall visual style, color palette, era, artistic influences
+
+Each value is a detailed description written as plain text.
+
+Use photography terminology: mention specific lens types (e.g., "85mm portrait lens", "wide-angle"), lighting setups (e.g., "golden hour", "softbox", "three-point lighting"), and composition techniques (e.g., "bokeh", "depth of field", "rule of thirds"). Be detailed but family-friendly.
+
+Reply with only the JSON object, without markdown or any other text.`
+  },
+
+  'reverse-prompt-nsfw': {
+    description: 'Source image analysis for NSFW jobs (Llama 3.2 11B Vision)',
+    variables: [],
+    system: null,
+    body: `You are analyzing an image for AI image generation. Describe this image in extreme detail as a JSON object with these keys:
+
+- "subject": Person/people - age, gender, appearance, facial features, hair, skin tone, body type
+- "clothing": Exact colors, fabrics, styles, patterns, how clothing fits, any accessories
+- "pose": Body position, gestures, expression, posture, stance
+- "setting": Environment, background elements, props, objects, architectural details
+- "lighting": Light source type (natural/artificial), direction, intensity, color temperature, mood
+- "camera": Shot type (close-up, portrait, full body), camera angle (eye-level, high angle, low angle), framing, depth of field
+- "technical": Any visible textures, materials, reflections, shadows
+- "style": Overall visual style, color palette, era, artistic influences
+
+Each value is a detailed description written as plain text.
+
+Be explicit and detailed. Include any NSFW elements if present with precise anatomical and descriptive language.
+
+Reply with only the JSON object, without markdown or any other text.`
+  },
+
+  // Follows Gemini's recommended template structure from the official docs
+  'edit-prompt-gemma': {
+    description: 'SFW prompt editing for Gemini (Gemma 3 4B)',
+    variables: EDIT_VARIABLES,
+    system: 'You are an expert prompt editor for Gemini image generation. You follow Gemini\'s official template structure: shot type + subject + action + environment + lighting + mood + camera/lens + textures.',
+    body: `You are an expert prompt editor for Gemini image generation. Follow Gemini's recommended template structure exactly.
+
+SOURCE IMAGE DESCRIPTION:
+{{reversePrompt}}
+
+TARGET CHARACTER APPEARANCE:
+{{physicalTraits|Standard female appearance}}
+
+STYLE & AESTHETIC:
+{{style|Natural, photorealistic style}}
+
+REFERENCE IMAGES:
+{{referenceImages}}
+
+FOLLOW GEMINI'S TEMPLATE STRUCTURE:
+
+Start with: "A photorealistic [shot type] of [subject], [action or expression], set in [environment]."
+
+Then add: "The scene is illuminated by [lighting description], creating a [mood] atmosphere."
+
+Then add: "Captured with a [camera/lens details], emphasizing [key textures and details]."
+
+Finally add: "{{referenceInstruction}} Preserve all other elements from the original scene exactly."
+
+EXAMPLE GEMINI PROMPT:
+"A photorealistic close-up portrait of an elderly Japanese ceramicist with deep, sun-etched wrinkles and a warm, knowing smile. He is carefully inspecting a freshly glazed tea bowl. The setting is his rustic, sun-drenched workshop. The scene is illuminated by soft, golden hour light streaming through a window, highlighting the fine texture of the clay. Captured with an 85mm portrait lens, resulting in a soft, blurred background (bokeh). The overall mood is serene and masterful."
+
+YOUR TASK:
+Rewrite the source image description into a prompt following this exact structure. Use photography terms like "85mm portrait lens", "golden hour", "bokeh", "soft diffused lighting", "three-point setup", "wide-angle", "macro", "depth of field".
+
+IMPORTANT RULES:
+- Follow the 4-part template structure exactly
+- Write in natural, flowing paragraphs - NOT keyword lists
+- Keep the original outfit, pose, and background - only replace the face using the face reference images
+- Use the body reference images (if any) for body proportions
+- DO NOT mention character names or backstory
+- Output ONLY the final prompt
+
+FINAL PROMPT:`
+  },
+
+  // Seedream 4.5 Edit needs extremely detailed and explicit prompts for NSFW content
+  'edit-prompt-mythomax': {
+    description: 'Prompt editing for Gemini and Seedream (MythoMax L2 13B)',
+    variables: EDIT_VARIABLES,
+    system: 'You are an expert prompt editor for NSFW AI image generation and adult content. You write extremely detailed, explicit prompts for Seedream 4.5 Edit. You use precise anatomical terminology and never shy away from explicit descriptions of body parts, sexual content, or adult themes. You understand that vague prompts result in censored output, so you are maximally specific about every detail.',
+    body: `You are an expert prompt editor for NSFW AI image generation using Seedream 4.5 Edit. You MUST be extremely detailed, explicit, and specific about EVERY element.
+
+SOURCE IMAGE DESCRIPTION:
+{{reversePrompt}}
+
+TARGET CHARACTER APPEARANCE:
+{{physicalTraits|Young woman appearance}}
+
+STYLE & AESTHETIC:
+{{style|Natural, photorealistic style}}
+
+REFERENCE IMAGES:
+{{referenceImages}}
+
+CRITICAL SEEDREAM 4.5 NSFW PROMPTING RULES:
+
+Seedream 4.5 Edit requires EXPLICIT anatomical detail. Vague descriptions will result in censored/generic output.
+
+1. **BE SPECIFIC ABOUT BODY PARTS**: Never say "breasts" - say "bare breasts with visible nipples", "large natural breasts with pink areolas", "perky breasts with erect nipples", etc.
+2. **DESCRIBE CLOTHING FIT**: "tight translucent top revealing nipples", "see-through fabric", "sheer lingerie", "form-fitting dress showing contours", "clothing clinging to body"
+3. **BE EXPLICIT ABOUT ACTIONS**: "spreading legs", "bent over pose", "arched back", "leaning forward", "lying down with legs apart", "posing seductively"
+4. **DETAIL ANATOMICAL FEATURES**: nipple color/size, areola visibility, body hair, skin texture, muscle tone, body shape, curves
+5. **DESCRIBE EXPOSURE**: "fully visible", "partially covered", "see-through", "sheer", "translucent", "strategically placed", "revealing", "exposed"
+
+PROMPT STRUCTURE:
+
+PART 1 - Subject Description (BE EXTREMELY DETAILED):
+"A [NSFW/safe-for-work] [shot type: close-up/portrait/half-body/full body/nude] of a [age] [gender] with [detailed physical description: height, body type, skin tone, hair color/style, eye color].
+
+[IF NUDE/EXPOSED]: Explicitly describe ALL visible body parts with anatomical precision. Include: breast size/shape/nipple details, genital visibility, body hair, skin texture, curves, muscle definition.
+
+[CLOTHING]: Describe every item of clothing with specific details about: color, fabric type (sheer/see-through/translucent/tight/loose), fit (form-fitting/flowing/revealing), how it contours to body, what it reveals or conceals.
+
+[POSE]: Describe exact body position: stance, arm placement, leg positioning, spinal alignment, head tilt, facial expression."
+
+PART 2 - Action and Expression:
+"[ACTION verb: standing/sitting/lying/bending/leaning] with [detailed description of movement and gesture]. [FACIAL EXPRESSION: smiling/seductive/aroused/neutral] with [eye contact/looking away/closed eyes]."
+
+PART 3 - Environment:
+"[Background/setting description] with [props/objects/furniture]. [Lighting: natural/artificial, direction, intensity]. [Atmosphere: intimate/dramatic/playful]."
+
+PART 4 - Technical Details:
+"[Camera: shot type, lens, angle]. [Composition: framing, depth of field]. [Style: photorealistic/artistic]."
+
+PART 5 - Reference Instructions (MANDATORY):
+"{{referenceInstruction}} Match facial features: eye shape, nose, lips, jawline. Preserve all other elements from the original scene: clothing, pose, background, lighting."
+
+EXAMPLE EXPLICIT NSFW PROMPTS:
+
+Example 1 (Nude):
+"A photorealistic full body nude of a 25-year-old woman with medium natural breasts with light pink areolas and visible nipples, slender waist, wide hips, and smooth shaved vulva. She is standing with one arm covering her breasts and the other at her side, looking directly at camera with a soft sensual expression. The setting is a dimly lit bedroom with satin sheets. Soft warm lighting creates an intimate mood. Captured with a 50mm lens at eye level. {{referenceInstruction}}"
+
+Example 2 (Lingerie):
+"A photorealistic half-body portrait of a woman wearing sheer black lingerie that barely covers her breasts, with nipples clearly visible through the translucent fabric. The lingerie is tight and form-fitting, accentuating her curves. She is leaning forward with a seductive smile, soft lighting coming from the left creating shadows that emphasize her cleavage. Captured with an 85mm portrait lens, shallow depth of field, bokeh background. {{referenceInstruction}}"
+
+YOUR TASK:
+Rewrite the source image description into an extremely detailed, explicit prompt for NSFW Seedream 4.5 Edit generation.
+
+MANDATORY REQUIREMENTS:
+- Be EXPLICIT about ALL body parts (use proper anatomical terms)
+- Specify exact clothing state: nude, sheer, see-through, tight, loose, etc.
+- Describe exact pose with body positioning details
+- Include facial expression and eye direction
+- Specify lighting direction and quality
+- Mention camera/lens details
+- ALWAYS include reference image instructions at the end
+
+Output ONLY the final prompt, nothing else.
+
+FINAL PROMPT:`
+  }
+};
@@ -0,0 +1,58 @@
+// ==========================================
+// EXTERNAL PROVIDER ENDPOINTS
+// ==========================================
+
+const DEFAULT_BASE_URLS = {
+  wavespeed: 'https://api.wavespeed.ai',
+  google: 'https://generativelanguage.googleapis.com',
+  openrouter: 'https://openrouter.ai/api/v1',
+  tikwm: 'https://www.tikwm.com'
+};
+
+const BASE_URL_ENV = {
+  wavespeed: 'WAVESPEED_BASE_URL',
+  google: 'GOOGLE_API_BASE_URL',
+  openrouter: 'OPENROUTER_BASE_URL',
+  tikwm: 'TIKWM_BASE_URL'
+};
+
+/**
+ * Base URL for every external provider
+ * Read at call time (dotenv loads after imports)
+ *
+ * Precedence: <PROVIDER>_BASE_URL > PROVIDER_SIMULATOR_URL/<provider> > live default
+ * PROVIDER_SIMULATOR_URL points everything at the local simulator (npm run simulator)
+ */
+export function getProviderUrls() {
+  const simulatorUrl = trimSlash(process.env.PROVIDER_SIMULATOR_URL || '');
+
+  return Object.fromEntries(Object.keys(DEFAULT_BASE_URLS).map(provider => {
+    const explicit = process.env[BASE_URL_ENV[provider]];
+    const fallback = simulatorUrl ? `${simulatorUrl}/${provider}` : DEFAULT_BASE_URLS[provider];
+    return [provider, trimSlash(explicit || fallback)];
+  }));
+}
+
+/**
+ * Build a full URL for a provider path, e.g. providerUrl('wavespeed', '/api/v3/predictions/abc/result')
+ */
+export function providerUrl(provider, path) {
+  const baseUrl = getProviderUrls()[provider];
+  if (!baseUrl) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+  return `${baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+/**
+ * Delay between Wavespeed result polls
+ * WAVESPEED_POLL_INTERVAL_MS overrides the per-model default (the simulator finishes in milliseconds)
+ */
+export function getWavespeedPollIntervalMs(defaultMs) {
+  const value = parseInt(process.env.WAVESPEED_POLL_INTERVAL_MS || '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : defaultMs;
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
@@ -0,0 +1,49 @@
+// ==========================================
+// IMAGE RENDITIONS
+// ==========================================
+
+/**
+ * Renditions made from every completed image
+ *
+ * - crop: platform crop centered on the subject (variant matches content_variants.crop_type
+ *   and schedule_master.crop_variant)
+ * - thumbnail: small web preview, keeps the original aspect ratio
+ * - compressed: full-size web copy
+ *
+ * width caps the output; images are never upscaled
+ */
+export const RENDITIONS = [
+  { variant: '4:5', kind: 'crop', ratio: [4, 5], width: 1080, format: 'jpeg', suffix: '4x5' },
+  { variant: '9:16', kind: 'crop', ratio: [9, 16], width: 1080, format: 'jpeg', suffix: '9x16' },
+  { variant: '1:1', kind: 'crop', ratio: [1, 1], width: 1080, format: 'jpeg', suffix: '1x1' },
+  { variant: 'thumbnail', kind: 'thumbnail', ratio: null, width: 480, format: 'webp', suffix: 'thumb' },
+  { variant: 'jpeg', kind: 'compressed', ratio: null, width: 2048, format: 'jpeg', suffix: 'web' },
+  { variant: 'webp', kind: 'compressed', ratio: null, width: 2048, format: 'webp', suffix: 'web' }
+];
+
+export const CROP_STRATEGIES = ['attention', 'entropy'];
+
+/**
+ * - RENDITIONS_ENABLED: set to 'false' to skip renditions
+ * - RENDITION_CROP_STRATEGY: 'attention' (saliency, default) or 'entropy'
+ * - RENDITION_JPEG_QUALITY / RENDITION_WEBP_QUALITY: 1-100 (defaults 82 / 80)
+ *
+ * Read at call time (dotenv loads after imports)
+ */
+export function getRenditionConfig() {
+  const strategy = process.env.RENDITION_CROP_STRATEGY || 'attention';
+
+  return {
+    enabled: process.env.RENDITIONS_ENABLED !== 'false',
+    cropStrategy: CROP_STRATEGIES.includes(strategy) ? strategy : 'attention',
+    quality: {
+      jpeg: parseQuality(process.env.RENDITION_JPEG_QUALITY, 82),
+      webp: parseQuality(process.env.RENDITION_WEBP_QUALITY, 80)
+    }
+  };
+}
+
+function parseQuality(value, fallback) {
+  const quality = parseInt(value, 10);
+  return quality >= 1 && quality <= 100 ? quality : fallback;
+}
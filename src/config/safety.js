@@ -0,0 +1,69 @@
+// ==========================================
+// OUTPUT SAFETY
+// ==========================================
+
+/**
+ * Classification of generated outputs (see services/safety.service.js)
+ *
+ * Category names are the classifier's labels, lowercased (the default local model
+ * returns 'nsfw' and 'sfw'); scores are 0-1. Videos are scored per sampled frame and
+ * a category's score is its highest frame score.
+ *
+ * - levels: nsfw_level is the highest level with a category at or above its threshold (0 when none)
+ * - rules: hard rules; an output reaching any threshold of a rule is never uploaded and the job fails.
+ *   appliesTo 'sfw' checks jobs without enableNSFW only, 'all' checks every job
+ */
+export const DEFAULT_SAFETY_CLASSIFIER = 'none';
+
+// ONNX image-classification model on the Hugging Face Hub, run on CPU by transformers.js
+export const DEFAULT_LOCAL_SAFETY_MODEL = 'AdamCodd/vit-base-nsfw-detector';
+
+const DEFAULT_SAFETY_POLICY = {
+  levels: [
+    { level: 1, thresholds: { nsfw: 0.5 } }
+  ],
+  rules: [
+    { id: 'nsfw-in-sfw-job', appliesTo: 'sfw', thresholds: { nsfw: 0.85 } }
+  ]
+};
+
+/**
+ * - SAFETY_CLASSIFIER: registered classifier id ('local') or 'none' (default) to skip classification
+ *   (nsfw_level then records settings.enableNSFW, as before). Workers refuse to start when the
+ *   classifier can't run (e.g. 'local' without @huggingface/transformers)
+ * - SAFETY_LOCAL_MODEL: model for the 'local' classifier
+ * - SAFETY_POLICY: JSON replacing levels and/or rules,
+ *   e.g. {"rules":[{"id":"explicit","appliesTo":"all","thresholds":{"nsfw":0.98}}]}
+ * - SAFETY_VIDEO_FRAMES: frames sampled per video (default 4, extracted with ffmpeg)
+ * - SAFETY_FAIL_CLOSED: 'true' fails the job when the classifier errors
+ *   (default: the output is kept and nsfw_level records settings.enableNSFW)
+ * - FFMPEG_PATH: ffmpeg binary used for video frames (default 'ffmpeg' on the PATH)
+ *
+ * Read at call time (dotenv loads after imports)
+ */
+export function getSafetyConfig() {
+  const frames = parseInt(process.env.SAFETY_VIDEO_FRAMES, 10);
+
+  return {
+    classifier: process.env.SAFETY_CLASSIFIER || DEFAULT_SAFETY_CLASSIFIER,
+    localModel: process.env.SAFETY_LOCAL_MODEL || DEFAULT_LOCAL_SAFETY_MODEL,
+    policy: getSafetyPolicy(),
+    videoFrames: frames >= 1 && frames <= 16 ? frames : 4,
+    failClosed: process.env.SAFETY_FAIL_CLOSED === 'true',
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg'
+  };
+}
+
+function getSafetyPolicy() {
+  const raw = process.env.SAFETY_POLICY;
+  if (!raw) {
+    return DEFAULT_SAFETY_POLICY;
+  }
+
+  try {
+    return { ...DEFAULT_SAFETY_POLICY, ...JSON.parse(raw) };
+  } catch (error) {
+    console.warn(`[Safety] Ignoring invalid SAFETY_POLICY: ${error.message}`);
+    return DEFAULT_SAFETY_POLICY;
+  }
+}
@@ -0,0 +1,106 @@
+// ==========================================
+// STYLE PRESETS
+// ==========================================
+
+/**
+ * Named looks selected with settings.style
+ *
+ * - prompt: fragment appended to the final image prompt (both Gemini and Seedream)
+ * - negativePrompt: added to BASE_NEGATIVE_PROMPT; Seedream takes it as its negative prompt,
+ *   Gemini (no negative prompt) gets it as an "Avoid: ..." line in the prompt
+ * - aspectRatio / resolution: used when the request doesn't set them
+ *
+ * Requests override a preset with settings.stylePrompt, settings.negativePrompt,
+ * settings.aspectRatio and settings.resolution
+ */
+export const DEFAULT_STYLE_PRESET = 'natural';
+
+export const BASE_NEGATIVE_PROMPT = 'blurry, low quality, distorted, deformed, ugly, bad anatomy, watermark, text, error';
+
+const DEFAULT_STYLE_PRESETS = {
+  natural: {
+    description: 'Unstyled, true to the source image',
+    prompt: 'Natural, true-to-life colors and skin texture, realistic photographic look.',
+    negativePrompt: 'oversaturated, plastic skin, heavy retouching',
+    aspectRatio: '3:4',
+    resolution: '2K'
+  },
+  editorial: {
+    description: 'Magazine fashion shoot',
+    prompt: 'High-end fashion editorial photograph, polished styling, controlled studio-quality lighting, crisp detail, magazine cover finish.',
+    negativePrompt: 'snapshot, amateur, cluttered background, harsh shadows',
+    aspectRatio: '3:4',
+    resolution: '2K'
+  },
+  film: {
+    description: 'Analog 35mm film',
+    prompt: 'Shot on 35mm analog film, subtle natural grain, soft contrast, muted filmic color palette, slight halation in highlights.',
+    negativePrompt: 'digital look, oversharpened, HDR, clean digital noise',
+    aspectRatio: '3:4',
+    resolution: '2K'
+  },
+  flash: {
+    description: 'Direct on-camera flash, night-out snapshot',
+    prompt: 'Direct on-camera flash photography, bright frontal light on the subject, hard crisp shadows behind, darker falloff in the background, candid party-snapshot feel.',
+    negativePrompt: 'soft diffused light, golden hour, studio lighting',
+    aspectRatio: '9:16',
+    resolution: '2K'
+  },
+  'golden-hour': {
+    description: 'Warm low sun',
+    prompt: 'Golden hour sunlight, warm low-angle sun, glowing rim light on hair and skin, long soft shadows, warm amber tones.',
+    negativePrompt: 'overcast, flat lighting, cold color temperature, flash',
+    aspectRatio: '3:4',
+    resolution: '2K'
+  }
+};
+
+/**
+ * Presets with STYLE_PRESETS overrides applied (JSON, merged per preset name; new names add presets),
+ * e.g. STYLE_PRESETS={"film":{"resolution":"4K"},"noir":{"prompt":"Black and white ...","aspectRatio":"3:4","resolution":"2K"}}
+ * Read at call time (dotenv loads after imports)
+ */
+export function getStylePresets() {
+  const raw = process.env.STYLE_PRESETS;
+  if (!raw) {
+    return DEFAULT_STYLE_PRESETS;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    console.warn(`[Styles] Ignoring invalid STYLE_PRESETS: ${error.message}`);
+    return DEFAULT_STYLE_PRESETS;
+  }
+
+  const presets = { ...DEFAULT_STYLE_PRESETS };
+  for (const [name, preset] of Object.entries(overrides)) {
+    presets[name] = { ...presets[name], ...preset };
+  }
+  return presets;
+}
+
+/**
+ * Style of a request: the preset named by settings.style (default natural) with the request's overrides
+ * Unknown names (e.g. a preset removed after a job was queued) fall back to the default preset
+ *
+ * @returns {{ preset: string, prompt: string, negativePrompt: string, aspectRatio: string, resolution: string }}
+ */
+export function resolveStyle(settings = {}) {
+  const presets = getStylePresets();
+  let name = settings.style || DEFAULT_STYLE_PRESET;
+  if (!presets[name]) {
+    console.warn(`[Styles] Unknown style preset "${name}", using ${DEFAULT_STYLE_PRESET}`);
+    name = DEFAULT_STYLE_PRESET;
+  }
+  const preset = presets[name];
+
+  return {
+    preset: name,
+    prompt: settings.stylePrompt ?? preset.prompt ?? '',
+    negativePrompt: settings.negativePrompt ?? [BASE_NEGATIVE_PROMPT, preset.negativePrompt].filter(Boolean).join(', '),
+    aspectRatio: settings.aspectRatio || preset.aspectRatio || '3:4',
+    resolution: settings.resolution || preset.resolution || '2K'
+  };
+}
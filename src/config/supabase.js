@@ -61,7 +61,17 @@ export const MEDIA_VAULT_TABLES = {
   MEDIA_GENERATIONS: 'media_generations',
   BATCHES: 'batches',
   LOCATIONS: 'locations',
-  GENERATION_LOGS: 'generation_logs'
+  GENERATION_LOGS: 'generation_logs',
+  GENERATION_JOB_EVENTS: 'generation_job_events',
+  GENERATION_ATTEMPTS: 'generation_attempts',
+  WEBHOOK_DELIVERIES: 'webhook_deliveries',
+  WEBHOOK_DELIVERY_ATTEMPTS: 'webhook_delivery_attempts',
+  API_KEYS: 'api_keys',
+  GENERATION_USAGE: 'generation_usage',
+  GENERATION_BUDGET_RESERVATIONS: 'generation_budget_reservations',
+  MEDIA_RENDITIONS: 'media_renditions',
+  PROMPT_TEMPLATES: 'prompt_templates',
+  PROMPT_TEMPLATE_VERSIONS: 'prompt_template_versions'
 };
 
 // Influencer Management Tables
@@ -0,0 +1,150 @@
+/**
+ * AUTH.MIDDLEWARE.JS
+ * API key authentication, scopes and per-key rate limits (all requests, and prompt previews)
+ * (daily generation quotas are reserved with the budgets when jobs are created, see budget.service.js)
+ *
+ * Keys are read from `Authorization: Bearer <key>` or `X-API-Key`. The job event stream
+ * also takes the `api_key` query parameter (EventSource cannot set headers); anywhere else
+ * it's rejected, so keys don't end up in URLs and access logs
+ */
+
+import {
+  authenticateApiKey,
+  isApiKeyRequired
+} from '../services/apikey.service.js';
+
+// api key id -> { windowStart, count }
+const rateWindows = new Map();
+const previewWindows = new Map();
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Prompt previews per key per minute (each makes billed OpenRouter calls), PROMPT_PREVIEW_RATE_LIMIT overrides
+const DEFAULT_PREVIEW_RATE_LIMIT = 10;
+
+// GET /api/generate/:jobId/events, the only route taking ?api_key=
+const QUERY_KEY_ROUTE = /^\/api\/generate\/[^/]+\/events$/;
+
+function acceptsQueryKey(req) {
+  return req.method === 'GET' && QUERY_KEY_ROUTE.test(req.baseUrl + req.path);
+}
+
+function readApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || (acceptsQueryKey(req) && req.query.api_key) || null;
+}
+
+/**
+ * Require a valid API key and attach it as req.apiKey
+ * With REQUIRE_API_KEY=false (local development) unauthenticated requests pass with every scope
+ */
+export async function authenticate(req, res, next) {
+  try {
+    if (req.query.api_key !== undefined && !acceptsQueryKey(req)) {
+      return res.status(400).json({
+        error: 'API key must be sent in the Authorization or X-API-Key header',
+        message: 'The api_key query parameter is only accepted by GET /api/generate/:jobId/events'
+      });
+    }
+
+    const presentedKey = readApiKey(req);
+
+    if (!presentedKey) {
+      if (!isApiKeyRequired()) {
+        req.apiKey = { id: null, name: 'anonymous', scopes: ['admin', 'generate', 'read'] };
+        return next();
+      }
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    const apiKey = await authenticateApiKey(presentedKey);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate request',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Require a scope on the authenticated key (admin implies every scope)
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const scopes = req.apiKey?.scopes || [];
+    if (!scopes.includes(scope) && !scopes.includes('admin')) {
+      return res.status(403).json({ error: `API key is missing the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * Count a request in the key's fixed one-minute window
+ * Sets the X-RateLimit-* headers, and answers 429 once the window is over the limit
+ * @returns {boolean} whether the request may continue
+ */
+function takeFromWindow(windows, id, limit, res, error) {
+  const now = Date.now();
+  let window = windows.get(id);
+  if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    windows.set(id, window);
+  }
+  window.count++;
+
+  const resetSeconds = Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000);
+  res.set('X-RateLimit-Limit', String(limit));
+  res.set('X-RateLimit-Remaining', String(Math.max(0, limit - window.count)));
+  res.set('X-RateLimit-Reset', String(resetSeconds));
+
+  if (window.count > limit) {
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      error,
+      limit,
+      retryAfterSeconds: resetSeconds
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Fixed one-minute window per key, limit from api_keys.rate_limit_per_minute
+ */
+export function rateLimit(req, res, next) {
+  const { id, rate_limit_per_minute: limit } = req.apiKey || {};
+  if (!id || !limit) {
+    return next();
+  }
+
+  if (takeFromWindow(rateWindows, id, limit, res, 'Rate limit exceeded')) {
+    next();
+  }
+}
+
+/**
+ * Separate per-key limit on prompt previews (PROMPT_PREVIEW_RATE_LIMIT per minute, 0 disables)
+ * Unauthenticated development requests share one window
+ */
+export function previewRateLimit(req, res, next) {
+  const configured = parseInt(process.env.PROMPT_PREVIEW_RATE_LIMIT, 10);
+  const limit = Number.isNaN(configured) ? DEFAULT_PREVIEW_RATE_LIMIT : configured;
+  if (!limit) {
+    return next();
+  }
+
+  if (takeFromWindow(previewWindows, req.apiKey?.id || 'anonymous', limit, res, 'Prompt preview rate limit exceeded')) {
+    next();
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * VALIDATE.MIDDLEWARE.JS
+ * Validates req.body / req.query against a declarative schema (see utils/validation.js)
+ *
+ * Failing requests get 400 with { error, code: 'VALIDATION_ERROR', fields: [{ field, message }] }
+ */
+
+import { validate, validationErrorBody } from '../utils/validation.js';
+
+export function validateBody(schema) {
+  return (req, res, next) => {
+    if (req.body === undefined) {
+      req.body = {};
+    }
+
+    const fields = validate(schema, req.body);
+    if (fields.length > 0) {
+      return res.status(400).json(validationErrorBody(fields));
+    }
+    next();
+  };
+}
+
+/**
+ * Same as validateBody for query strings
+ * Query values are strings, so schemas use type 'string' with a pattern or enum
+ */
+export function validateQuery(schema) {
+  return (req, res, next) => {
+    const fields = validate(schema, req.query);
+    if (fields.length > 0) {
+      return res.status(400).json(validationErrorBody(fields));
+    }
+    next();
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Gemini 3 Pro Image (direct Google API)
+ * Synchronous - the image comes back in the generate response, so there is nothing to poll
+ */
+
+import { generateImageWithGemini } from '../services/gemini.service.js';
+
+const capabilities = {
+  sfw: true,
+  nsfw: false,
+  aspectRatios: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'],
+  resolutions: ['1K', '2K', '4K'],
+  maxReferences: 5,  // face and body references, sent before the source image
+  sourceAfterReferences: true
+};
+
+export default {
+  id: 'gemini-3-pro-image',
+  name: 'Gemini 3 Pro Image',
+  aliases: ['GEMINI_IMAGE'],
+  type: 'image',
+  priority: 10,
+  capabilities,
+
+  async generate({ sourceUrl, persona, shotType, settings, replay, provenance }, { onProgress, onUsage, signal }) {
+    const result = await generateImageWithGemini({
+      sourceUrl,
+      persona,
+      shotType,
+      apiKey: process.env.GOOGLE_API_KEY,
+      maxReferences: capabilities.maxReferences,
+      settings,
+      replay,
+      provenance,
+      onProgress,
+      onUsage,
+      signal
+    });
+
+    return { outputUrl: result.imageUrl, providerModel: result.model, providerRequest: result.request, safety: result.safety };
+  }
+};
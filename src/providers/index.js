@@ -0,0 +1,19 @@
+/**
+ * Built-in generation providers
+ * To add a model: implement the provider interface (see registry.js) and register it here
+ */
+
+import { registerProvider } from './registry.js';
+import geminiProvider from './gemini.provider.js';
+import { seedream40Edit, seedream45Edit } from './seedream.provider.js';
+import wanAnimateProvider from './wan-animate.provider.js';
+import { kling25, veo31 } from './wavespeed-video.provider.js';
+
+registerProvider(geminiProvider);
+registerProvider(seedream40Edit);
+registerProvider(seedream45Edit);
+registerProvider(wanAnimateProvider);
+registerProvider(kling25);
+registerProvider(veo31);
+
+export { registerProvider, getProvider, listProviders, findProviders, supportsRequest } from './registry.js';
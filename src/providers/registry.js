@@ -0,0 +1,113 @@
+/**
+ * Generation provider registry
+ *
+ * Every provider implements the same interface:
+ * {
+ *   id: 'seedream-4.5-edit',           // stable id (IMAGE_FALLBACK_CHAIN_*, settings.videoModel)
+ *   name: 'Seedream 4.5 Edit',         // display name (model_used, progress events, attempts)
+ *   aliases: ['SEEDREAM_45_EDIT'],     // other accepted ids (legacy AI_MODELS keys, extension values)
+ *   type: 'image' | 'video',
+ *   priority: 10,                      // lower runs first in default chains
+ *   capabilities: {
+ *     sfw: true,
+ *     nsfw: false,
+ *     aspectRatios: ['1:1', ...],      // null = follows the source media
+ *     resolutions: ['1K', ...],
+ *     maxReferences: 2,                // persona reference images sent to the provider (face, then body)
+ *     sourceAfterReferences: true,     // image only: the source is sent as the image after the references
+ *                                      // and numbered in the prompt (otherwise it's sent separately)
+ *     negativePrompt: true,            // image only: takes a negative prompt (otherwise the style's
+ *                                      // negative prompt is written into the prompt)
+ *     videoModes: ['image-to-video'],  // video only; first entry is the default
+ *     durations: [5, 10]               // video only, seconds; first entry is the default
+ *   },
+ *   generate(request, { onProgress, onUsage, signal }) => { outputUrl, providerModel, providerRequest, safety, ... },
+ *   poll(taskId, request, { onProgress, onUsage, signal }) => same as generate()   // async providers only
+ * }
+ *
+ * request: { sourceUrl, persona, shotType, settings, imageUrl?, replay?, provenance? }
+ * (imageUrl is a generated still for image-to-video; provenance is the job's stamp, passed to
+ * sanitizeOutput() before the final upload - see services/provenance.service.js)
+ *
+ * providerRequest is what was actually sent, stored on the job so it can be replayed:
+ * { model, prompt, negativePrompt, seed, size, guidanceScale, sourceUrl, referenceUrls, referenceRoles,
+ *   promptTemplates?, sceneAnalysis?, ...provider fields }
+ * (null for fields the provider doesn't take). Passing it back as request.replay sends it again
+ * as-is, skipping reverse prompting and reference selection. promptTemplates ({ name: version })
+ * lists the prompt templates that produced the prompt (see services/prompt-template.service.js);
+ * sceneAnalysis is the structured reverse prompt it was built from (see utils/scene.js).
+ * onUsage(usage) reports each billable provider call for cost accounting (see services/usage.service.js)
+ *
+ * Providers retry their own submit and upload requests; generate() is never called twice for a job.
+ * When polling a submitted task fails (repeated 5xx, timeout), the error carries taskId and the
+ * providerRequest that was submitted, and the job resumes it with poll(taskId, { ...request, replay:
+ * providerRequest }): the same task is polled and its output saved, nothing is submitted again
+ *
+ * safety is the output's classification from checkOutputSafety(), run on the final output before
+ * sanitizeOutput() and the upload (see services/safety.service.js); it sets the media record's nsfw_level
+ */
+
+const providers = new Map();
+
+const REQUIRED_FIELDS = ['id', 'name', 'type', 'capabilities', 'generate'];
+
+/**
+ * Register a provider (replaces any provider with the same id)
+ */
+export function registerProvider(provider) {
+  const missing = REQUIRED_FIELDS.filter(field => !provider[field]);
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+  if (!['image', 'video'].includes(provider.type)) {
+    throw new Error(`Provider ${provider.id} has invalid type: ${provider.type}`);
+  }
+
+  providers.set(provider.id, { aliases: [], priority: 100, ...provider });
+}
+
+/**
+ * Look up a provider by id or alias
+ */
+export function getProvider(idOrAlias) {
+  if (!idOrAlias) return null;
+  if (providers.has(idOrAlias)) return providers.get(idOrAlias);
+
+  for (const provider of providers.values()) {
+    if (provider.aliases.includes(idOrAlias)) return provider;
+  }
+  return null;
+}
+
+/**
+ * All providers of a type, ordered by priority
+ */
+export function listProviders({ type } = {}) {
+  return [...providers.values()]
+    .filter(provider => !type || provider.type === type)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Check a provider against a request's requirements
+ * NSFW requests need capabilities.nsfw, SFW requests need capabilities.sfw
+ */
+export function supportsRequest(provider, { type, nsfw = false, aspectRatio, resolution, videoMode, duration }) {
+  const { capabilities } = provider;
+
+  if (type && provider.type !== type) return false;
+  if (nsfw ? !capabilities.nsfw : !capabilities.sfw) return false;
+  if (aspectRatio && capabilities.aspectRatios && !capabilities.aspectRatios.includes(aspectRatio)) return false;
+  if (resolution && capabilities.resolutions && !capabilities.resolutions.includes(resolution)) return false;
+  if (videoMode && !capabilities.videoModes?.includes(videoMode)) return false;
+  if (duration && capabilities.durations && !capabilities.durations.includes(duration)) return false;
+  return true;
+}
+
+/**
+ * Providers able to serve a request, ordered by priority
+ */
+export function findProviders(requirements) {
+  return listProviders({ type: requirements.type })
+    .filter(provider => supportsRequest(provider, requirements));
+}
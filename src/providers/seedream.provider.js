@@ -0,0 +1,83 @@
+/**
+ * Seedream Edit models via Wavespeed (async task + polling)
+ */
+
+import { generateImageWithSeedream } from '../services/wavespeed.service.js';
+
+// Sizes supported by calculateImageSize in wavespeed.service.js
+const SEEDREAM_ASPECT_RATIOS = ['1:1', '3:4', '9:16', '16:9'];
+const SEEDREAM_RESOLUTIONS = ['1K', '2K', '4K'];
+
+function createSeedreamProvider({ id, name, aliases, variant, priority, sfw, nsfw }) {
+  const capabilities = {
+    sfw,
+    nsfw,
+    aspectRatios: SEEDREAM_ASPECT_RATIOS,
+    resolutions: SEEDREAM_RESOLUTIONS,
+    maxReferences: 4,
+    negativePrompt: true
+  };
+
+  /**
+   * Generate, or with taskId resume a submitted prediction (request.replay is its providerRequest)
+   */
+  async function run({ sourceUrl, persona, shotType, settings, replay, provenance }, { onProgress, onUsage, signal }, taskId = null) {
+    const result = await generateImageWithSeedream({
+      sourceUrl,
+      persona,
+      shotType,
+      apiKey: process.env.WAVESPEED_API_KEY,
+      variant,
+      enableNSFW: Boolean(settings.enableNSFW),
+      maxReferences: capabilities.maxReferences,
+      settings,
+      replay,
+      taskId,
+      provenance,
+      onProgress,
+      onUsage,
+      signal
+    });
+
+    return { outputUrl: result.imageUrl, providerModel: result.model, providerRequest: result.request, safety: result.safety };
+  }
+
+  return {
+    id,
+    name,
+    aliases,
+    type: 'image',
+    priority,
+    capabilities,
+
+    generate(request, context) {
+      return run(request, context);
+    },
+
+    poll(taskId, request, context) {
+      return run(request, context, taskId);
+    }
+  };
+}
+
+// SFW fallback behind Gemini
+export const seedream40Edit = createSeedreamProvider({
+  id: 'seedream-4.0-edit',
+  name: 'Seedream 4.0',
+  aliases: ['SEEDREAM_40'],
+  variant: 'seedream40Edit',
+  priority: 20,
+  sfw: true,
+  nsfw: false
+});
+
+// Reserved for NSFW jobs
+export const seedream45Edit = createSeedreamProvider({
+  id: 'seedream-4.5-edit',
+  name: 'Seedream 4.5 Edit',
+  aliases: ['SEEDREAM_45_EDIT'],
+  variant: 'seedreamEdit',
+  priority: 10,
+  sfw: false,
+  nsfw: true
+});
@@ -0,0 +1,61 @@
+/**
+ * WAN 2.2 Animate via Wavespeed
+ * - replace mode: keeps the source video's motion and clothing, replaces the face
+ * - move mode: animates a persona reference (usually full body) with the source video's motion
+ */
+
+import { generateVideoWithWanAnimate } from '../services/wavespeed.service.js';
+
+/**
+ * Generate, or with taskId resume a submitted prediction (request.replay is its providerRequest)
+ */
+async function run({ sourceUrl, persona, shotType, settings, replay, provenance }, { onProgress, onUsage, signal }, taskId = null) {
+  const result = await generateVideoWithWanAnimate({
+    sourceUrl,
+    persona,
+    shotType,
+    apiKey: process.env.WAVESPEED_API_KEY,
+    settings,
+    replay,
+    taskId,
+    provenance,
+    onProgress,
+    onUsage,
+    signal
+  });
+
+  return {
+    outputUrl: result.videoUrl,
+    providerModel: result.model,
+    providerRequest: result.request,
+    videoMode: 'video-to-video',
+    stillUrl: result.characterImage,
+    resolution: result.resolution,
+    seed: result.seed,
+    safety: result.safety
+  };
+}
+
+export default {
+  id: 'wan-2.2-animate',
+  name: 'WAN 2.2 Animate',
+  aliases: ['wan-22', 'WAN_22_ANIMATE'],
+  type: 'video',
+  priority: 10,
+  capabilities: {
+    sfw: true,
+    nsfw: true,
+    videoModes: ['video-to-video'],
+    aspectRatios: null,
+    resolutions: ['480p', '720p'],
+    maxReferences: 1
+  },
+
+  generate(request, context) {
+    return run(request, context);
+  },
+
+  poll(taskId, request, context) {
+    return run(request, context, taskId);
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * Kling and Veo video models via Wavespeed (async task + polling)
+ *
+ * - image-to-video animates a still: the generated still passed in request.imageUrl,
+ *   or a persona reference image (body reference for half/full shots, face otherwise)
+ * - text-to-video generates from settings.prompt only
+ * - request.replay sends a recorded providerRequest again (same still, prompt and seed)
+ */
+
+import { generateVideoWithWavespeedModel } from '../services/wavespeed.service.js';
+import { getReferenceImages } from '../services/reference.service.js';
+import { resolveSeed } from '../utils/seed.js';
+
+const DEFAULT_MOTION_PROMPT = 'Natural subtle movement, gentle head turn, soft smile, realistic motion, consistent face and outfit.';
+const DEFAULT_ASPECT_RATIO = '9:16';
+
+/**
+ * Persona reference image to animate when no generated still is provided
+ * settings.referenceCategory / referenceIndex pick a specific reference
+ */
+async function resolveReferenceStill(persona, shotType, settings) {
+  const references = await getReferenceImages(persona, shotType);
+  const category = settings.referenceCategory || (['half', 'full'].includes(shotType) && references.body.length > 0 ? 'body' : 'face');
+  const still = references[category][settings.referenceIndex || 0];
+
+  if (!still) {
+    throw new Error(`No ${category} reference image found for image-to-video.`);
+  }
+  return still;
+}
+
+function createWavespeedVideoProvider({ id, name, aliases, variant, priority, capabilities, requestDefaults, buildParams }) {
+  /**
+   * providerRequest for a new job (see providers/registry.js)
+   */
+  async function buildRequest({ persona, shotType, settings, imageUrl }) {
+    const mode = settings.videoMode || capabilities.videoModes[0];
+    const aspectRatio = capabilities.aspectRatios.includes(settings.aspectRatio)
+      ? settings.aspectRatio
+      : DEFAULT_ASPECT_RATIO;
+
+    return {
+      mode,
+      prompt: settings.prompt || DEFAULT_MOTION_PROMPT,
+      size: null,
+      duration: settings.duration || capabilities.durations[0],
+      resolution: settings.videoResolution || capabilities.resolutions[0],
+      aspectRatio,
+      ...requestDefaults(settings),
+      sourceUrl: mode === 'image-to-video'
+        ? imageUrl || await resolveReferenceStill(persona, shotType, settings)
+        : null,
+      referenceUrls: []
+    };
+  }
+
+  /**
+   * Generate, or with taskId resume a submitted prediction (request.replay is its providerRequest)
+   */
+  async function run({ persona, shotType, settings, imageUrl, replay, provenance }, { onProgress, onUsage, signal }, taskId = null) {
+    const request = replay || await buildRequest({ persona, shotType, settings, imageUrl });
+
+    let result;
+    try {
+      result = await generateVideoWithWavespeedModel({
+        variant,
+        mode: request.mode,
+        imageUrl: request.sourceUrl,
+        prompt: request.prompt,
+        params: buildParams(request),
+        persona,
+        apiKey: process.env.WAVESPEED_API_KEY,
+        enableNSFW: Boolean(settings.enableNSFW),
+        taskId,
+        provenance,
+        onProgress,
+        onUsage,
+        signal
+      });
+    } catch (error) {
+      // A submitted prediction is resumed with poll() using this request
+      if (error.taskId) error.providerRequest = request;
+      throw error;
+    }
+
+    return {
+      outputUrl: result.videoUrl,
+      providerModel: result.model,
+      providerRequest: { ...request, model: result.model },
+      videoMode: request.mode,
+      stillUrl: request.sourceUrl,
+      duration: request.duration,
+      resolution: request.resolution,
+      aspectRatio: request.aspectRatio,
+      seed: request.seed,
+      safety: result.safety
+    };
+  }
+
+  return {
+    id,
+    name,
+    aliases,
+    type: 'video',
+    priority,
+    capabilities,
+
+    generate(request, context) {
+      return run(request, context);
+    },
+
+    poll(taskId, request, context) {
+      return run(request, context, taskId);
+    }
+  };
+}
+
+export const kling25 = createWavespeedVideoProvider({
+  id: 'kling-2.5',
+  name: 'Kling 2.5',
+  aliases: ['kling-25', 'KLING_25'],
+  variant: 'kling',
+  priority: 20,
+  capabilities: {
+    sfw: true,
+    nsfw: false,
+    videoModes: ['image-to-video', 'text-to-video'],
+    aspectRatios: ['9:16', '16:9', '1:1'],
+    resolutions: ['1080p'],
+    durations: [5, 10],
+    maxReferences: 1
+  },
+  // Kling takes no seed
+  requestDefaults: () => ({
+    negativePrompt: 'blurry, distorted face, deformed, extra limbs, watermark, text',
+    guidanceScale: 0.5,
+    seed: null
+  }),
+  // Kling image-to-video follows the still's aspect ratio
+  buildParams: ({ mode, duration, aspectRatio, negativePrompt, guidanceScale }) => ({
+    duration,
+    ...(mode === 'text-to-video' && { aspect_ratio: aspectRatio }),
+    negative_prompt: negativePrompt,
+    guidance_scale: guidanceScale
+  })
+});
+
+export const veo31 = createWavespeedVideoProvider({
+  id: 'veo-3.1',
+  name: 'Veo 3.1',
+  aliases: ['veo-31', 'VEO_31'],
+  variant: 'veo',
+  priority: 30,
+  capabilities: {
+    sfw: true,
+    nsfw: false,
+    videoModes: ['image-to-video', 'text-to-video'],
+    aspectRatios: ['9:16', '16:9'],
+    resolutions: ['720p', '1080p'],
+    durations: [8, 6, 4],
+    maxReferences: 1
+  },
+  // Empty negative prompt is left out of the request but can be set on a rerun
+  requestDefaults: settings => ({
+    negativePrompt: '',
+    guidanceScale: null,
+    seed: resolveSeed(settings.seed)
+  }),
+  buildParams: ({ duration, aspectRatio, resolution, negativePrompt, seed }) => ({
+    duration,
+    aspect_ratio: aspectRatio,
+    resolution,
+    generate_audio: false,
+    ...(negativePrompt && { negative_prompt: negativePrompt }),
+    seed
+  })
+});
@@ -0,0 +1,40 @@
+import express from 'express';
+import { getBudgetStatus, getBudgetWarnings } from '../services/budget.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/budgets
+ * Today's (UTC) generations and estimated spend against the global and per-persona limits
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await getBudgetStatus();
+    res.json(status);
+  } catch (error) {
+    console.error('Error in /api/budgets:', error);
+    res.status(500).json({
+      error: 'Failed to fetch budgets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/budgets/warnings
+ * Limits at or past BUDGET_WARNING_THRESHOLD (default 80%), including ones already reached
+ */
+router.get('/warnings', async (req, res) => {
+  try {
+    const warnings = await getBudgetWarnings();
+    res.json(warnings);
+  } catch (error) {
+    console.error('Error in /api/budgets/warnings:', error);
+    res.status(500).json({
+      error: 'Failed to fetch budget warnings',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,22 +1,34 @@
 import express from 'express';
 import { handleImageGeneration } from '../services/generation.service.js';
 import { handleVideoGeneration } from '../services/generation.service.js';
+import { getJobStatus } from '../services/generation.service.js';
+import { cancelJob, rerunJob } from '../services/generation.service.js';
+import { handleBatchGeneration, getBatchStatus } from '../services/generation.service.js';
+import { MAX_IDEMPOTENCY_KEY_LENGTH } from '../services/idempotency.service.js';
+import { getJobEvents, subscribeToJob, TERMINAL_STEPS } from '../services/progress.service.js';
+import { requireScope } from '../middleware/auth.middleware.js';
+import { validateBody } from '../middleware/validate.middleware.js';
+import { validationErrorBody } from '../utils/validation.js';
+import { ValidationError, QuotaExceededError, quotaErrorBody, IdempotencyConflictError, idempotencyConflictBody } from '../utils/errors.js';
+import { generateSchema, directGenerateSchema, batchGenerateSchema, rerunSchema, normalizeShotType } from '../schemas/generate.schemas.js';
 
 const router = express.Router();
 
 /**
- * Normalize shot type values from Chrome Extension to database format
- * Extension sends: "close-up", "half-body", "full-body"
- * Database expects: "close", "half", "full"
+ * Read the optional Idempotency-Key header
+ * Returns { key } or { error } (a validation field entry) if the header is malformed
  */
-function normalizeShotType(shotType) {
-  if (!shotType) return null;
-  const mapping = {
-    'close-up': 'close',
-    'half-body': 'half',
-    'full-body': 'full'
-  };
-  return mapping[shotType] || shotType;
+function readIdempotencyKey(req) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return { key: null };
+
+  const trimmed = key.trim();
+  if (!trimmed || trimmed.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return {
+      error: { field: 'Idempotency-Key', message: `must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` }
+    };
+  }
+  return { key: trimmed };
 }
 
 /**
@@ -24,40 +36,31 @@ function normalizeShotType(shotType) {
  * Main endpoint for Chrome Extension
  * Receives payload from content script when user clicks on image/video
  *
+ * Headers:
+ *   Idempotency-Key (optional) - repeated requests with the same key return the same jobId;
+ *   the same key with a different request gets 422 IDEMPOTENCY_KEY_REUSED. Without it, identical requests (sourceUrl, mode, persona, settings) within
+ *   IDEMPOTENCY_WINDOW_MINUTES are deduplicated.
+ *
  * Payload:
  * {
  *   "mode": "image" | "video",
- *   "platform": "pinterest" | "tiktok" | "instagram",
+ *   "platform": "pinterest" | "tiktok" | "instagram" | "generic",
  *   "sourceUrl": "https://...",
  *   "shotType": "close-up" | "half-body" | "full-body",
  *   "settings": { "style": "natural", "quality": "high" },
  *   "timestamp": "2025-12-25T..."
  * }
+ *
+ * Body is validated against generateSchema (schemas/generate.schemas.js);
+ * invalid requests get 400 { error, code: 'VALIDATION_ERROR', fields }
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('generate'), validateBody(generateSchema), async (req, res) => {
   try {
     const { mode, platform, sourceUrl, shotType, settings, timestamp } = req.body;
 
-    // Validate required fields
-    if (!mode || !platform || !sourceUrl) {
-      return res.status(400).json({
-        error: 'Missing required fields: mode, platform, sourceUrl'
-      });
-    }
-
-    // Validate mode
-    if (!['image', 'video'].includes(mode)) {
-      return res.status(400).json({
-        error: 'Invalid mode. Must be "image" or "video"'
-      });
-    }
-
-    // Validate platform
-    const validPlatforms = ['pinterest', 'tiktok', 'instagram', 'generic'];
-    if (!validPlatforms.includes(platform)) {
-      return res.status(400).json({
-        error: `Invalid platform. Must be one of: ${validPlatforms.join(', ')}`
-      });
+    const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json(validationErrorBody([idempotencyError]));
     }
 
     // Normalize shot type
@@ -66,7 +69,7 @@ router.post('/', async (req, res) => {
     console.log(`[${mode.toUpperCase()}] Generation request from ${platform}`);
     console.log(`Source URL: ${sourceUrl}`);
     console.log(`Shot Type: ${shotType || 'auto-detect'} -> ${normalizedShotType || 'null'}`);
-    console.log(`Settings: ${JSON.stringify(settings || {})}`);
+    console.log(`Settings: ${JSON.stringify(settings)}`);
 
     // Route to appropriate handler
     let result;
@@ -75,16 +78,22 @@ router.post('/', async (req, res) => {
         platform,
         sourceUrl,
         shotType: normalizedShotType,
-        settings: settings || {},
-        timestamp: timestamp || new Date().toISOString()
+        settings,
+        timestamp: timestamp || new Date().toISOString(),
+        idempotencyKey,
+        apiKeyId: req.apiKey.id,
+        dailyQuota: req.apiKey.daily_generation_quota
       });
     } else {
       result = await handleVideoGeneration({
         platform,
         sourceUrl,
         shotType: normalizedShotType,
-        settings: settings || {},
-        timestamp: timestamp || new Date().toISOString()
+        settings,
+        timestamp: timestamp || new Date().toISOString(),
+        idempotencyKey,
+        apiKeyId: req.apiKey.id,
+        dailyQuota: req.apiKey.daily_generation_quota
       });
     }
 
@@ -93,11 +102,22 @@ router.post('/', async (req, res) => {
       success: true,
       jobId: result.jobId,
       status: result.status,
+      duplicate: result.duplicate || false,
       message: result.message,
-      estimatedTime: result.estimatedTime
+      estimatedTime: result.estimatedTime,
+      ...(result.budgetWarnings && { budgetWarnings: result.budgetWarnings })
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error.fields));
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json(quotaErrorBody(error));
+    }
+    if (error instanceof IdempotencyConflictError) {
+      return res.status(422).json(idempotencyConflictBody(error));
+    }
     console.error('Error in /api/generate:', error);
     res.status(500).json({
       error: 'Failed to process generation request',
@@ -109,32 +129,48 @@ router.post('/', async (req, res) => {
 /**
  * POST /api/generate/image
  * Direct image generation endpoint
+ * Same body as POST /api/generate without mode; platform defaults to "generic"
  */
-router.post('/image', async (req, res) => {
+router.post('/image', requireScope('generate'), validateBody(directGenerateSchema), async (req, res) => {
   try {
-    const { sourceUrl, shotType, settings } = req.body;
+    const { platform, sourceUrl, shotType, settings } = req.body;
 
-    if (!sourceUrl) {
-      return res.status(400).json({ error: 'sourceUrl is required' });
+    const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json(validationErrorBody([idempotencyError]));
     }
 
     const normalizedShotType = normalizeShotType(shotType);
 
     const result = await handleImageGeneration({
-      platform: 'generic',
+      platform,
       sourceUrl,
       shotType: normalizedShotType,
-      settings: settings || {},
-      timestamp: new Date().toISOString()
+      settings,
+      timestamp: new Date().toISOString(),
+      idempotencyKey,
+      apiKeyId: req.apiKey.id,
+      dailyQuota: req.apiKey.daily_generation_quota
     });
 
     res.json({
       success: true,
       jobId: result.jobId,
-      status: result.status
+      status: result.status,
+      duplicate: result.duplicate || false,
+      ...(result.budgetWarnings && { budgetWarnings: result.budgetWarnings })
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error.fields));
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json(quotaErrorBody(error));
+    }
+    if (error instanceof IdempotencyConflictError) {
+      return res.status(422).json(idempotencyConflictBody(error));
+    }
     console.error('Error in /api/generate/image:', error);
     res.status(500).json({
       error: 'Failed to generate image',
@@ -146,32 +182,48 @@ router.post('/image', async (req, res) => {
 /**
  * POST /api/generate/video
  * Direct video generation endpoint
+ * Same body as POST /api/generate without mode; platform defaults to "generic"
  */
-router.post('/video', async (req, res) => {
+router.post('/video', requireScope('generate'), validateBody(directGenerateSchema), async (req, res) => {
   try {
-    const { sourceUrl, shotType, settings } = req.body;
+    const { platform, sourceUrl, shotType, settings } = req.body;
 
-    if (!sourceUrl) {
-      return res.status(400).json({ error: 'sourceUrl is required' });
+    const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json(validationErrorBody([idempotencyError]));
     }
 
     const normalizedShotType = normalizeShotType(shotType);
 
     const result = await handleVideoGeneration({
-      platform: 'generic',
+      platform,
       sourceUrl,
       shotType: normalizedShotType,
-      settings: settings || {},
-      timestamp: new Date().toISOString()
+      settings,
+      timestamp: new Date().toISOString(),
+      idempotencyKey,
+      apiKeyId: req.apiKey.id,
+      dailyQuota: req.apiKey.daily_generation_quota
     });
 
     res.json({
       success: true,
       jobId: result.jobId,
-      status: result.status
+      status: result.status,
+      duplicate: result.duplicate || false,
+      ...(result.budgetWarnings && { budgetWarnings: result.budgetWarnings })
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error.fields));
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json(quotaErrorBody(error));
+    }
+    if (error instanceof IdempotencyConflictError) {
+      return res.status(422).json(idempotencyConflictBody(error));
+    }
     console.error('Error in /api/generate/video:', error);
     res.status(500).json({
       error: 'Failed to generate video',
@@ -180,25 +232,306 @@ router.post('/video', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/generate/batch
+ * Generate several source URLs with multiple variations each, as one batch
+ *
+ * Payload:
+ * {
+ *   "mode": "image" | "video",
+ *   "platform": "pinterest" | "tiktok" | "instagram" | "generic",
+ *   "sourceUrls": ["https://...", "https://..."],
+ *   "variations": 2,
+ *   "shotType": "close-up" | "half-body" | "full-body",
+ *   "settings": { ... }
+ * }
+ *
+ * Each source URL becomes a scene (numbered in request order), each with
+ * `variations` jobs. Returns the batch with its aggregated status.
+ */
+router.post('/batch', requireScope('generate'), validateBody(batchGenerateSchema), async (req, res) => {
+  try {
+    const { mode, platform, sourceUrls, variations, shotType, settings } = req.body;
+
+    const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json(validationErrorBody([idempotencyError]));
+    }
+
+    const batch = await handleBatchGeneration({
+      mode,
+      platform,
+      sourceUrls,
+      variations,
+      shotType: normalizeShotType(shotType),
+      settings,
+      idempotencyKey,
+      apiKeyId: req.apiKey.id,
+      dailyQuota: req.apiKey.daily_generation_quota
+    });
+
+    res.json({
+      success: true,
+      duplicate: batch.duplicate || false,
+      ...batch
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error.fields));
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json(quotaErrorBody(error));
+    }
+    if (error instanceof IdempotencyConflictError) {
+      return res.status(422).json(idempotencyConflictBody(error));
+    }
+    console.error('Error in /api/generate/batch:', error);
+    res.status(500).json({
+      error: 'Failed to process batch request',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/generate/batch/:batchId
+ * Aggregated status of a batch and its child jobs
+ */
+router.get('/batch/:batchId', requireScope('read'), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const batch = await getBatchStatus(batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: `Batch not found: ${batchId}` });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Error in /api/generate/batch/:batchId:', error);
+    res.status(500).json({
+      error: 'Failed to check batch status',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/generate/status/:jobId
  * Check status of a generation job
+ * Includes model used and output URL once the job has completed
+ */
+router.get('/status/:jobId', requireScope('read'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const status = await getJobStatus(jobId);
+
+    if (!status) {
+      return res.status(404).json({ error: `Job not found: ${jobId}` });
+    }
+
+    res.json(status);
+  } catch (error) {
+    console.error('Error in /api/generate/status:', error);
+    res.status(500).json({
+      error: 'Failed to check job status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/generate/:jobId/cancel
+ * Cancel a pending or processing job
+ * Stops provider polling, cancels the remote Wavespeed prediction where possible,
+ * and no media_generations row is created
  */
-router.get('/status/:jobId', async (req, res) => {
+router.post('/:jobId/cancel', requireScope('generate'), async (req, res) => {
   try {
     const { jobId } = req.params;
-    // TODO: Implement job status check from Supabase
+    const result = await cancelJob(jobId);
+
+    if (!result) {
+      return res.status(404).json({ error: `Job not found: ${jobId}` });
+    }
+
+    if (!result.cancelled) {
+      return res.status(409).json({
+        error: `Job cannot be cancelled (status: ${result.status})`,
+        jobId,
+        status: result.status
+      });
+    }
+
     res.json({
+      success: true,
       jobId,
-      status: 'processing',
-      message: 'Status check not yet implemented'
+      status: result.status
     });
   } catch (error) {
+    console.error('Error in /api/generate/:jobId/cancel:', error);
     res.status(500).json({
-      error: 'Failed to check job status',
+      error: 'Failed to cancel job',
       message: error.message
     });
   }
 });
 
+/**
+ * POST /api/generate/:jobId/rerun
+ * Replay a completed job's exact provider request (prompt, negative prompt, seed, size,
+ * guidance, reference URLs) as a new job, on the same provider
+ *
+ * Payload (optional):
+ * {
+ *   "overrides": { "seed": 1234, "prompt": "...", "guidanceScale": 6 }
+ * }
+ *
+ * seed -1 picks a new random seed. Overrides for fields the provider doesn't take
+ * get 400 VALIDATION_ERROR; jobs without a recorded request get 409.
+ */
+router.post('/:jobId/rerun', requireScope('generate'), validateBody(rerunSchema), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await rerunJob(jobId, req.body.overrides, {
+      apiKeyId: req.apiKey.id,
+      dailyQuota: req.apiKey.daily_generation_quota
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: `Job not found: ${jobId}` });
+    }
+
+    if (!result.rerun) {
+      return res.status(409).json({
+        error: `Job has no recorded provider request to replay (status: ${result.status})`,
+        jobId,
+        status: result.status
+      });
+    }
+
+    const { rerun, ...job } = result;
+    res.json({
+      success: true,
+      ...job
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error.fields));
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json(quotaErrorBody(error));
+    }
+    console.error('Error in /api/generate/:jobId/rerun:', error);
+    res.status(500).json({
+      error: 'Failed to rerun job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/generate/:jobId/events
+ * Server-Sent Events stream of job progress
+ *
+ * Each `progress` event carries: { seq, jobId, step, progress, message, data, at }
+ * - step: queued, started, generate_still, tiktok_resolve, download, upload_temp, reverse_prompt,
+ *         build_prompt, provider_call, polling, upload_final, completed, failed, cancelled
+ * - progress: overall 0-100 estimate (polling events interpolate using data.poll / data.maxPolls)
+ *
+ * Reconnecting clients resume via the Last-Event-ID header. The stream closes after
+ * a completed/failed/cancelled event.
+ */
+router.get('/:jobId/events', requireScope('read'), async (req, res) => {
+  const { jobId } = req.params;
+
+  let status;
+  try {
+    status = await getJobStatus(jobId);
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Failed to open event stream',
+      message: error.message
+    });
+  }
+
+  if (!status) {
+    return res.status(404).json({ error: `Job not found: ${jobId}` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let lastSeq = parseInt(req.headers['last-event-id'] || '0', 10) || 0;
+  let closed = false;
+  let pollTimer = null;
+  let heartbeatTimer = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event) => {
+    if (closed) return;
+    // Skip events already delivered (local emit and DB poll can both see the same event)
+    if (event.seq) {
+      if (event.seq <= lastSeq) return;
+      lastSeq = event.seq;
+      res.write(`id: ${event.seq}\n`);
+    }
+    res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+    if (TERMINAL_STEPS.includes(event.step)) {
+      close();
+    }
+  };
+
+  const catchUp = async () => {
+    if (closed) return;
+    try {
+      const events = await getJobEvents(jobId, lastSeq);
+      events.forEach(send);
+    } catch (error) {
+      console.error(`[SSE] Failed to fetch events for ${jobId}:`, error.message);
+    }
+  };
+
+  req.on('close', close);
+
+  // Current snapshot so the client can render immediately
+  res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+
+  // Events emitted in this process arrive instantly; workers in another process are seen via polling
+  // Local events are held back until the replay finishes so sequence order is preserved
+  let replaying = true;
+  const buffered = [];
+  unsubscribe = subscribeToJob(jobId, (event) => (replaying ? buffered.push(event) : send(event)));
+  await catchUp();
+  replaying = false;
+  buffered.forEach(send);
+
+  // A replayed terminal event or a client disconnect already closed the stream: don't start the timers
+  if (closed) return;
+
+  if (['completed', 'failed', 'cancelled'].includes(status.status)) {
+    return close();
+  }
+
+  pollTimer = setInterval(catchUp, 2000);
+  heartbeatTimer = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, 15000);
+});
+
 export default router;
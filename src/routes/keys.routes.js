@@ -0,0 +1,106 @@
+import express from 'express';
+import { createApiKey, listApiKeys, revokeApiKey, API_KEY_SCOPES } from '../services/apikey.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/keys
+ * List API keys (hashes are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await listApiKeys();
+    res.json({ keys });
+  } catch (error) {
+    console.error('Error in /api/keys:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Issue a key for an extension install or teammate
+ *
+ * Payload:
+ * {
+ *   "name": "Chrome extension - laptop",
+ *   "scopes": ["generate", "read"],
+ *   "rateLimitPerMinute": 60,        (optional, default RATE_LIMIT_PER_MINUTE)
+ *   "dailyGenerationQuota": 200      (optional, default DAILY_GENERATION_QUOTA)
+ * }
+ *
+ * The plaintext key is only included in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, dailyGenerationQuota } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields: name, scopes (non-empty array)'
+      });
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        error: `Invalid scopes: ${invalidScopes.join(', ')}. Must be one of: ${API_KEY_SCOPES.join(', ')}`
+      });
+    }
+
+    for (const [field, value] of Object.entries({ rateLimitPerMinute, dailyGenerationQuota })) {
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+        return res.status(400).json({ error: `${field} must be a positive integer` });
+      }
+    }
+
+    const apiKey = await createApiKey({
+      name,
+      scopes,
+      rateLimitPerMinute: rateLimitPerMinute ?? null,
+      dailyGenerationQuota: dailyGenerationQuota ?? null
+    });
+
+    res.status(201).json({
+      success: true,
+      ...apiKey
+    });
+  } catch (error) {
+    console.error('Error in POST /api/keys:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:keyId
+ * Revoke a key
+ */
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const apiKey = await revokeApiKey(keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: `API key not found: ${keyId}` });
+    }
+
+    res.json({
+      success: true,
+      ...apiKey
+    });
+  } catch (error) {
+    console.error('Error in DELETE /api/keys/:keyId:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+export default router;
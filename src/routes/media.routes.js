@@ -0,0 +1,109 @@
+import express from 'express';
+import { readProvenance } from '../services/provenance.service.js';
+import { downloadFile, getStoragePath, getPublicStorageUrl } from '../services/reference.service.js';
+import { getJobStatus, searchJobsByScene } from '../services/generation.service.js';
+import { validateQuery } from '../middleware/validate.middleware.js';
+import { validationErrorBody } from '../utils/validation.js';
+import { mediaVerifyQuerySchema, mediaSearchQuerySchema } from '../schemas/media.schemas.js';
+import { BUCKETS } from '../config/supabase.js';
+
+const router = express.Router();
+
+// Limits for files checked by /verify
+const VERIFY_TIMEOUT_MS = 30 * 1000;
+const VERIFY_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Public URL of the file to verify, or a validation error
+ * Only files in our own storage bucket are fetched (no arbitrary URLs)
+ */
+function resolveVerifyUrl({ url, path }) {
+  if (Boolean(url) === Boolean(path)) {
+    return { fields: [{ field: 'url', message: 'provide either url or path' }] };
+  }
+
+  const fileUrl = path ? getPublicStorageUrl(path) : url;
+  if (!getStoragePath(fileUrl)) {
+    return { fields: [{ field: path ? 'path' : 'url', message: `must be a file in the ${BUCKETS.GALLERY} storage bucket` }] };
+  }
+  return { url: fileUrl };
+}
+
+/**
+ * GET /api/media/verify
+ * Read the provenance stamp embedded in a generated image or video
+ *
+ * Query: url (public URL of the file in our storage bucket) or path (its storage path)
+ * verified is true when the stamp's signature matches PROVENANCE_SECRET, null when no secret is set;
+ * job is the stamped job, if it still exists
+ */
+router.get('/verify', validateQuery(mediaVerifyQuerySchema), async (req, res) => {
+  const { url, fields } = resolveVerifyUrl(req.query);
+  if (fields) {
+    return res.status(400).json(validationErrorBody(fields));
+  }
+
+  let buffer;
+  try {
+    const blob = await downloadFile(url, { timeoutMs: VERIFY_TIMEOUT_MS, maxBytes: VERIFY_MAX_BYTES });
+    buffer = Buffer.from(await blob.arrayBuffer());
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Failed to download file',
+      message: error.message
+    });
+  }
+
+  try {
+    const result = await readProvenance(buffer);
+    const job = result.found ? await getJobStatus(result.provenance.jobId) : null;
+
+    res.json({
+      url,
+      ...result,
+      job: job ? {
+        jobId: job.jobId,
+        status: job.status,
+        mode: job.mode,
+        persona: job.persona,
+        platform: job.platform,
+        createdAt: job.createdAt,
+        outputUrl: job.outputUrl,
+        mediaGenerationId: job.mediaGenerationId
+      } : null
+    });
+  } catch (error) {
+    console.error('Error in /api/media/verify:', error);
+    res.status(500).json({
+      error: 'Failed to verify media',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/media/search
+ * Find completed jobs by their analyzed source scene
+ *
+ * Query: subject, clothing, pose, setting, lighting, camera, technical, style (text to match),
+ * persona, mode, platform, limit (max 100), offset
+ */
+router.get('/search', validateQuery(mediaSearchQuerySchema), async (req, res) => {
+  try {
+    const { limit, offset, ...filters } = req.query;
+    const results = await searchJobsByScene(filters, {
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+    res.json({ count: results.length, results });
+  } catch (error) {
+    console.error('Error in /api/media/search:', error);
+    res.status(500).json({
+      error: 'Failed to search media',
+      message: error.message
+    });
+  }
+});
+
+export default router;
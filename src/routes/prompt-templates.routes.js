@@ -0,0 +1,127 @@
+import express from 'express';
+import {
+  listPromptTemplates,
+  getPromptTemplateVersions,
+  createPromptTemplateVersion,
+  activatePromptTemplateVersion
+} from '../services/prompt-template.service.js';
+import { requireScope } from '../middleware/auth.middleware.js';
+import { validateBody } from '../middleware/validate.middleware.js';
+import { validationErrorBody } from '../utils/validation.js';
+import { ValidationError } from '../utils/errors.js';
+import { createTemplateVersionSchema, activateTemplateVersionSchema } from '../schemas/prompt-templates.schemas.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/prompt-templates
+ * Every prompt template with its variables, active version and latest version
+ */
+router.get('/', requireScope('read'), async (req, res) => {
+  try {
+    const templates = await listPromptTemplates();
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error in /api/prompt-templates:', error);
+    res.status(500).json({
+      error: 'Failed to fetch prompt templates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/prompt-templates/:name
+ * A template with all its versions (version 1 is the built-in one)
+ */
+router.get('/:name', requireScope('read'), async (req, res) => {
+  try {
+    const template = await getPromptTemplateVersions(req.params.name);
+
+    if (!template) {
+      return res.status(404).json({ error: `Prompt template not found: ${req.params.name}` });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error in /api/prompt-templates/:name:', error);
+    res.status(500).json({
+      error: 'Failed to fetch prompt template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/prompt-templates/:name/versions
+ * Store a new version of a template
+ *
+ * Payload:
+ * {
+ *   "body": "... {{reversePrompt}} ... {{referenceInstruction}} ...",
+ *   "system": "...",          (optional, defaults to the active version's; null for none)
+ *   "notes": "Shorter intro",  (optional)
+ *   "activate": true           (optional, default true)
+ * }
+ *
+ * Placeholders the template doesn't take get 400 VALIDATION_ERROR
+ */
+router.post('/:name/versions', requireScope('admin'), validateBody(createTemplateVersionSchema), async (req, res) => {
+  try {
+    const { body, system, notes, activate } = req.body;
+    const version = await createPromptTemplateVersion(req.params.name, {
+      body,
+      system,
+      notes: notes ?? null,
+      activate,
+      apiKeyId: req.apiKey?.id ?? null
+    });
+
+    if (!version) {
+      return res.status(404).json({ error: `Prompt template not found: ${req.params.name}` });
+    }
+
+    res.status(201).json({
+      success: true,
+      ...version
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error.fields));
+    }
+    console.error('Error in POST /api/prompt-templates/:name/versions:', error);
+    res.status(500).json({
+      error: 'Failed to save prompt template version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/prompt-templates/:name/active
+ * Switch the active version (e.g. roll back to 1, the built-in version)
+ *
+ * Payload: { "version": 2 }
+ */
+router.put('/:name/active', requireScope('admin'), validateBody(activateTemplateVersionSchema), async (req, res) => {
+  try {
+    const result = await activatePromptTemplateVersion(req.params.name, req.body.version);
+
+    if (!result) {
+      return res.status(404).json({ error: `Prompt template version not found: ${req.params.name} v${req.body.version}` });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error in PUT /api/prompt-templates/:name/active:', error);
+    res.status(500).json({
+      error: 'Failed to activate prompt template version',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import { previewPrompt } from '../services/prompt-preview.service.js';
+import { validateBody } from '../middleware/validate.middleware.js';
+import { previewRateLimit } from '../middleware/auth.middleware.js';
+import { validationErrorBody } from '../utils/validation.js';
+import { ValidationError, QuotaExceededError, quotaErrorBody } from '../utils/errors.js';
+import { promptPreviewSchema } from '../schemas/prompts.schemas.js';
+import { normalizeShotType } from '../schemas/generate.schemas.js';
+import { getStylePresets, DEFAULT_STYLE_PRESET, BASE_NEGATIVE_PROMPT } from '../config/style-presets.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/prompts/preview
+ * Build the prompt an image job would send, without calling an image provider
+ *
+ * Payload:
+ * {
+ *   "sourceUrl": "https://...",
+ *   "persona": "arisa",                 (optional)
+ *   "shotType": "half-body",            (optional, default: close)
+ *   "enableNSFW": false,                (optional)
+ *   "provider": "seedream-4.0-edit",    (optional, default: first of the fallback chain)
+ *   "scene": { "setting": "..." },      (optional, same as settings.scene)
+ *   "style": "film"                     (optional, with stylePrompt / negativePrompt like settings)
+ * }
+ *
+ * Returns the selected references, the reverse prompt and the final prompt, with the model
+ * and template version behind each step. The OpenRouter calls are billed (usage, estimatedCostUsd):
+ * they're recorded in generation_usage and count toward the daily spend budgets (429 when over one).
+ * Limited to PROMPT_PREVIEW_RATE_LIMIT previews per key per minute.
+ */
+router.post('/preview', previewRateLimit, validateBody(promptPreviewSchema), async (req, res) => {
+  // Stop the LLM calls when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { sourceUrl, persona, shotType, enableNSFW, provider, scene, style, stylePrompt, negativePrompt } = req.body;
+
+    const preview = await previewPrompt({
+      sourceUrl,
+      persona,
+      shotType: normalizeShotType(shotType),
+      enableNSFW,
+      providerId: provider,
+      scene,
+      style,
+      stylePrompt,
+      negativePrompt,
+      signal: controller.signal
+    });
+
+    res.json(preview);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error.fields));
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json(quotaErrorBody(error));
+    }
+    console.error('Error in /api/prompts/preview:', error);
+    res.status(500).json({
+      error: 'Failed to preview prompt',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/styles
+ * Style presets for settings.style, with their prompt fragments, negative prompts and defaults
+ */
+router.get('/styles', (req, res) => {
+  const presets = Object.entries(getStylePresets()).map(([name, preset]) => ({
+    name,
+    description: preset.description || null,
+    prompt: preset.prompt || '',
+    negativePrompt: preset.negativePrompt || '',
+    aspectRatio: preset.aspectRatio || null,
+    resolution: preset.resolution || null
+  }));
+
+  res.json({ default: DEFAULT_STYLE_PRESET, baseNegativePrompt: BASE_NEGATIVE_PROMPT, presets });
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import { getSpendReport } from '../services/usage.service.js';
+import { validateQuery } from '../middleware/validate.middleware.js';
+import { validationErrorBody } from '../utils/validation.js';
+import { spendReportQuerySchema, reportRangeDays, MAX_REPORT_DAYS } from '../schemas/reports.schemas.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/reports/spend
+ * Estimated provider spend, broken down by persona, model, platform and day
+ *
+ * Query: from, to (YYYY-MM-DD, UTC, inclusive; default last 30 days), persona, platform
+ * Costs come from the price table in src/config/pricing.js (PRICE_TABLE overrides)
+ */
+router.get('/spend', validateQuery(spendReportQuerySchema), async (req, res) => {
+  try {
+    const { from, to, persona, platform } = req.query;
+
+    const days = reportRangeDays(from, to);
+    if (days < 1) {
+      return res.status(400).json(validationErrorBody([{ field: 'to', message: 'must not be before from' }]));
+    }
+    if (days > MAX_REPORT_DAYS) {
+      return res.status(400).json(validationErrorBody([{ field: 'to', message: `range must be at most ${MAX_REPORT_DAYS} days` }]));
+    }
+
+    const report = await getSpendReport({ from, to, persona, platform });
+    res.json(report);
+  } catch (error) {
+    console.error('Error in /api/reports/spend:', error);
+    res.status(500).json({
+      error: 'Failed to build spend report',
+      message: error.message
+    });
+  }
+});
+
+export default router;
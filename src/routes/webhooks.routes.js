@@ -0,0 +1,86 @@
+import express from 'express';
+import { listDeliveries, getDelivery, replayDelivery } from '../services/webhook.service.js';
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+/**
+ * GET /api/webhooks/deliveries
+ * List webhook deliveries, newest first
+ *
+ * Query: status (pending | retrying | delivered | failed), jobId, limit (max 200)
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { status, jobId } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const deliveries = await listDeliveries({ status, jobId, limit });
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Error in /api/webhooks/deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch deliveries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * Get a delivery with its attempt history
+ */
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const delivery = await getDelivery(deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: `Delivery not found: ${deliveryId}` });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error in /api/webhooks/deliveries/:deliveryId:', error);
+    res.status(500).json({
+      error: 'Failed to fetch delivery',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Re-send a delivery (same id and payload) and return the updated delivery
+ */
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const delivery = await replayDelivery(deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: `Delivery not found: ${deliveryId}` });
+    }
+
+    res.json({
+      success: delivery.status === 'delivered',
+      delivery
+    });
+  } catch (error) {
+    console.error('Error in /api/webhooks/deliveries/:deliveryId/replay:', error);
+    res.status(500).json({
+      error: 'Failed to replay delivery',
+      message: error.message
+    });
+  }
+});
+
+export default router;
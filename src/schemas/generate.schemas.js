@@ -0,0 +1,153 @@
+/**
+ * Request schemas for /api/generate
+ * Allowed values mirror what the providers actually support, so typos fail
+ * loudly instead of silently falling back to defaults
+ */
+
+import { BATCH_LIMITS } from '../services/generation.service.js';
+import { listProviders } from '../providers/index.js';
+import { MAX_SEED } from '../utils/seed.js';
+import { SCENE_FIELDS } from '../config/prompt-templates.js';
+import { getStylePresets } from '../config/style-presets.js';
+
+export const PLATFORMS = ['pinterest', 'tiktok', 'instagram', 'generic'];
+export const MODES = ['image', 'video'];
+
+// Extension values and their database equivalents (normalized in the routes)
+export const SHOT_TYPES = ['close-up', 'half-body', 'full-body', 'close', 'half', 'full'];
+
+/**
+ * Normalize shot type values from Chrome Extension to database format
+ * Extension sends: "close-up", "half-body", "full-body"
+ * Database expects: "close", "half", "full"
+ */
+export function normalizeShotType(shotType) {
+  if (!shotType) return null;
+  const mapping = {
+    'close-up': 'close',
+    'half-body': 'half',
+    'full-body': 'full'
+  };
+  return mapping[shotType] || shotType;
+}
+
+// Aspect ratios supported by both Gemini and Seedream (calculateImageSize)
+export const ASPECT_RATIOS = ['1:1', '3:4', '9:16', '16:9'];
+export const RESOLUTIONS = ['1K', '2K', '4K'];
+export const VIDEO_RESOLUTIONS = ['480p', '720p', '1080p'];
+
+// Video pipelines: WAN animates a source video, Kling/Veo animate a still or generate from text
+export const VIDEO_MODES = ['video-to-video', 'image-to-video', 'text-to-video'];
+// Still used for image-to-video: a persona reference image, or one generated from the source image
+export const VIDEO_IMAGE_SOURCES = ['reference', 'generated'];
+// WAN Animate: replace swaps the face, move animates the persona (and outfit) with the source motion
+export const WAN_MODES = ['replace', 'move'];
+export const REFERENCE_CATEGORIES = ['face', 'body'];
+// Registered video providers, by id or alias (e.g. "wan-22")
+export const VIDEO_MODELS = listProviders({ type: 'video' }).flatMap(provider => [provider.id, ...provider.aliases]);
+
+// Replaces fields of the analyzed source image before the prompt is built,
+// e.g. { "setting": "a rooftop bar at night" } keeps everything else
+export const sceneSchema = {
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(SCENE_FIELDS).map(field => [field, { type: 'string', maxLength: 1000 }]))
+};
+
+// Style preset name (config/style-presets.js); presets can be added with STYLE_PRESETS, so they're checked at request time
+export const styleSchema = {
+  type: 'string',
+  maxLength: 100,
+  check: value => (getStylePresets()[value] ? null : `must be one of: ${Object.keys(getStylePresets()).join(', ')}`)
+};
+
+const settingsSchema = {
+  type: 'object',
+  default: () => ({}),
+  check: settings => (settings.videoMode === 'text-to-video' && !settings.prompt
+    ? 'prompt is required for text-to-video'
+    : null),
+  properties: {
+    aspectRatio: { type: 'string', enum: ASPECT_RATIOS },
+    resolution: { type: 'string', enum: RESOLUTIONS },
+    videoModel: { type: 'string', enum: VIDEO_MODELS },
+    videoMode: { type: 'string', enum: VIDEO_MODES },
+    imageSource: { type: 'string', enum: VIDEO_IMAGE_SOURCES },
+    duration: { type: 'integer', min: 1, max: 60 },
+    videoResolution: { type: 'string', enum: VIDEO_RESOLUTIONS },
+    wanMode: { type: 'string', enum: WAN_MODES },
+    referenceCategory: { type: 'string', enum: REFERENCE_CATEGORIES },
+    referenceIndex: { type: 'integer', min: 0, max: 50 },
+    seed: { type: 'integer', min: -1, max: MAX_SEED },
+    enableNSFW: { type: 'boolean' },
+    persona: {
+      type: 'string',
+      pattern: /^[a-z0-9_-]{1,64}$/i,
+      patternMessage: 'must be 1-64 letters, digits, "_" or "-"'
+    },
+    prompt: { type: 'string', maxLength: 4000 },
+    scene: sceneSchema,
+    style: styleSchema,
+    // Replace the style preset's prompt fragment and negative prompt ('' for none)
+    stylePrompt: { type: 'string', maxLength: 1000 },
+    negativePrompt: { type: 'string', maxLength: 2000 },
+    quality: { type: 'string', maxLength: 100 }
+  }
+};
+
+const sourceFields = {
+  sourceUrl: { type: 'string', required: true, format: 'url', maxLength: 2048 },
+  shotType: { type: 'string', enum: SHOT_TYPES },
+  settings: settingsSchema,
+  timestamp: { type: 'string', maxLength: 64 }
+};
+
+// POST /api/generate
+export const generateSchema = {
+  mode: { type: 'string', required: true, enum: MODES },
+  platform: { type: 'string', required: true, enum: PLATFORMS },
+  ...sourceFields
+};
+
+// POST /api/generate/image and /video
+export const directGenerateSchema = {
+  platform: { type: 'string', enum: PLATFORMS, default: 'generic' },
+  ...sourceFields
+};
+
+// POST /api/generate/batch
+export const batchGenerateSchema = {
+  mode: { type: 'string', required: true, enum: MODES },
+  platform: { type: 'string', required: true, enum: PLATFORMS },
+  sourceUrls: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: BATCH_LIMITS.maxSources,
+    items: { type: 'string', format: 'url', maxLength: 2048 }
+  },
+  variations: { type: 'integer', min: 1, max: BATCH_LIMITS.maxVariations, default: 1 },
+  shotType: { type: 'string', enum: SHOT_TYPES },
+  settings: settingsSchema
+};
+
+// POST /api/generate/:jobId/rerun
+// Overrides of the job's recorded provider request; fields the provider doesn't take are rejected
+export const rerunSchema = {
+  overrides: {
+    type: 'object',
+    default: () => ({}),
+    properties: {
+      prompt: { type: 'string', minLength: 1, maxLength: 4000 },
+      negativePrompt: { type: 'string', maxLength: 2000 },
+      seed: { type: 'integer', min: -1, max: MAX_SEED },
+      size: { type: 'string', maxLength: 16 },
+      guidanceScale: { type: 'number', min: 0, max: 30 },
+      referenceUrls: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 4,
+        items: { type: 'string', format: 'url', maxLength: 2048 }
+      }
+    }
+  }
+};
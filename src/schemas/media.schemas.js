@@ -0,0 +1,30 @@
+/**
+ * Request schemas for /api/media
+ */
+
+import { SCENE_FIELDS } from '../config/prompt-templates.js';
+import { MODES, PLATFORMS } from './generate.schemas.js';
+
+export const MEDIA_SEARCH_MAX_LIMIT = 100;
+
+// One of url (public URL in the gallery bucket) or path (storage path in the bucket)
+export const mediaVerifyQuerySchema = {
+  url: { type: 'string', format: 'url', maxLength: 2048 },
+  path: { type: 'string', minLength: 1, maxLength: 1024 }
+};
+
+// Each scene field matches jobs whose analyzed scene contains the text (case-insensitive)
+export const mediaSearchQuerySchema = {
+  ...Object.fromEntries(Object.keys(SCENE_FIELDS).map(field => [field, { type: 'string', minLength: 2, maxLength: 200 }])),
+  persona: { type: 'string', minLength: 1, maxLength: 100 },
+  mode: { type: 'string', enum: MODES },
+  platform: { type: 'string', enum: PLATFORMS },
+  limit: {
+    type: 'string',
+    default: '50',
+    pattern: /^\d{1,3}$/,
+    patternMessage: 'must be an integer',
+    check: value => (Number(value) >= 1 && Number(value) <= MEDIA_SEARCH_MAX_LIMIT ? null : `must be 1-${MEDIA_SEARCH_MAX_LIMIT}`)
+  },
+  offset: { type: 'string', default: '0', pattern: /^\d{1,6}$/, patternMessage: 'must be a non-negative integer' }
+};
@@ -0,0 +1,17 @@
+/**
+ * Request schemas for /api/prompt-templates
+ */
+
+// POST /api/prompt-templates/:name/versions
+// system defaults to the active version's system prompt; null removes it
+export const createTemplateVersionSchema = {
+  body: { type: 'string', required: true, minLength: 1, maxLength: 20000 },
+  system: { type: 'string', maxLength: 5000 },
+  notes: { type: 'string', maxLength: 1000 },
+  activate: { type: 'boolean', default: true }
+};
+
+// PUT /api/prompt-templates/:name/active
+export const activateTemplateVersionSchema = {
+  version: { type: 'integer', required: true, min: 1 }
+};
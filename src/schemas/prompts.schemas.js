@@ -0,0 +1,27 @@
+/**
+ * Request schemas for /api/prompts
+ */
+
+import { listProviders } from '../providers/index.js';
+import { SHOT_TYPES, sceneSchema, styleSchema } from './generate.schemas.js';
+
+// Registered image providers, by id or alias (e.g. "GEMINI_IMAGE")
+export const IMAGE_MODELS = listProviders({ type: 'image' }).flatMap(provider => [provider.id, ...provider.aliases]);
+
+// POST /api/prompts/preview
+export const promptPreviewSchema = {
+  sourceUrl: { type: 'string', required: true, format: 'url', maxLength: 2048 },
+  persona: {
+    type: 'string',
+    pattern: /^[a-z0-9_-]{1,64}$/i,
+    patternMessage: 'must be 1-64 letters, digits, "_" or "-"'
+  },
+  shotType: { type: 'string', enum: SHOT_TYPES },
+  enableNSFW: { type: 'boolean', default: false },
+  // Provider whose reference limit and image layout to preview; defaults to the first of the fallback chain
+  provider: { type: 'string', enum: IMAGE_MODELS },
+  scene: sceneSchema,
+  style: styleSchema,
+  stylePrompt: { type: 'string', maxLength: 1000 },
+  negativePrompt: { type: 'string', maxLength: 2000 }
+};
@@ -0,0 +1,41 @@
+/**
+ * Request schemas for /api/reports
+ */
+
+import { PLATFORMS } from './generate.schemas.js';
+
+export const DEFAULT_REPORT_DAYS = 30;
+export const MAX_REPORT_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00.000Z`));
+}
+
+function utcDate(offsetDays = 0) {
+  return new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Days from `from` to `to` inclusive (from/to already validated)
+ */
+export function reportRangeDays(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+}
+
+// Dates are UTC days; both ends are inclusive. Defaults to the last 30 days.
+export const spendReportQuerySchema = {
+  from: {
+    type: 'string',
+    default: () => utcDate(-(DEFAULT_REPORT_DAYS - 1)),
+    check: value => isValidDate(value) ? null : 'must be a date (YYYY-MM-DD)'
+  },
+  to: {
+    type: 'string',
+    default: () => utcDate(),
+    check: value => isValidDate(value) ? null : 'must be a date (YYYY-MM-DD)'
+  },
+  persona: { type: 'string', minLength: 1, maxLength: 100 },
+  platform: { type: 'string', enum: PLATFORMS }
+};
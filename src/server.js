@@ -5,6 +5,21 @@ import dotenv from 'dotenv';
 // Import routes
 import generateRoutes from './routes/generate.routes.js';
 import healthRoutes from './routes/health.routes.js';
+import webhookRoutes from './routes/webhooks.routes.js';
+import keyRoutes from './routes/keys.routes.js';
+import reportRoutes from './routes/reports.routes.js';
+import budgetRoutes from './routes/budgets.routes.js';
+import mediaRoutes from './routes/media.routes.js';
+import promptTemplateRoutes from './routes/prompt-templates.routes.js';
+import promptRoutes from './routes/prompts.routes.js';
+
+// Import auth middleware
+import { authenticate, rateLimit, requireScope } from './middleware/auth.middleware.js';
+import { isOriginAllowed } from './config/cors.js';
+
+// Import queue workers
+import { startGenerationWorkers } from './services/generation.service.js';
+import { shouldRunWorkersInProcess } from './services/queue.service.js';
 
 // Load environment variables
 dotenv.config();
@@ -13,8 +28,9 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+// CORS: the extension (or the CORS_ORIGIN allow-list) only, see config/cors.js
 app.use(cors({
-  origin: process.env.CORS_ORIGIN || '*',
+  origin: (origin, callback) => callback(null, !origin || isOriginAllowed(origin)),
   credentials: true
 }));
 app.use(express.json({ limit: '50mb' }));
@@ -28,7 +44,14 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/health', healthRoutes);
-app.use('/api/generate', generateRoutes);
+app.use('/api/generate', authenticate, rateLimit, generateRoutes);
+app.use('/api/webhooks', authenticate, rateLimit, requireScope('admin'), webhookRoutes);
+app.use('/api/keys', authenticate, rateLimit, requireScope('admin'), keyRoutes);
+app.use('/api/reports', authenticate, rateLimit, requireScope('admin'), reportRoutes);
+app.use('/api/budgets', authenticate, rateLimit, requireScope('read'), budgetRoutes);
+app.use('/api/media', authenticate, rateLimit, requireScope('read'), mediaRoutes);
+app.use('/api/prompt-templates', authenticate, rateLimit, promptTemplateRoutes);
+app.use('/api/prompts', authenticate, rateLimit, requireScope('generate'), promptRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -65,3 +88,13 @@ app.listen(PORT, '0.0.0.0', () => {
 ╚═══════════════════════════════════════════════════════╝
   `);
 });
+
+// Start queue workers (disable with RUN_WORKERS_IN_PROCESS=false and run `npm run worker`)
+if (shouldRunWorkersInProcess()) {
+  startGenerationWorkers().catch(error => {
+    console.error('Failed to start queue workers:', error);
+    process.exit(1);
+  });
+} else {
+  console.log('Queue workers disabled in API process (RUN_WORKERS_IN_PROCESS=false)');
+}
@@ -0,0 +1,202 @@
+/**
+ * APIKEY.SERVICE.JS
+ * API keys for the extension installs and teammates
+ *
+ * - Keys are shown once on creation; only the SHA-256 hash is stored
+ * - Each key carries scopes (generate, read, admin), a per-minute rate limit and a daily generation quota
+ * - Valid keys are cached briefly so SSE polling and status checks don't hit the database every time
+ *   (unknown keys are not cached, so random tokens can't grow the cache)
+ */
+
+import crypto from 'crypto';
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+
+export const API_KEY_SCOPES = ['generate', 'read', 'admin'];
+
+const KEY_PREFIX = 'aiv_';
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+// key hash -> { apiKey, expiresAt }, valid keys only, in insertion order (oldest first)
+const keyCache = new Map();
+// api key id -> last time last_used_at was written
+const lastUsedWrites = new Map();
+
+function getApiKeyConfig() {
+  return {
+    required: process.env.REQUIRE_API_KEY !== 'false',
+    adminKey: process.env.ADMIN_API_KEY || '',
+    defaultRateLimitPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '60', 10),
+    defaultDailyQuota: parseInt(process.env.DAILY_GENERATION_QUOTA || '200', 10)
+  };
+}
+
+export function isApiKeyRequired() {
+  return getApiKeyConfig().required;
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function timingSafeEqualStrings(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Resolve a presented key to its record
+ * Returns null for unknown or revoked keys
+ *
+ * ADMIN_API_KEY (env) is accepted as a built-in admin key so the first real keys can be issued
+ */
+export async function authenticateApiKey(presentedKey) {
+  const config = getApiKeyConfig();
+
+  if (config.adminKey && timingSafeEqualStrings(presentedKey, config.adminKey)) {
+    return {
+      id: null,
+      name: 'env:ADMIN_API_KEY',
+      scopes: ['admin', 'generate', 'read'],
+      rate_limit_per_minute: null,
+      daily_generation_quota: null
+    };
+  }
+
+  const keyHash = hashApiKey(presentedKey);
+  const cached = keyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.apiKey;
+  }
+
+  const { data: apiKey, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.API_KEYS)
+    .select('id, name, key_prefix, scopes, rate_limit_per_minute, daily_generation_quota, revoked_at')
+    .eq('key_hash', keyHash)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up API key: ${error.message}`);
+  }
+
+  if (!apiKey || apiKey.revoked_at) {
+    return null;
+  }
+
+  const result = withDefaults(apiKey, config);
+  cacheApiKey(keyHash, result);
+  touchLastUsed(result.id);
+  return result;
+}
+
+/**
+ * Cache a valid key, dropping expired entries and then the oldest ones past CACHE_MAX_ENTRIES
+ */
+function cacheApiKey(keyHash, apiKey) {
+  const now = Date.now();
+  keyCache.delete(keyHash);
+
+  if (keyCache.size >= CACHE_MAX_ENTRIES) {
+    for (const [hash, entry] of keyCache) {
+      if (entry.expiresAt <= now) keyCache.delete(hash);
+    }
+  }
+  while (keyCache.size >= CACHE_MAX_ENTRIES) {
+    keyCache.delete(keyCache.keys().next().value);
+  }
+
+  keyCache.set(keyHash, { apiKey, expiresAt: now + CACHE_TTL_MS });
+}
+
+function withDefaults(apiKey, config) {
+  return {
+    ...apiKey,
+    rate_limit_per_minute: apiKey.rate_limit_per_minute ?? config.defaultRateLimitPerMinute,
+    daily_generation_quota: apiKey.daily_generation_quota ?? config.defaultDailyQuota
+  };
+}
+
+/**
+ * Record last_used_at, at most once per LAST_USED_INTERVAL_MS per key
+ */
+function touchLastUsed(apiKeyId) {
+  const lastWrite = lastUsedWrites.get(apiKeyId) || 0;
+  if (Date.now() - lastWrite < LAST_USED_INTERVAL_MS) return;
+  lastUsedWrites.set(apiKeyId, Date.now());
+
+  mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.API_KEYS)
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', apiKeyId)
+    .then(({ error }) => {
+      if (error) console.error(`[ApiKey] Failed to update last_used_at for ${apiKeyId}:`, error.message);
+    });
+}
+
+// ==========================================
+// KEY MANAGEMENT
+// ==========================================
+
+/**
+ * Issue a new key
+ * The plaintext key is only returned here
+ */
+export async function createApiKey({ name, scopes, rateLimitPerMinute = null, dailyGenerationQuota = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.API_KEYS)
+    .insert({
+      name,
+      key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      key_hash: hashApiKey(key),
+      scopes,
+      rate_limit_per_minute: rateLimitPerMinute,
+      daily_generation_quota: dailyGenerationQuota,
+      created_at: new Date().toISOString()
+    })
+    .select('id, name, key_prefix, scopes, rate_limit_per_minute, daily_generation_quota, created_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create API key: ${error.message}`);
+  }
+
+  console.log(`[ApiKey] Created key ${data.key_prefix}... (${name}) with scopes: ${scopes.join(', ')}`);
+  return { ...data, key };
+}
+
+export async function listApiKeys() {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.API_KEYS)
+    .select('id, name, key_prefix, scopes, rate_limit_per_minute, daily_generation_quota, last_used_at, revoked_at, created_at')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch API keys: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Revoke a key
+ * Returns null if the key doesn't exist
+ */
+export async function revokeApiKey(apiKeyId) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.API_KEYS)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', apiKeyId)
+    .select('id, name, key_prefix, revoked_at')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to revoke API key: ${error.message}`);
+  }
+
+  // Drop cached lookups so the revocation applies immediately in this process
+  keyCache.clear();
+  return data;
+}
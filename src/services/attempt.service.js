@@ -0,0 +1,56 @@
+/**
+ * ATTEMPT.SERVICE.JS
+ * Records every provider attempt made for a job (model, outcome, error)
+ * so we can see which provider actually produced the output
+ */
+
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+
+/**
+ * Record a finished attempt
+ * Never throws - attempt logging must not break generation
+ */
+export async function recordAttempt(jobId, { attemptNumber, model, status, error = null, startedAt }) {
+  const row = {
+    job_id: jobId,
+    attempt_number: attemptNumber,
+    model,
+    status,
+    error_message: error?.message || null,
+    error_status: error?.status || null,
+    retryable: error ? Boolean(error.retryable) : null,
+    started_at: startedAt,
+    finished_at: new Date().toISOString()
+  };
+
+  try {
+    const { error: insertError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_ATTEMPTS)
+      .insert(row);
+
+    if (insertError) {
+      console.error(`[${jobId}] Failed to record attempt ${attemptNumber}:`, insertError.message);
+    }
+  } catch (insertError) {
+    console.error(`[${jobId}] Failed to record attempt ${attemptNumber}:`, insertError.message);
+  }
+
+  return row;
+}
+
+/**
+ * Fetch all attempts for a job, oldest first
+ */
+export async function getJobAttempts(jobId) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_ATTEMPTS)
+    .select('attempt_number, model, status, error_message, error_status, retryable, started_at, finished_at')
+    .eq('job_id', jobId)
+    .order('attempt_number', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch attempts: ${error.message}`);
+  }
+
+  return data || [];
+}
@@ -0,0 +1,381 @@
+/**
+ * BUDGET.SERVICE.JS
+ * Daily generation budgets, globally and per persona (limits in config/budgets.js),
+ * and the per-API-key daily generation quota (api_keys.daily_generation_quota)
+ *
+ * - Counts today's (UTC) generation_jobs: images and videos exclude failed and cancelled jobs
+ * - Spend uses each job's estimated_cost_usd once it has run, and the cost reserved when it was
+ *   created (unit prices from config/pricing.js, including a generated still) while it's queued or running
+ * - Prompt previews count toward spend with the LLM calls they recorded in generation_usage (rows without a job)
+ * - A request that would go over a limit is rejected with QuotaExceededError before any job is created
+ * - The check and a reservation for the new jobs are one database call (reserve_generation_budget,
+ *   serialized with an advisory lock), so concurrent requests can't both take the last slot
+ * - It runs when jobs are created, after the idempotency lookup, so a replayed request is never charged
+ * - Crossing BUDGET_WARNING_THRESHOLD (default 80%) of a limit is logged and listed by GET /api/budgets/warnings
+ */
+
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+import { getBudgetConfig, getPersonaLimits } from '../config/budgets.js';
+import { getUnitPrice } from '../config/pricing.js';
+import { QuotaExceededError } from '../utils/errors.js';
+
+const PAGE_SIZE = 1000;
+
+// Reservations not released (the process died between reserving and inserting jobs) stop counting after this
+const RESERVATION_TTL_SECONDS = 5 * 60;
+
+const LIMIT_LABELS = {
+  images: 'image generations',
+  videos: 'video generations',
+  spendUsd: 'estimated spend (USD)'
+};
+
+function startOfUtcDay() {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
+
+function hasLimits(limits) {
+  return Object.values(limits).some(limit => limit !== null && limit !== undefined);
+}
+
+/**
+ * Today's jobs (all personas, or one)
+ */
+async function fetchJobsToday(persona = null) {
+  const since = startOfUtcDay().toISOString();
+  const jobs = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+      .select('persona, mode, status, provider_id, estimated_cost_usd, reserved_cost_usd')
+      .gte('created_at', since)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (persona) query = query.eq('persona', persona);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to count today's generations: ${error.message}`);
+    }
+
+    jobs.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return jobs;
+}
+
+/**
+ * Today's prompt preview usage rows (generation_usage rows without a job)
+ */
+async function fetchPreviewUsageToday() {
+  const since = startOfUtcDay().toISOString();
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_USAGE)
+      .select('persona, estimated_cost_usd')
+      .is('job_id', null)
+      .gte('created_at', since)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch today's preview usage: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Estimated cost of a job for budgeting: its recorded cost once it has run,
+ * otherwise its reserved cost while it's queued or running
+ * (the provider's unit price for jobs created before reserved_cost_usd)
+ */
+function jobSpend(job) {
+  if (job.estimated_cost_usd !== null && job.estimated_cost_usd !== undefined) {
+    return Number(job.estimated_cost_usd);
+  }
+  if (!['pending', 'processing'].includes(job.status)) {
+    return 0;
+  }
+  return job.reserved_cost_usd !== null && job.reserved_cost_usd !== undefined
+    ? Number(job.reserved_cost_usd)
+    : getUnitPrice(job.provider_id);
+}
+
+/**
+ * Usage totals for a set of jobs and prompt preview usage rows: { images, videos, spendUsd }
+ */
+function summarizeJobs(jobs, previewUsage = []) {
+  const usage = { images: 0, videos: 0, spendUsd: 0 };
+
+  for (const job of jobs) {
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      if (job.mode === 'image') usage.images++;
+      if (job.mode === 'video') usage.videos++;
+    }
+    usage.spendUsd += jobSpend(job);
+  }
+  for (const row of previewUsage) {
+    usage.spendUsd += Number(row.estimated_cost_usd) || 0;
+  }
+
+  usage.spendUsd = Math.round(usage.spendUsd * 100) / 100;
+  return usage;
+}
+
+/**
+ * Compare usage with limits
+ * @returns {Array<{ limit, allowed, used, ratio, status }>} status: ok | warning | reached
+ */
+function describeLimits(limits, usage, warningThreshold) {
+  return Object.keys(LIMIT_LABELS)
+    .filter(name => limits[name] !== null && limits[name] !== undefined)
+    .map(name => {
+      const allowed = limits[name];
+      const used = usage[name];
+      // A limit of 0 blocks everything, so it counts as reached
+      const ratio = allowed > 0 ? Math.round(used / allowed * 1000) / 1000 : 1;
+      const status = used >= allowed ? 'reached' : ratio >= warningThreshold ? 'warning' : 'ok';
+      return { limit: name, allowed, used, ratio, status };
+    });
+}
+
+// ==========================================
+// PRE-FLIGHT CHECK
+// ==========================================
+
+/**
+ * Reserve today's budget, and the API key's daily quota, for `count` new jobs or prompt previews
+ * Previews only reserve spend: they aren't jobs, so the key's quota and the image/video counts don't apply
+ * Throws QuotaExceededError when the key's quota or a global or persona limit would be exceeded
+ *
+ * The check and the reservation happen in one call to reserve_generation_budget, so two requests
+ * can't both pass on the same remaining budget. Release the reservation once the jobs are inserted
+ * (they count toward the budget themselves from then on) or failed to insert; reservations
+ * left behind by a crash expire after RESERVATION_TTL_SECONDS.
+ *
+ * @param {Object} options
+ * @param {string} options.persona
+ * @param {string} options.mode - 'image' | 'video' | 'preview'
+ * @param {number} options.costUsd - estimated cost of one job (see estimateJobCost in generation.service.js)
+ *   or preview
+ * @param {number} [options.count]
+ * @param {string} [options.apiKeyId] - key creating the jobs
+ * @param {number} [options.dailyQuota] - the key's daily_generation_quota (null: no quota)
+ * @returns {Promise<{ warnings: Array, release: () => Promise<void> }>} warnings for limits this
+ *   request pushes past the warning threshold
+ */
+export async function reserveGenerationBudget({ persona, mode, costUsd, count = 1, apiKeyId = null, dailyQuota = null }) {
+  const config = getBudgetConfig();
+  const personaLimits = getPersonaLimits(config, persona);
+  const checkGlobal = hasLimits(config.global);
+  const checkQuota = Boolean(apiKeyId && dailyQuota && mode !== 'preview');
+
+  if (!checkQuota && !checkGlobal && !hasLimits(personaLimits)) {
+    return { warnings: [], release: async () => {} };
+  }
+
+  const requested = {
+    images: mode === 'image' ? count : 0,
+    videos: mode === 'video' ? count : 0,
+    jobs: mode === 'preview' ? 0 : count,
+    spendUsd: Math.round(costUsd * count * 100) / 100
+  };
+  const limits = {
+    ...(checkQuota && { apiKey: { jobs: dailyQuota } }),
+    persona: personaLimits,
+    ...(checkGlobal && { global: config.global })
+  };
+
+  const { data, error } = await mediaVaultClient.rpc('reserve_generation_budget', {
+    p_persona: persona,
+    p_images: requested.images,
+    p_videos: requested.videos,
+    p_spend_usd: requested.spendUsd,
+    p_limits: limits,
+    p_ttl_seconds: RESERVATION_TTL_SECONDS,
+    p_api_key_id: checkQuota ? apiKeyId : null
+  });
+
+  if (error) {
+    throw new Error(`Failed to reserve generation budget: ${error.message}`);
+  }
+
+  // Usage before this request, per scope, as counted by the database
+  const scopes = Object.entries(limits).map(([scope, scopeLimits]) => ({
+    scope,
+    limits: scopeLimits,
+    usage: normalizeUsage(data.usage[scope])
+  }));
+
+  if (!data.reserved) {
+    throw quotaExceeded(scopes, requested, persona);
+  }
+
+  return {
+    warnings: budgetWarnings(scopes, requested, persona, config.warningThreshold),
+    release: () => releaseReservation(data.reservation_id)
+  };
+}
+
+function normalizeUsage(usage = {}) {
+  return {
+    images: Number(usage.images || 0),
+    videos: Number(usage.videos || 0),
+    jobs: Number(usage.jobs || 0),
+    spendUsd: Math.round(Number(usage.spendUsd || 0) * 100) / 100
+  };
+}
+
+function usedAfter(used, requested) {
+  return Math.round((used + requested) * 100) / 100;
+}
+
+function describeOwner(scope, persona) {
+  if (scope === 'apiKey') return 'API key';
+  return scope === 'persona' ? `Persona ${persona}` : 'Global';
+}
+
+/**
+ * QuotaExceededError for the first limit the request goes over
+ */
+function quotaExceeded(scopes, requested, persona) {
+  const resetsAt = new Date(startOfUtcDay().getTime() + 24 * 60 * 60 * 1000).toISOString();
+
+  for (const { scope, limits, usage } of scopes) {
+    if (scope === 'apiKey') {
+      if (usage.jobs + requested.jobs > limits.jobs) {
+        return new QuotaExceededError(
+          `API key daily generation quota reached: ${usage.jobs} of ${limits.jobs} used, ${requested.jobs} requested`,
+          { scope, limit: 'jobs', quota: limits.jobs, used: usage.jobs, requested: requested.jobs, resetsAt }
+        );
+      }
+      continue;
+    }
+
+    for (const name of Object.keys(LIMIT_LABELS)) {
+      const allowed = limits[name];
+      if (allowed === null || allowed === undefined || requested[name] === 0) continue;
+
+      const used = usage[name];
+      if (usedAfter(used, requested[name]) > allowed) {
+        return new QuotaExceededError(
+          `${describeOwner(scope, persona)} daily ${LIMIT_LABELS[name]} limit reached: ${used} of ${allowed} used, ${requested[name]} requested`,
+          {
+            scope,
+            persona: scope === 'persona' ? persona : null,
+            limit: name,
+            allowed,
+            used,
+            requested: requested[name],
+            resetsAt
+          }
+        );
+      }
+    }
+  }
+
+  return new QuotaExceededError('Daily generation budget reached', { persona });
+}
+
+/**
+ * Limits a reserved request pushes past the warning threshold (logged when first crossed)
+ */
+function budgetWarnings(scopes, requested, persona, warningThreshold) {
+  const warnings = [];
+
+  for (const { scope, limits, usage } of scopes) {
+    for (const name of Object.keys(LIMIT_LABELS)) {
+      const allowed = limits[name];
+      if (allowed === null || allowed === undefined || requested[name] === 0) continue;
+
+      const used = usage[name];
+      const after = usedAfter(used, requested[name]);
+      const warnAt = allowed * warningThreshold;
+
+      if (after >= warnAt && used < warnAt) {
+        console.warn(`[Budget] ${describeOwner(scope, persona)} passed ${Math.round(warningThreshold * 100)}% of daily ${LIMIT_LABELS[name]}: ${after} of ${allowed}`);
+      }
+      if (after >= warnAt) {
+        warnings.push({ scope, persona: scope === 'persona' ? persona : null, limit: name, allowed, used: after });
+      }
+    }
+  }
+
+  return warnings;
+}
+
+async function releaseReservation(reservationId) {
+  const { error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_BUDGET_RESERVATIONS)
+    .delete()
+    .eq('id', reservationId);
+
+  if (error) {
+    console.error(`[Budget] Failed to release reservation ${reservationId}:`, error.message);
+  }
+}
+
+// ==========================================
+// STATUS / WARNINGS
+// ==========================================
+
+/**
+ * Today's usage against every configured limit
+ * Personas are the ones with PERSONA_BUDGETS entries plus any with jobs or previews today
+ */
+export async function getBudgetStatus() {
+  const config = getBudgetConfig();
+  const [jobs, previewUsage] = await Promise.all([fetchJobsToday(), fetchPreviewUsageToday()]);
+
+  const personas = [...new Set([
+    ...Object.keys(config.personas),
+    ...[...jobs, ...previewUsage].map(row => row.persona).filter(Boolean)
+  ])].sort();
+  const globalUsage = summarizeJobs(jobs, previewUsage);
+
+  return {
+    date: startOfUtcDay().toISOString().slice(0, 10),
+    warningThreshold: config.warningThreshold,
+    global: {
+      usage: globalUsage,
+      limits: describeLimits(config.global, globalUsage, config.warningThreshold)
+    },
+    personas: personas.map(persona => {
+      const usage = summarizeJobs(
+        jobs.filter(job => job.persona === persona),
+        previewUsage.filter(row => row.persona === persona)
+      );
+      return {
+        persona,
+        usage,
+        limits: describeLimits(getPersonaLimits(config, persona), usage, config.warningThreshold)
+      };
+    })
+  };
+}
+
+/**
+ * Limits at or past the warning threshold (including reached ones)
+ */
+export async function getBudgetWarnings() {
+  const status = await getBudgetStatus();
+
+  const warnings = [
+    ...status.global.limits.map(limit => ({ scope: 'global', persona: null, ...limit })),
+    ...status.personas.flatMap(({ persona, limits }) => limits.map(limit => ({ scope: 'persona', persona, ...limit })))
+  ].filter(limit => limit.status !== 'ok');
+
+  return { date: status.date, warningThreshold: status.warningThreshold, warnings };
+}
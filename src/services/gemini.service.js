@@ -1,10 +1,22 @@
-import { downloadFile, uploadToSupabase, getReferenceImages, getInfluencerProfile } from './reference.service.js';
-import { reversePromptImage, buildGenerationPrompt } from './prompt.service.js';
+import { downloadFile, uploadToSupabase, getReferenceImages, getInfluencerProfile, selectReferences } from './reference.service.js';
+import { sanitizeOutput } from './provenance.service.js';
+import { checkOutputSafety } from './safety.service.js';
+import { reversePromptImage, applySceneOverrides, buildGenerationPrompt, applyStyleToPrompt, imageLabel } from './prompt.service.js';
+import { templateVersions } from './prompt-template.service.js';
+import { sleep, isAbortError } from '../utils/abort.js';
+import { ProviderError } from '../utils/errors.js';
+import { withRetry, reportRetry } from '../utils/retry.js';
+import { providerUrl } from '../config/providers.js';
+import { resolveStyle } from '../config/style-presets.js';
+import { resolveSeed } from '../utils/seed.js';
 
 /**
  * Generate image using Google AI Studio API (Nano Banana Pro / gemini-3-pro-image-preview)
  * Direct API call - NOT through Wavespeed
  * Uses your Google AI Studio credits
+ *
+ * With `replay` (a providerRequest recorded by an earlier job), the recorded prompt, seed,
+ * size and images are sent again without reverse prompting
  */
 export async function generateImageWithGemini(options) {
   const {
@@ -12,73 +24,129 @@ export async function generateImageWithGemini(options) {
     persona,
     shotType,
     apiKey,
-    settings = {}
+    maxReferences = 5,            // persona references sent before the source image (see selectReferences)
+    settings = {},
+    replay = null,                // recorded providerRequest to send again
+    provenance = null,            // stamp embedded in the output (provenance.service.js)
+    onProgress = async () => {},  // (step, data) => Promise - structured progress events
+    onUsage = async () => {},     // (usage) => Promise - billable provider calls (usage.service.js)
+    signal                        // AbortSignal - aborts uploads, reverse prompting and generation
   } = options;
 
   const GOOGLE_API_KEY = apiKey || process.env.GOOGLE_API_KEY;
 
-  // Map resolution and aspect ratio to Google API format
-  const aspectRatio = settings.aspectRatio || '3:4';
-  const imageSize = settings.resolution || '2K'; // 1K, 2K, or 4K
-
-  console.log(`[Gemini] Starting image generation for ${persona}`);
-  console.log(`[Gemini] Source: ${sourceUrl}`);
-  console.log(`[Gemini] Aspect Ratio: ${aspectRatio}, Size: ${imageSize}`);
+  console.log(`[Gemini] Starting image generation for ${persona}${replay ? ' (replay)' : ''}`);
+  console.log(`[Gemini] Source: ${replay?.sourceUrl || sourceUrl}`);
 
   try {
-    // Get reference images
-    const references = await getReferenceImages(persona, shotType);
-    const profile = await getInfluencerProfile(persona);
-
-    if (references.face.length === 0) {
-      throw new Error('No face reference images found.');
+    // Get reference images: face references, plus body references for half and full shots
+    let selected;
+    if (replay) {
+      selected = replay.referenceUrls.map((url, index) => ({ url, role: replay.referenceRoles?.[index] || 'face' }));
+    } else {
+      const references = await getReferenceImages(persona, shotType);
+      if (references.face.length === 0) {
+        throw new Error('No face reference images found.');
+      }
+      selected = selectReferences(references, { shotType, maxReferences });
+      console.log(`[Gemini] Using ${selected.length} of ${references.face.length} face + ${references.body.length} body refs`);
+    }
+    const imageUrl = replay ? replay.sourceUrl : sourceUrl;
+
+    // Step 1: Upload reference images to Google
+    console.log(`[Gemini] Uploading ${selected.length} reference image(s) to Google...`);
+    await onProgress('upload_temp', { message: 'Uploading reference and source images to Google' });
+    const referenceFiles = [];
+    for (const reference of selected) {
+      referenceFiles.push({ role: reference.role, uri: await uploadFileToGoogle(reference.url, GOOGLE_API_KEY, signal) });
     }
-
-    console.log(`[Gemini] Using ${references.face.length} face refs`);
-
-    // Step 1: Upload reference image to Google
-    console.log(`[Gemini] Uploading reference image to Google...`);
-    const referenceFile = await uploadFileToGoogle(references.face[0], GOOGLE_API_KEY);
 
     // Step 2: Upload source image to Google
-    const sourceBlob = await downloadFile(sourceUrl);
+    const sourceBlob = await downloadFile(imageUrl, { signal });
     console.log(`[Gemini] Uploading source image to Google...`);
-    const sourceFile = await uploadBlobToGoogle(sourceBlob, GOOGLE_API_KEY);
-
-    // Step 3: Reverse prompt - analyze source image
-    console.log(`[Gemini] Step 3: Reverse prompting source image...`);
-    const reversePrompt = await reversePromptImage(sourceUrl, false); // SFW only
+    const sourceFile = await uploadBlobToGoogle(sourceBlob, GOOGLE_API_KEY, signal);
+
+    let request = replay;
+    if (!request) {
+      const profile = await getInfluencerProfile(persona);
+
+      // Step 3: Reverse prompt - analyze source image
+      console.log(`[Gemini] Step 3: Reverse prompting source image...`);
+      await onProgress('reverse_prompt', { message: 'Analyzing source image' });
+      const analyzed = await reversePromptImage(sourceUrl, false, { signal, onUsage }); // SFW only
+      const analysis = applySceneOverrides(analyzed, settings.scene);
+
+      // Step 4: Build generation prompt with reference instructions
+      console.log(`[Gemini] Step 4: Building generation prompt...`);
+      await onProgress('build_prompt', { message: 'Building generation prompt' });
+      const style = resolveStyle(settings);
+      const edited = await buildGenerationPrompt(analysis, profile, selected, false, {
+        signal,
+        onUsage,
+        sourceImageNumber: selected.length + 1,
+        stylePrompt: style.prompt
+      });
+
+      // Map resolution and aspect ratio to Google API format
+      // Gemini has no negative prompt, so the style's is written into the prompt
+      request = {
+        model: 'gemini-3-pro-image-preview',
+        prompt: applyStyleToPrompt(edited.prompt, style, { negativeInPrompt: true }),
+        negativePrompt: null,
+        seed: resolveSeed(settings.seed),
+        size: style.resolution, // 1K, 2K, or 4K
+        aspectRatio: style.aspectRatio,
+        guidanceScale: null,
+        sourceUrl,
+        referenceUrls: selected.map(reference => reference.url),
+        referenceRoles: selected.map(reference => reference.role),
+        promptTemplates: templateVersions(analysis.template, edited.template),
+        sceneAnalysis: analysis.scene,
+        stylePreset: style.preset
+      };
+    }
 
-    // Step 4: Build generation prompt with reference instructions
-    console.log(`[Gemini] Step 4: Building generation prompt...`);
-    const prompt = await buildGenerationPrompt(reversePrompt, profile, references, false);
-    console.log(`[Gemini] Final prompt: ${prompt.substring(0, 200)}...`);
+    console.log(`[Gemini] Final prompt: ${request.prompt.substring(0, 200)}...`);
+    console.log(`[Gemini] Aspect Ratio: ${request.aspectRatio}, Size: ${request.size}, Seed: ${request.seed}`);
 
     // Step 5: Generate image
-    const imageBase64 = await generateWithGoogleAPI(
-      prompt,
-      referenceFile,
-      sourceFile,
-      aspectRatio,
-      imageSize,
-      GOOGLE_API_KEY
+    await onProgress('provider_call', { message: 'Generating with Gemini', model: 'gemini-3-pro-image-preview' });
+    const { imageBase64, usageMetadata } = await withRetry(
+      () => generateWithGoogleAPI(request, referenceFiles, sourceFile, GOOGLE_API_KEY, signal),
+      { signal, onRetry: reportRetry(onProgress, 'Gemini request') }
     );
+    await onUsage({
+      provider: 'google',
+      model: 'gemini-3-pro-image-preview',
+      operation: 'image',
+      resolution: request.size,
+      inputTokens: usageMetadata?.promptTokenCount || 0,
+      images: 1
+    });
 
     // Step 6: Convert base64 to blob
     const imageBuffer = Buffer.from(imageBase64, 'base64');
     const blob = new Blob([imageBuffer], { type: 'image/png' });
 
     // Step 7: Upload to Supabase
+    await onProgress('upload_final', { message: 'Saving generated image' });
+    const safety = await checkOutputSafety(blob, { enableNSFW: Boolean(settings.enableNSFW), onProgress, signal });
     const finalFilename = `${persona}_image_${Date.now()}.png`;
-    const { url: finalUrl } = await uploadToSupabase(blob, finalFilename, `${persona}/images`);
+    const { url: finalUrl } = await uploadToSupabase(await sanitizeOutput(blob, provenance), finalFilename, `${persona}/images`, { signal });
 
     return {
       success: true,
       imageUrl: finalUrl,
-      model: 'gemini-3-pro-image-preview'
+      model: 'gemini-3-pro-image-preview',
+      request,
+      safety
     };
 
   } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log(`[Gemini] Cancelled`);
+      throw error;
+    }
     console.error(`[Gemini] Error:`, error);
     throw error;
   }
@@ -87,37 +155,43 @@ export async function generateImageWithGemini(options) {
 /**
  * Upload file URL to Google AI Studio
  */
-async function uploadFileToGoogle(fileUrl, apiKey) {
+async function uploadFileToGoogle(fileUrl, apiKey, signal) {
   // First download the file
-  const response = await fetch(fileUrl);
+  const response = await fetch(fileUrl, { signal });
   if (!response.ok) {
     throw new Error(`Failed to download reference image: ${response.statusText}`);
   }
   const blob = await response.blob();
-  return await uploadBlobToGoogle(blob, apiKey);
+  return await uploadBlobToGoogle(blob, apiKey, signal);
 }
 
 /**
  * Upload blob to Google AI Studio Files API
  */
-async function uploadBlobToGoogle(blob, apiKey) {
-  const formData = new FormData();
-  formData.append('file', blob);
+async function uploadBlobToGoogle(blob, apiKey, signal) {
+  const uploadResult = await withRetry(async () => {
+    const formData = new FormData();
+    formData.append('file', blob);
 
-  const uploadResponse = await fetch(
-    `https://generativelanguage.googleapis.com/upload/v1beta/files?key=${apiKey}`,
-    {
-      method: 'POST',
-      body: formData
-    }
-  );
+    const uploadResponse = await fetch(
+      providerUrl('google', `/upload/v1beta/files?key=${apiKey}`),
+      {
+        method: 'POST',
+        body: formData,
+        signal
+      }
+    );
 
-  if (!uploadResponse.ok) {
-    const errorText = await uploadResponse.text();
-    throw new Error(`Google upload failed: ${uploadResponse.status} - ${errorText}`);
-  }
+    if (!uploadResponse.ok) {
+      const errorText = await uploadResponse.text();
+      throw new ProviderError(`Google upload failed: ${uploadResponse.status} - ${errorText}`, {
+        provider: 'google',
+        status: uploadResponse.status
+      });
+    }
 
-  const uploadResult = await uploadResponse.json();
+    return uploadResponse.json();
+  }, { signal });
   console.log(`[Gemini] Upload result:`, uploadResult);
 
   // Wait for processing to complete
@@ -125,13 +199,16 @@ async function uploadBlobToGoogle(blob, apiKey) {
   if (!fileId) {
     throw new Error('No file ID returned from Google upload');
   }
+  // The Files API returns names like "files/abc123"
+  const filePath = fileId.startsWith('files/') ? fileId : `files/${fileId}`;
 
   // Poll for file to be ACTIVE
   for (let i = 0; i < 30; i++) {
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await sleep(1000, signal);
 
     const checkResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/files/${fileId}?key=${apiKey}`
+      providerUrl('google', `/v1beta/${filePath}?key=${apiKey}`),
+      { signal }
     );
 
     if (checkResponse.ok) {
@@ -143,28 +220,36 @@ async function uploadBlobToGoogle(blob, apiKey) {
     }
   }
 
-  throw new Error('File processing timed out');
+  throw new ProviderError('File processing timed out', { provider: 'google', code: 'TIMEOUT' });
 }
 
 /**
  * Generate image using Google Gemini API
+ * Each image is preceded by a text part labelling its role (face/body reference, source scene),
+ * numbered the same way as in the prompt
+ * Returns the base64 image and the response's usageMetadata (token counts)
  */
-async function generateWithGoogleAPI(prompt, referenceUri, sourceUri, aspectRatio, imageSize, apiKey) {
+async function generateWithGoogleAPI({ prompt, aspectRatio, size, seed }, referenceFiles, sourceUri, apiKey, signal) {
   const requestBody = {
     contents: [
       {
         parts: [
           { text: prompt },
-          { file_data: { file_uri: referenceUri } },
+          ...referenceFiles.flatMap(({ role, uri }, index) => [
+            { text: imageLabel(index + 1, role) },
+            { file_data: { file_uri: uri } }
+          ]),
+          { text: imageLabel(referenceFiles.length + 1, 'source') },
           { file_data: { file_uri: sourceUri } }
         ]
       }
     ],
     generationConfig: {
       responseModalities: ['TEXT', 'IMAGE'],
+      seed,
       imageConfig: {
         aspectRatio: aspectRatio,
-        imageSize: imageSize
+        imageSize: size
       }
     }
   };
@@ -172,19 +257,23 @@ async function generateWithGoogleAPI(prompt, referenceUri, sourceUri, aspectRati
   console.log(`[Gemini] Calling Google API...`);
 
   const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-image-preview:generateContent?key=${apiKey}`,
+    providerUrl('google', `/v1beta/models/gemini-3-pro-image-preview:generateContent?key=${apiKey}`),
     {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal
     }
   );
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Google API error ${response.status}: ${errorText}`);
+    throw new ProviderError(`Google API error ${response.status}: ${errorText}`, {
+      provider: 'google',
+      status: response.status
+    });
   }
 
   const result = await response.json();
@@ -195,12 +284,12 @@ async function generateWithGoogleAPI(prompt, referenceUri, sourceUri, aspectRati
     for (const part of result.candidates[0].content.parts) {
       if (part.inlineData && part.inlineData.data) {
         console.log(`[Gemini] Image generated successfully`);
-        return part.inlineData.data;
+        return { imageBase64: part.inlineData.data, usageMetadata: result.usageMetadata || null };
       }
     }
   }
 
-  throw new Error('No image in response');
+  throw new ProviderError('No image in response', { provider: 'google' });
 }
 
 /**
@@ -1,73 +1,83 @@
 import { mediaVaultClient, influencerMgmtClient, MEDIA_VAULT_TABLES, INFLUENCER_MGMT_TABLES, BUCKETS } from '../config/supabase.js';
 import { nanoid } from 'nanoid';
-import { generateImageWithSeedream, generateVideoWithWanAnimate } from './wavespeed.service.js';
-import { generateImageWithGemini } from './gemini.service.js';
+import { getProvider, findProviders, supportsRequest } from '../providers/index.js';
+import { startWorkers, wakeWorkers, abortJob } from './queue.service.js';
+import { reportProgress, createProgressReporter } from './progress.service.js';
+import { recordAttempt, getJobAttempts } from './attempt.service.js';
+import { createUsageRecorder, getJobUsage } from './usage.service.js';
+import { createRenditions, getMediaRenditions, renditionUrls } from './rendition.service.js';
+import { createProvenance } from './provenance.service.js';
+import { getStoragePath, deleteFromSupabase } from './reference.service.js';
+import { reserveGenerationBudget } from './budget.service.js';
+import { checkSafetyClassifier } from './safety.service.js';
+import { resolveIdempotencyKey, hashIdempotentRequest, createOnce } from './idempotency.service.js';
+import { dispatchWebhookEvent, startWebhookSweep, WEBHOOK_EVENTS } from './webhook.service.js';
+import { isAbortError, JobCancelledError } from '../utils/abort.js';
+import { withRetry, isRetryableError } from '../utils/retry.js';
+import { ProviderError, ValidationError, SafetyViolationError } from '../utils/errors.js';
+import { resolveSeed } from '../utils/seed.js';
+import { SCENE_FIELDS } from '../config/prompt-templates.js';
+import { resolveStyle } from '../config/style-presets.js';
+import { getUnitPrice } from '../config/pricing.js';
 
 // Default persona (can be overridden by request)
-const DEFAULT_PERSONA = 'arisa';
-
-// AI Model configurations (from existing batch processors)
-const AI_MODELS = {
-  // SFW Image Models
-  NANO_BANANA_PRO: {
-    name: 'Nano Banana Pro',
-    endpoint: 'https://api.nanobanana.pro/v1/generate',
-    sfw: true,
-    type: 'image'
-  },
-  GEMINI_IMAGE: {
-    name: 'Gemini 3 Pro Image',
-    usesGoogleSDK: true,
-    sfw: true,
-    type: 'image'
-  },
-  SEEDREAM_40: {
-    name: 'Seedream 4.0',
-    endpoint: 'https://api.wavespeed.ai/api/v3/bytedance/seedream-v4.0/edit',
-    sfw: true,
-    type: 'image'
-  },
-  // NSFW Image Models
-  SEEDREAM_45_EDIT: {
-    name: 'Seedream 4.5 Edit',
-    endpoint: 'https://api.wavespeed.ai/api/v3/bytedance/seedream-v4.5/edit',
-    sfw: false,
-    type: 'image'
-  },
-  // Video Models
-  WAN_22_ANIMATE: {
-    name: 'WAN 2.2 Animate',
-    falModel: 'fal-ai/wan/video/to-video/image-condition',
-    sfw: true,
-    nsfw: true,
-    type: 'video'
-  },
-  KLING_25: {
-    name: 'Kling 2.5',
-    falModel: 'fal-ai/kling-video/kling-v-1-5-2',
-    sfw: true,
-    nsfw: true,
-    type: 'video'
-  },
-  VEO_31: {
-    name: 'Veo 3.1',
-    falModel: 'fal-ai/veo-3-1-generate',
-    sfw: true,
-    nsfw: true,
-    type: 'video'
-  }
+export const DEFAULT_PERSONA = 'arisa';
+
+// Shot type used when a job has none
+export const DEFAULT_SHOT_TYPES = {
+  image: 'close',
+  video: 'full'
+};
+
+/**
+ * Persona name as the providers receive it (capitalized: arisa -> Arisa)
+ */
+export function formatPersonaName(persona) {
+  return persona.charAt(0).toUpperCase() + persona.slice(1);
+}
+
+// Batch request limits
+export const BATCH_LIMITS = {
+  maxSources: 20,
+  maxVariations: 4
 };
 
 /**
  * Handle image generation request
+ * Returns the existing job instead of creating a new one for duplicate requests
  */
-export async function handleImageGeneration({ platform, sourceUrl, shotType, settings, timestamp, persona }) {
-  const jobId = nanoid(10);
+export async function handleImageGeneration({ platform, sourceUrl, shotType, settings, timestamp, persona, idempotencyKey, apiKeyId = null, dailyQuota = null }) {
   const influencerPersona = persona || settings.persona || DEFAULT_PERSONA;
+  const requestHash = hashIdempotentRequest({ mode: 'image', sourceUrl, shotType, persona: influencerPersona, settings });
+  const key = resolveIdempotencyKey({ headerKey: idempotencyKey, apiKeyId, mode: 'image', requestHash });
+
+  return createOnce(
+    { idempotencyKey: key, requestHash },
+    () => createImageJob({ platform, sourceUrl, shotType, settings, persona: influencerPersona, idempotencyKey: key, requestHash, apiKeyId, dailyQuota }),
+    existingJob => {
+      console.log(`[${existingJob.id}] Duplicate image request, returning existing job`);
+      return duplicateJobResponse(existingJob, '30-60 seconds');
+    }
+  );
+}
+
+/**
+ * Create and enqueue a new image job
+ */
+async function createImageJob({ platform, sourceUrl, shotType, settings, persona: influencerPersona, idempotencyKey, requestHash, apiKeyId, dailyQuota }) {
+  const jobId = nanoid(10);
 
   console.log(`[${jobId}] Starting image generation for persona: ${influencerPersona}...`);
 
-  // 1. Create job record in Media Vault Supabase
+  // 1. Select the first provider of the fallback chain (rejects settings no provider can serve)
+  const provider = resolveJobProvider('image', settings);
+
+  // Reserve the job's estimated cost and a slot of the key's daily quota,
+  // or reject when either is used up (throws QuotaExceededError)
+  const costUsd = estimateJobCost('image', provider, settings);
+  const budget = await reserveGenerationBudget({ persona: influencerPersona, mode: 'image', costUsd, apiKeyId, dailyQuota });
+
+  // 2. Create job record in Media Vault Supabase (the job counts toward the budget from here on)
   const { data: job, error: jobError } = await mediaVaultClient
     .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
     .insert({
@@ -78,44 +88,74 @@ export async function handleImageGeneration({ platform, sourceUrl, shotType, set
       source_url: sourceUrl,
       shot_type: shotType || null,
       settings,
+      provider_id: provider.id,
+      reserved_cost_usd: costUsd,
       status: 'pending',
+      idempotency_key: idempotencyKey,
+      idempotency_request_hash: requestHash,
+      api_key_id: apiKeyId,
       created_at: new Date().toISOString()
     })
     .select()
     .single();
+  await budget.release();
 
   if (jobError) {
     console.error(`[${jobId}] Failed to create job:`, jobError);
-    throw new Error(`Failed to create job: ${jobError.message}`);
+    throw new Error(`Failed to create job: ${jobError.message}`, { cause: jobError });
   }
 
-  // 2. Select appropriate AI model based on NSFW setting
-  const enableNSFW = settings.enableNSFW || false;
-  const model = selectImageModel(enableNSFW);
+  console.log(`[${jobId}] Selected model: ${provider.name}`);
 
-  console.log(`[${jobId}] Selected model: ${model.name}`);
-
-  // 3. Trigger generation (async - don't await)
-  generateImageAsync(jobId, influencerPersona, platform, sourceUrl, shotType, settings, model);
+  // 3. Hand off to the job queue (picked up by an image worker)
+  await reportProgress(jobId, 'queued', { message: `Queued for ${provider.name}`, model: provider.name });
+  wakeWorkers();
 
   return {
     jobId,
     status: 'pending',
-    message: `Image generation started with ${model.name}`,
-    estimatedTime: '30-60 seconds'
+    message: `Image generation started with ${provider.name}`,
+    estimatedTime: '30-60 seconds',
+    ...(budget.warnings.length > 0 && { budgetWarnings: budget.warnings })
   };
 }
 
 /**
  * Handle video generation request
+ * Returns the existing job instead of creating a new one for duplicate requests
  */
-export async function handleVideoGeneration({ platform, sourceUrl, shotType, settings, timestamp, persona }) {
-  const jobId = nanoid(10);
+export async function handleVideoGeneration({ platform, sourceUrl, shotType, settings, timestamp, persona, idempotencyKey, apiKeyId = null, dailyQuota = null }) {
   const influencerPersona = persona || settings.persona || DEFAULT_PERSONA;
+  const requestHash = hashIdempotentRequest({ mode: 'video', sourceUrl, shotType, persona: influencerPersona, settings });
+  const key = resolveIdempotencyKey({ headerKey: idempotencyKey, apiKeyId, mode: 'video', requestHash });
+
+  return createOnce(
+    { idempotencyKey: key, requestHash },
+    () => createVideoJob({ platform, sourceUrl, shotType, settings, persona: influencerPersona, idempotencyKey: key, requestHash, apiKeyId, dailyQuota }),
+    existingJob => {
+      console.log(`[${existingJob.id}] Duplicate video request, returning existing job`);
+      return duplicateJobResponse(existingJob, '2-5 minutes');
+    }
+  );
+}
+
+/**
+ * Create and enqueue a new video job
+ */
+async function createVideoJob({ platform, sourceUrl, shotType, settings, persona: influencerPersona, idempotencyKey, requestHash, apiKeyId, dailyQuota }) {
+  const jobId = nanoid(10);
 
   console.log(`[${jobId}] Starting video generation for persona: ${influencerPersona}...`);
 
-  // 1. Create job record in Media Vault Supabase
+  // 1. Select video provider (rejects settings no provider can serve)
+  const provider = resolveJobProvider('video', settings);
+
+  // Reserve the job's estimated cost and a slot of the key's daily quota,
+  // or reject when either is used up (throws QuotaExceededError)
+  const costUsd = estimateJobCost('video', provider, settings);
+  const budget = await reserveGenerationBudget({ persona: influencerPersona, mode: 'video', costUsd, apiKeyId, dailyQuota });
+
+  // 2. Create job record in Media Vault Supabase (the job counts toward the budget from here on)
   const { data: job, error: jobError } = await mediaVaultClient
     .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
     .insert({
@@ -126,121 +166,1053 @@ export async function handleVideoGeneration({ platform, sourceUrl, shotType, set
       source_url: sourceUrl,
       shot_type: shotType || null,
       settings,
+      provider_id: provider.id,
+      reserved_cost_usd: costUsd,
       status: 'pending',
+      idempotency_key: idempotencyKey,
+      idempotency_request_hash: requestHash,
+      api_key_id: apiKeyId,
       created_at: new Date().toISOString()
     })
     .select()
     .single();
+  await budget.release();
 
   if (jobError) {
     console.error(`[${jobId}] Failed to create job:`, jobError);
-    throw new Error(`Failed to create job: ${jobError.message}`);
+    throw new Error(`Failed to create job: ${jobError.message}`, { cause: jobError });
   }
 
-  // 2. Select appropriate video model
-  const model = selectVideoModel(settings.videoModel || 'wan-22');
-
-  console.log(`[${jobId}] Selected model: ${model.name}`);
+  console.log(`[${jobId}] Selected model: ${provider.name}`);
 
-  // 3. Trigger generation (async)
-  generateVideoAsync(jobId, influencerPersona, platform, sourceUrl, shotType, settings, model);
+  // 3. Hand off to the job queue (picked up by a video worker)
+  await reportProgress(jobId, 'queued', { message: `Queued for ${provider.name}`, model: provider.name });
+  wakeWorkers();
 
   return {
     jobId,
     status: 'pending',
-    message: `Video generation started with ${model.name}`,
-    estimatedTime: '2-5 minutes'
+    message: `Video generation started with ${provider.name}`,
+    estimatedTime: '2-5 minutes',
+    ...(budget.warnings.length > 0 && { budgetWarnings: budget.warnings })
   };
 }
 
 /**
- * Select appropriate image model based on NSFW setting
+ * Handle batch generation request
+ * Creates one batch with a job per source URL (scene) and variation
+ *
+ * Scenes are numbered 1..sourceUrls.length in request order,
+ * variations 1..variations within each scene
  */
-function selectImageModel(enableNSFW) {
-  if (enableNSFW) {
-    return AI_MODELS.SEEDREAM_45_EDIT;
+export async function handleBatchGeneration({ mode, platform, sourceUrls, variations, shotType, settings, persona, idempotencyKey, apiKeyId = null, dailyQuota = null }) {
+  const influencerPersona = persona || settings.persona || DEFAULT_PERSONA;
+  const requestHash = hashIdempotentRequest({ mode, sourceUrls, variations, shotType, persona: influencerPersona, settings });
+  const key = resolveIdempotencyKey({ headerKey: idempotencyKey, apiKeyId, mode, requestHash, batch: true });
+
+  const createBatch = async () => {
+    // Reject settings no provider can serve, or a batch over budget or quota, before any job is created
+    const provider = resolveJobProvider(mode, settings);
+    const costUsd = estimateJobCost(mode, provider, settings);
+    const budget = await reserveGenerationBudget({
+      persona: influencerPersona,
+      mode,
+      costUsd,
+      count: sourceUrls.length * variations,
+      apiKeyId,
+      dailyQuota
+    });
+
+    const batchId = generateBatchId(influencerPersona, nanoid(6));
+    const now = new Date().toISOString();
+
+    const jobs = sourceUrls.flatMap((sourceUrl, sceneIndex) =>
+      Array.from({ length: variations }, (_, variationIndex) => ({
+        id: nanoid(10),
+        persona: influencerPersona,
+        mode,
+        platform,
+        source_url: sourceUrl,
+        shot_type: shotType || null,
+        settings,
+        provider_id: provider.id,
+        reserved_cost_usd: costUsd,
+        status: 'pending',
+        idempotency_key: key,
+        idempotency_request_hash: key ? requestHash : null,
+        api_key_id: apiKeyId,
+        batch_id: batchId,
+        scene_number: sceneIndex + 1,
+        variation_id: variationIndex + 1,
+        created_at: now
+      }))
+    );
+
+    console.log(`[${batchId}] Creating batch: ${sourceUrls.length} source(s) x ${variations} variation(s) = ${jobs.length} ${mode} jobs`);
+
+    const { error: batchError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.BATCHES)
+      .insert({
+        batch_id: batchId,
+        persona: influencerPersona,
+        mode,
+        platform,
+        scene_count: sourceUrls.length,
+        variations,
+        job_count: jobs.length,
+        source: 'api',
+        api_key_id: apiKeyId,
+        created_at: now
+      });
+
+    if (batchError) {
+      console.error(`[${batchId}] Failed to create batch:`, batchError);
+      await budget.release();
+      throw new Error(`Failed to create batch: ${batchError.message}`);
+    }
+
+    const { error: jobError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+      .insert(jobs);
+    await budget.release();
+
+    if (jobError) {
+      console.error(`[${batchId}] Failed to create batch jobs:`, jobError);
+      await deleteBatchRecord(batchId);
+      throw new Error(`Failed to create batch: ${jobError.message}`, { cause: jobError });
+    }
+
+    for (const job of jobs) {
+      await reportProgress(job.id, 'queued', { message: `Queued in batch ${batchId}`, batchId });
+    }
+    wakeWorkers();
+
+    const batch = await getBatchStatus(batchId);
+    return budget.warnings.length > 0 ? { ...batch, budgetWarnings: budget.warnings } : batch;
+  };
+
+  if (!key) {
+    return createBatch();
   }
-  return AI_MODELS.GEMINI_IMAGE;
+
+  return createOnce({ idempotencyKey: key, requestHash }, createBatch, async existingJob => {
+    console.log(`[${existingJob.batch_id}] Duplicate batch request, returning existing batch`);
+    return { ...(await getBatchStatus(existingJob.batch_id)), duplicate: true };
+  });
 }
 
 /**
- * Select video model
+ * Remove the batches row of a batch whose jobs couldn't be created
  */
-function selectVideoModel(modelName) {
-  const modelMap = {
-    'wan-22': AI_MODELS.WAN_22_ANIMATE,
-    'kling-25': AI_MODELS.KLING_25,
-    'veo-31': AI_MODELS.VEO_31
+async function deleteBatchRecord(batchId) {
+  const { error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.BATCHES)
+    .delete()
+    .eq('batch_id', batchId);
+
+  if (error) {
+    console.error(`[${batchId}] Failed to delete batch record:`, error.message);
+  }
+}
+
+/**
+ * Aggregate status of a batch from its child jobs
+ * Returns null if no jobs belong to the batch
+ *
+ * Batch status:
+ * - pending: no job has started
+ * - processing: some jobs are still pending/processing
+ * - completed: every job completed
+ * - failed: every job failed or was cancelled
+ * - partial: all jobs finished, with a mix of completed and failed/cancelled
+ */
+export async function getBatchStatus(batchId) {
+  const { data: jobs, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('id, mode, status, source_url, scene_number, variation_id, error_message, media_generation_id, created_at, updated_at')
+    .eq('batch_id', batchId)
+    .order('scene_number', { ascending: true })
+    .order('variation_id', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch batch: ${error.message}`);
+  }
+
+  if (!jobs || jobs.length === 0) {
+    return null;
+  }
+
+  const mediaIds = jobs.map(job => job.media_generation_id).filter(Boolean);
+  const mediaById = {};
+  if (mediaIds.length > 0) {
+    const { data: media, error: mediaError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.MEDIA_GENERATIONS)
+      .select('id, supabase_url, model_used')
+      .in('id', mediaIds);
+
+    if (mediaError) {
+      console.error(`[${batchId}] Failed to fetch batch media:`, mediaError);
+    }
+    for (const item of media || []) {
+      mediaById[item.id] = item;
+    }
+  }
+
+  const counts = { pending: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+  for (const job of jobs) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  }
+
+  const total = jobs.length;
+  const finished = counts.completed + counts.failed + counts.cancelled;
+  let status;
+  if (counts.pending === total) {
+    status = 'pending';
+  } else if (finished < total) {
+    status = 'processing';
+  } else if (counts.completed === total) {
+    status = 'completed';
+  } else if (counts.completed === 0) {
+    status = 'failed';
+  } else {
+    status = 'partial';
+  }
+
+  return {
+    batchId,
+    status,
+    total,
+    counts,
+    progress: Math.round((finished / total) * 100),
+    jobs: jobs.map(job => ({
+      jobId: job.id,
+      mode: job.mode,
+      status: job.status,
+      sourceUrl: job.source_url,
+      sceneNumber: job.scene_number,
+      variationId: job.variation_id,
+      errorMessage: job.error_message || null,
+      mediaGenerationId: job.media_generation_id || null,
+      outputUrl: mediaById[job.media_generation_id]?.supabase_url || null,
+      modelUsed: mediaById[job.media_generation_id]?.model_used || null
+    }))
   };
-  return modelMap[modelName] || AI_MODELS.WAN_22_ANIMATE;
+}
+
+/**
+ * Completed jobs whose analyzed scene (generation_jobs.scene_analysis) matches every given field
+ * Field values match case-insensitively anywhere in the field text; newest jobs first
+ *
+ * @param {Object} filters - { [scene field]: text, persona?, mode?, platform? }
+ * @returns {Promise<Array>}
+ */
+export async function searchJobsByScene(filters, { limit = 50, offset = 0 } = {}) {
+  let query = mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('id, mode, persona, platform, media_generation_id, scene_analysis, created_at')
+    .eq('status', 'completed')
+    .not('scene_analysis', 'is', null);
+
+  for (const field of Object.keys(SCENE_FIELDS)) {
+    if (filters[field]) {
+      query = query.ilike(`scene_analysis->>${field}`, `%${escapeLikePattern(filters[field])}%`);
+    }
+  }
+  if (filters.persona) query = query.eq('persona', filters.persona);
+  if (filters.mode) query = query.eq('mode', filters.mode);
+  if (filters.platform) query = query.eq('platform', filters.platform);
+
+  const { data: jobs, error } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to search jobs: ${error.message}`);
+  }
+
+  const mediaIds = jobs.map(job => job.media_generation_id).filter(Boolean);
+  const mediaById = {};
+  if (mediaIds.length > 0) {
+    const { data: media, error: mediaError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.MEDIA_GENERATIONS)
+      .select('id, supabase_url, model_used')
+      .in('id', mediaIds);
+
+    if (mediaError) {
+      console.error('Failed to fetch media for scene search:', mediaError);
+    }
+    for (const item of media || []) {
+      mediaById[item.id] = item;
+    }
+  }
+
+  return jobs.map(job => ({
+    jobId: job.id,
+    mode: job.mode,
+    persona: job.persona,
+    platform: job.platform,
+    createdAt: job.created_at,
+    mediaGenerationId: job.media_generation_id || null,
+    outputUrl: mediaById[job.media_generation_id]?.supabase_url || null,
+    modelUsed: mediaById[job.media_generation_id]?.model_used || null,
+    sceneAnalysis: job.scene_analysis
+  }));
+}
+
+// Search text is matched literally
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Response for a request that matched an existing job
+ */
+function duplicateJobResponse(job, estimatedTime) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    duplicate: true,
+    message: 'Duplicate request, returning existing job',
+    estimatedTime
+  };
+}
+
+/**
+ * Get current status of a generation job
+ * Joins the linked media_generations record once the job has produced output
+ * Returns null if the job does not exist
+ */
+export async function getJobStatus(jobId) {
+  const { data: job, error: jobError } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (jobError) {
+    throw new Error(`Failed to fetch job: ${jobError.message}`);
+  }
+
+  if (!job) {
+    return null;
+  }
+
+  let media = null;
+  if (job.media_generation_id) {
+    const { data: mediaGen, error: mediaError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.MEDIA_GENERATIONS)
+      .select('id, model_used, supabase_url, content_type, resolution, aspect_ratio, nsfw_level, completed_at')
+      .eq('id', job.media_generation_id)
+      .maybeSingle();
+
+    if (mediaError) {
+      console.error(`[${jobId}] Failed to fetch media_generation:`, mediaError);
+    }
+    media = mediaGen || null;
+  }
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    mode: job.mode,
+    persona: job.persona,
+    platform: job.platform,
+    errorMessage: job.error_message || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: media?.completed_at || null,
+    modelUsed: media?.model_used || null,
+    outputUrl: media?.supabase_url || null,
+    mediaGenerationId: job.media_generation_id || null,
+    batchId: job.batch_id || null,
+    sceneNumber: job.scene_number || null,
+    variationId: job.variation_id || null,
+    attempts: await getJobAttempts(jobId).catch(() => []),
+    estimatedCostUsd: job.estimated_cost_usd ?? null,
+    providerRequest: job.provider_request || null,
+    promptTemplates: job.prompt_templates || null,
+    sceneAnalysis: job.scene_analysis || null,
+    safetyClassification: job.safety_classification || null,
+    rerunOf: job.rerun_of || null,
+    usage: await getJobUsage(jobId).catch(() => []),
+    media: media ? {
+      id: media.id,
+      contentType: media.content_type,
+      resolution: media.resolution,
+      aspectRatio: media.aspect_ratio,
+      nsfwLevel: media.nsfw_level,
+      renditions: media.content_type === 'image' ? await getMediaRenditions(media.id).catch(() => []) : []
+    } : null
+  };
+}
+
+/**
+ * Cancel a pending or processing job
+ * Aborts the worker if it runs in this process; workers elsewhere notice on lease renewal
+ *
+ * @returns {{ cancelled: boolean, status: string } | null} null if the job does not exist
+ */
+export async function cancelJob(jobId) {
+  const { data: cancelled, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .update({
+      status: 'cancelled',
+      error_message: 'Cancelled by user',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .in('status', ['pending', 'processing'])
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to cancel job: ${error.message}`);
+  }
+
+  if (!cancelled) {
+    // Either unknown or already finished
+    const { data: job } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+      .select('id, status')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    return job ? { cancelled: false, status: job.status } : null;
+  }
+
+  const abortedLocally = abortJob(jobId);
+  console.log(`[${jobId}] Job cancelled${abortedLocally ? ' (worker aborted)' : ''}`);
+
+  await reportProgress(jobId, 'cancelled', { message: 'Cancelled by user' });
+
+  return { cancelled: true, status: 'cancelled' };
+}
+
+// ==========================================
+// RERUNS
+// ==========================================
+
+// providerRequest fields a rerun may override
+const RERUN_OVERRIDE_FIELDS = ['prompt', 'negativePrompt', 'seed', 'size', 'guidanceScale', 'referenceUrls'];
+
+/**
+ * Replay a completed job's recorded provider request as a new job
+ * Runs on the same provider without failover, skipping reverse prompting and reference
+ * selection. Overrides replace individual fields (seed -1 picks a new random seed).
+ *
+ * @returns {{ rerun: boolean, status: string, ... } | null} null if the job does not exist;
+ *   rerun: false when the job has no recorded request to replay
+ */
+export async function rerunJob(jobId, overrides = {}, { apiKeyId = null, dailyQuota = null } = {}) {
+  const { data: source, error: sourceError } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (sourceError) {
+    throw new Error(`Failed to fetch job: ${sourceError.message}`);
+  }
+
+  if (!source) {
+    return null;
+  }
+
+  if (!source.provider_request) {
+    return { rerun: false, status: source.status };
+  }
+
+  const provider = getProvider(source.provider_request.provider);
+  if (!provider) {
+    throw new ValidationError(`Provider ${source.provider_request.provider} is no longer available`, [{
+      field: 'jobId',
+      message: `recorded provider ${source.provider_request.provider} is not registered`
+    }]);
+  }
+
+  const replayRequest = applyRerunOverrides(source.provider_request, overrides, provider);
+  const costUsd = estimateJobCost(source.mode, provider, source.settings, { replay: true });
+  const budget = await reserveGenerationBudget({ persona: source.persona, mode: source.mode, costUsd, apiKeyId, dailyQuota });
+
+  const newJobId = nanoid(10);
+  const { error: jobError } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .insert({
+      id: newJobId,
+      persona: source.persona,
+      mode: source.mode,
+      platform: source.platform,
+      source_url: source.source_url,
+      shot_type: source.shot_type,
+      settings: source.settings,
+      provider_id: provider.id,
+      reserved_cost_usd: costUsd,
+      status: 'pending',
+      api_key_id: apiKeyId,
+      rerun_of: source.id,
+      replay_request: replayRequest,
+      created_at: new Date().toISOString()
+    });
+  await budget.release();
+
+  if (jobError) {
+    console.error(`[${newJobId}] Failed to create rerun job:`, jobError);
+    throw new Error(`Failed to create job: ${jobError.message}`);
+  }
+
+  const overridden = Object.keys(overrides).filter(field => overrides[field] !== undefined);
+  console.log(`[${newJobId}] Rerun of ${jobId} with ${provider.name}${overridden.length > 0 ? ` (overrides: ${overridden.join(', ')})` : ''}`);
+
+  await reportProgress(newJobId, 'queued', { message: `Queued rerun of ${jobId} for ${provider.name}`, model: provider.name, rerunOf: jobId });
+  wakeWorkers();
+
+  return {
+    rerun: true,
+    jobId: newJobId,
+    rerunOf: jobId,
+    status: 'pending',
+    message: `Rerun started with ${provider.name}`,
+    estimatedTime: source.mode === 'video' ? '2-5 minutes' : '30-60 seconds',
+    seed: replayRequest.seed,
+    ...(budget.warnings.length > 0 && { budgetWarnings: budget.warnings })
+  };
+}
+
+/**
+ * Recorded provider request with overrides applied
+ * Throws ValidationError for fields the provider doesn't take (recorded as null)
+ */
+function applyRerunOverrides(recorded, overrides, provider) {
+  const request = { ...recorded };
+  const errors = [];
+
+  for (const field of RERUN_OVERRIDE_FIELDS) {
+    const value = overrides[field];
+    if (value === undefined) continue;
+
+    const current = recorded[field];
+    if (current === null || current === undefined || (field === 'referenceUrls' && current.length === 0)) {
+      errors.push({ field: `overrides.${field}`, message: `${provider.name} does not take ${field}` });
+      continue;
+    }
+
+    if (field === 'size' && !isValidSize(provider, current, value)) {
+      errors.push({ field: 'overrides.size', message: `not a ${provider.name} size (recorded: ${current})` });
+      continue;
+    }
+
+    if (field === 'referenceUrls' && value.length > (provider.capabilities.maxReferences ?? value.length)) {
+      errors.push({ field: 'overrides.referenceUrls', message: `${provider.name} takes at most ${provider.capabilities.maxReferences} reference(s)` });
+      continue;
+    }
+
+    request[field] = field === 'seed' ? resolveSeed(value) : value;
+    if (field === 'prompt') {
+      // A hand-written prompt didn't come from the prompt templates or the analyzed scene
+      request.promptTemplates = null;
+      request.sceneAnalysis = null;
+    }
+    if (field === 'referenceUrls') {
+      // Replacement references keep the roles of the ones they replace (extra ones are faces)
+      request.referenceRoles = value.map((_, index) => recorded.referenceRoles?.[index] || 'face');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Overrides not supported by this provider', errors);
+  }
+  return request;
+}
+
+/**
+ * Sizes follow the recorded format: "widthxheight" (Seedream) or a provider resolution ("2K")
+ */
+function isValidSize(provider, current, value) {
+  if (/^\d+x\d+$/.test(current)) {
+    return /^\d{3,5}x\d{3,5}$/.test(value);
+  }
+  return Boolean(provider.capabilities.resolutions?.includes(value));
+}
+
+/**
+ * Build the ordered list of image providers to try
+ * IMAGE_FALLBACK_CHAIN_SFW / IMAGE_FALLBACK_CHAIN_NSFW (provider ids or aliases, e.g.
+ * "gemini-3-pro-image,seedream-4.0-edit") override the registry's priority order.
+ * Providers that can't serve the request (NSFW mode, aspect ratio, resolution) are dropped.
+ */
+export function getImageProviderChain(settings) {
+  // Aspect ratio and resolution default to the style preset's (config/style-presets.js)
+  const { aspectRatio, resolution } = resolveStyle(settings);
+  const requirements = {
+    type: 'image',
+    nsfw: Boolean(settings.enableNSFW),
+    aspectRatio,
+    resolution
+  };
+
+  const envChain = requirements.nsfw ? process.env.IMAGE_FALLBACK_CHAIN_NSFW : process.env.IMAGE_FALLBACK_CHAIN_SFW;
+  if (envChain) {
+    const chain = envChain
+      .split(',')
+      .map(id => getProvider(id.trim()))
+      .filter(provider => provider && supportsRequest(provider, requirements));
+
+    if (chain.length > 0) {
+      return chain;
+    }
+    console.warn(`[Providers] No usable provider in image fallback chain "${envChain}", using registry order`);
+  }
+
+  const chain = findProviders(requirements);
+  if (chain.length === 0) {
+    throw new ValidationError('No image provider supports these settings', [{
+      field: 'settings',
+      message: `no image provider supports nsfw: ${requirements.nsfw}, aspectRatio: ${aspectRatio}, resolution: ${resolution}`
+    }]);
+  }
+  return chain;
+}
+
+/**
+ * Select the video provider for settings.videoModel (provider id or alias, e.g. "wan-22")
+ * Without videoModel, picks the highest-priority provider supporting the requested
+ * mode, duration and resolution. An explicit videoModel that can't serve the request is rejected.
+ */
+function selectVideoProvider(settings) {
+  const requirements = {
+    type: 'video',
+    nsfw: Boolean(settings.enableNSFW),
+    videoMode: settings.videoMode,
+    duration: settings.duration,
+    resolution: settings.videoResolution,
+    // Image-to-video follows the still's aspect ratio
+    aspectRatio: settings.videoMode === 'text-to-video' ? settings.aspectRatio : undefined
+  };
+
+  if (settings.videoModel) {
+    const requested = getProvider(settings.videoModel);
+    if (!requested || !supportsRequest(requested, requirements)) {
+      throw new ValidationError(`Video model ${settings.videoModel} can't serve this request`, [{
+        field: 'settings.videoModel',
+        message: `${settings.videoModel} does not support these settings (${describeVideoRequirements(requirements)})`
+      }]);
+    }
+    return requested;
+  }
+
+  const [provider] = findProviders(requirements);
+  if (!provider) {
+    throw new ValidationError('No video provider supports these settings', [{
+      field: 'settings',
+      message: `no video provider supports ${describeVideoRequirements(requirements)}`
+    }]);
+  }
+  return provider;
+}
+
+function describeVideoRequirements({ nsfw, videoMode, duration, resolution, aspectRatio }) {
+  return Object.entries({ nsfw, videoMode, duration, resolution, aspectRatio })
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+}
+
+/**
+ * Provider a new job will start with
+ * Throws ValidationError when no provider can serve the settings, so no job is created
+ */
+function resolveJobProvider(mode, settings) {
+  if (mode === 'image') {
+    return getImageProviderChain(settings)[0];
+  }
+
+  const provider = selectVideoProvider(settings);
+  if (needsGeneratedStill(provider, settings)) {
+    getImageProviderChain(settings);
+  }
+  return provider;
+}
+
+/**
+ * Estimated cost of one job for the daily budget (unit prices from config/pricing.js)
+ * Image-to-video from a generated still adds the first image provider's price for the still;
+ * replays (reruns) reuse the recorded still, so they don't
+ */
+function estimateJobCost(mode, provider, settings, { replay = false } = {}) {
+  const stillCost = mode === 'video' && !replay && needsGeneratedStill(provider, settings)
+    ? getUnitPrice(getImageProviderChain(settings)[0].id)
+    : 0;
+  return Math.round((getUnitPrice(provider.id) + stillCost) * 10000) / 10000;
+}
+
+/**
+ * Whether a video job first generates a still with the image providers (image-to-video from a generated still)
+ */
+function needsGeneratedStill(provider, settings) {
+  const videoMode = settings.videoMode || provider.capabilities.videoModes[0];
+  return videoMode === 'image-to-video' && settings.imageSource === 'generated';
 }
 
 /**
  * Generate batch ID for API-generated content
- * Format: {persona}_api_{timestamp}
+ * Format: {persona}_API_{timestamp}, or {persona}_API_{timestamp}_{suffix} for multi-job batches
  */
-function generateBatchId(persona) {
+function generateBatchId(persona, suffix = null) {
   const date = new Date();
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
   const hour = String(date.getHours()).padStart(2, '0');
   const minute = String(date.getMinutes()).padStart(2, '0');
-  return `${persona}_API_${year}${month}${day}_${hour}${minute}`;
+  const batchId = `${persona}_API_${year}${month}${day}_${hour}${minute}`;
+  return suffix ? `${batchId}_${suffix}` : batchId;
 }
 
 /**
- * Async image generation worker
+ * Where a job's output lands in media_generations
+ * Single jobs are scene 1, variation 1 of a per-minute batch; batch jobs carry their own numbering
+ * scene_id is "<batchId>_scene<n>", shared by the variations of a scene
  */
-async function generateImageAsync(jobId, persona, platform, sourceUrl, shotType, settings, model) {
-  try {
-    console.log(`[${jobId}] Starting async image generation with ${model.name}...`);
+function resolveMediaPlacement(persona, job) {
+  const batchId = job.batch_id || generateBatchId(persona);
+  const sceneNumber = job.scene_number || 1;
+  const variationId = job.variation_id || 1;
 
-    // Update job status to processing
-    await mediaVaultClient
-      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
-      .update({ status: 'processing', updated_at: new Date().toISOString() })
-      .eq('id', jobId);
-
-    // Route to appropriate service based on model
-    let result;
-    const capitalizedPersona = persona.charAt(0).toUpperCase() + persona.slice(1);
-
-    if (model.name === 'Gemini 3 Pro Image' || model.name.includes('Gemini')) {
-      // SFW - Use Gemini (direct Google API)
-      console.log(`[${jobId}] Using Gemini (SFW) - Google AI Studio API`);
-      result = await generateImageWithGemini({
-        sourceUrl,
-        persona: capitalizedPersona,
-        shotType: shotType || 'close',
-        apiKey: process.env.GOOGLE_API_KEY,
-        settings: {
-          aspectRatio: settings.aspectRatio || '3:4',
-          resolution: settings.resolution || '2K'
+  return {
+    batchId,
+    sceneNumber,
+    sceneId: `${batchId}_scene${sceneNumber}`,
+    variationId,
+    uniqueKey: `${batchId}_scene${sceneNumber}_v${variationId}`
+  };
+}
+
+/**
+ * Start queue workers for image and video jobs, and the webhook retry sweep
+ * Used by server.js (in-process) and worker.js (separate process)
+ * Fails when the safety classifier can't run
+ */
+export async function startGenerationWorkers() {
+  await checkSafetyClassifier();
+
+  const webhookSweep = startWebhookSweep();
+  const workers = await startWorkers({
+    image: processImageJob,
+    video: processVideoJob
+  });
+
+  return {
+    async stop() {
+      webhookSweep.stop();
+      await workers.stop();
+    }
+  };
+}
+
+/**
+ * Queue processor for claimed image jobs
+ */
+async function processImageJob(job, { signal } = {}) {
+  const settings = job.settings || {};
+  // Reruns replay on the provider that made the original, without failover
+  const providerChain = job.replay_request ? [getReplayProvider(job)] : getImageProviderChain(settings);
+  const placement = resolveMediaPlacement(job.persona, job);
+  await generateImageAsync(job.id, job.persona, job.platform, job.source_url, job.shot_type, settings, providerChain, placement, signal, job.replay_request);
+}
+
+/**
+ * Queue processor for claimed video jobs
+ */
+async function processVideoJob(job, { signal } = {}) {
+  const settings = job.settings || {};
+  const provider = job.replay_request ? getReplayProvider(job) : selectVideoProvider(settings);
+  const placement = resolveMediaPlacement(job.persona, job);
+  await generateVideoAsync(job.id, job.persona, job.platform, job.source_url, job.shot_type, settings, provider, placement, signal, job.replay_request);
+}
+
+function getReplayProvider(job) {
+  const provider = getProvider(job.provider_id);
+  if (!provider) {
+    throw new Error(`Provider ${job.provider_id} is no longer registered, can't replay`);
+  }
+  return provider;
+}
+
+/**
+ * Webhook payload for a completed job
+ */
+function buildCompletedWebhookPayload(jobId, mediaGen, platform, placement, renditions = []) {
+  return {
+    job_id: jobId,
+    media_generation_id: mediaGen.id,
+    persona: mediaGen.persona,
+    content_type: mediaGen.content_type,
+    url: mediaGen.supabase_url,
+    model_used: mediaGen.model_used,
+    shot_type: mediaGen.shot_type,
+    aspect_ratio: mediaGen.aspect_ratio,
+    nsfw_level: mediaGen.nsfw_level,
+    platform,
+    batch_id: placement.batchId,
+    unique_key: mediaGen.unique_key,
+    renditions: renditionUrls(renditions)
+  };
+}
+
+/**
+ * Run a provider for a job
+ * generate() runs once: reference uploads, reverse prompting and the submission are paid once
+ * (providers retry their own submit and upload requests). When polling the submitted task fails
+ * transiently or times out, the same task is resumed with poll(), with backoff
+ *
+ * @param {Function} [options.onCall] - wraps each generate() / poll() call, e.g. to record attempts
+ */
+async function runProvider(provider, request, { onProgress, onUsage, signal, onCall = call => call() }) {
+  let submitted = null;
+
+  return withRetry(() => onCall(async () => {
+    try {
+      return submitted
+        ? await provider.poll(submitted.taskId, { ...request, replay: submitted.providerRequest }, { onProgress, onUsage, signal })
+        : await provider.generate(request, { onProgress, onUsage, signal });
+    } catch (error) {
+      if (error.taskId && error.providerRequest && provider.poll) {
+        submitted = { taskId: error.taskId, providerRequest: error.providerRequest };
+      }
+      throw error;
+    }
+  }), {
+    signal,
+    retryIf: error => Boolean(submitted) && isRetryableError(error),
+    onRetry: ({ error, delayMs }) => onProgress('retry', {
+      message: `${provider.name} task failed (${error.message}), resuming task ${submitted.taskId} in ${Math.round(delayMs / 1000)}s`,
+      model: provider.name,
+      taskId: submitted.taskId,
+      delayMs
+    })
+  });
+}
+
+/**
+ * Try each provider in the chain (see runProvider for retries)
+ * Moves to the next provider when one fails permanently or its task can't be resumed.
+ * Non-provider errors (e.g. missing references) fail immediately.
+ *
+ * @returns {{ result: Object, model: Object, attempts: Array }} - model is the provider that succeeded
+ */
+async function generateImageWithFailover(jobId, providerChain, request, { onProgress, onUsage, signal }) {
+  const attempts = [];
+
+  for (const [index, model] of providerChain.entries()) {
+    try {
+      const result = await runProvider(model, request, {
+        onProgress,
+        onUsage,
+        signal,
+        onCall: async (call) => {
+          const startedAt = new Date().toISOString();
+          const attemptNumber = attempts.length + 1;
+          console.log(`[${jobId}] Attempt ${attemptNumber}: ${model.name}`);
+
+          try {
+            const result = await call();
+            attempts.push(await recordAttempt(jobId, { attemptNumber, model: model.name, status: 'succeeded', startedAt }));
+            return result;
+          } catch (error) {
+            if (!isAbortError(error, signal)) {
+              attempts.push(await recordAttempt(jobId, { attemptNumber, model: model.name, status: 'failed', error, startedAt }));
+            }
+            throw error;
+          }
         }
       });
-    } else {
-      // NSFW - Use Seedream 4.5 Edit (Wavespeed API)
-      console.log(`[${jobId}] Using Seedream (NSFW) - Wavespeed API`);
-      result = await generateImageWithSeedream({
-        sourceUrl,
-        persona: capitalizedPersona,
-        shotType: shotType || 'close',
-        apiKey: process.env.WAVESPEED_API_KEY,
-        enableNSFW: true,
-        settings: {
-          aspectRatio: settings.aspectRatio || '3:4',
-          resolution: settings.resolution || '2K'
-        }
+
+      return { result, model, attempts };
+    } catch (error) {
+      const nextModel = providerChain[index + 1];
+      if (isAbortError(error, signal) || !(error instanceof ProviderError) || !nextModel) {
+        throw error;
+      }
+
+      console.warn(`[${jobId}] ${model.name} failed, falling back to ${nextModel.name}:`, error.message);
+      await onProgress('fallback', {
+        message: `${model.name} failed, falling back to ${nextModel.name}`,
+        from: model.name,
+        to: nextModel.name,
+        error: error.message
       });
     }
+  }
+}
+
+/**
+ * providerRequest to store on a completed job, tagged with the provider id so a rerun uses the same provider
+ */
+function recordProviderRequest(provider, result) {
+  return result.providerRequest ? { provider: provider.id, ...result.providerRequest } : null;
+}
+
+/**
+ * Persona references a provider was sent, for the media record: [{ url, role: 'face' | 'body' }]
+ */
+function describeReferences(providerRequest) {
+  return (providerRequest?.referenceUrls || []).map((url, index) => ({
+    url,
+    role: providerRequest.referenceRoles?.[index] || null
+  }));
+}
 
-    console.log(`[${jobId}] Image generation complete:`, result.imageUrl);
+/**
+ * Crops, thumbnail and web copies of a completed image (see rendition.service.js)
+ * The image is already saved, so a failure is logged and the job still completes
+ */
+async function createImageRenditions(jobId, mediaGen, provenance, onProgress) {
+  try {
+    return await createRenditions({
+      mediaGenerationId: mediaGen.id,
+      jobId,
+      imageUrl: mediaGen.supabase_url,
+      fallbackPath: `${mediaGen.persona}/images/${mediaGen.filename}`,
+      provenance,
+      onProgress
+    });
+  } catch (error) {
+    console.error(`[${jobId}] Failed to create renditions:`, error.message);
+    await onProgress('renditions', { message: `Renditions failed: ${error.message}`, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * nsfw_level for the media record: from the output's safety classification, or what the request
+ * asked for when the output wasn't classified (SAFETY_CLASSIFIER=none, or the classifier failed)
+ */
+function resolveNsfwLevel(safety, settings) {
+  return safety?.nsfwLevel ?? (settings.enableNSFW ? 1 : 0);
+}
+
+/**
+ * Job fields for a failed job: the error, plus the scores of an output blocked by a safety rule
+ */
+function failedJobUpdate(error, cost) {
+  return {
+    status: 'failed',
+    error_message: error.message,
+    estimated_cost_usd: cost,
+    ...(error instanceof SafetyViolationError && { safety_classification: error.classification }),
+    updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Mark a processing job failed
+ * Returns false when the job was no longer processing (e.g. cancelled before the worker saw the signal),
+ * in which case no failed event or webhook should go out
+ * Throws when the update itself fails, leaving the job to the queue's crash handler
+ */
+async function markJobFailed(jobId, error, costUsd) {
+  const { data: updated, error: updateError } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .update(failedJobUpdate(error, costUsd))
+    .eq('id', jobId)
+    .eq('status', 'processing')
+    .select('id');
+
+  if (updateError) {
+    throw new Error(`Failed to mark job failed: ${updateError.message}`, { cause: error });
+  }
+  if (updated.length === 0) {
+    console.log(`[${jobId}] Job is no longer processing, not reporting the failure`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Keep the spend of calls made before a job was cancelled
+ * The cancel endpoint owns the status update, so only the cost is written
+ */
+async function saveCancelledJobCost(jobId, cost) {
+  if (!cost) return;
+
+  const { error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .update({ estimated_cost_usd: cost })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error(`[${jobId}] Failed to save cost of cancelled job:`, error.message);
+  }
+}
+
+/**
+ * Check the job is still ours before its media record is written
+ * A cancel sent to another process only reaches this worker at its next lease renewal,
+ * so the status is read again; throws JobCancelledError when the job is no longer processing
+ */
+async function assertJobProcessing(jobId, signal) {
+  signal?.throwIfAborted();
+
+  const { data: job, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('status')
+    .eq('id', jobId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to check job status: ${error.message}`);
+  }
+
+  if (job.status !== 'processing') {
+    console.log(`[${jobId}] Job is ${job.status}, not recording its media`);
+    throw new JobCancelledError(jobId);
+  }
+}
+
+/**
+ * Delete outputs uploaded for a job cancelled before its media record was written
+ */
+async function discardOutputs(jobId, urls) {
+  try {
+    await deleteFromSupabase(urls.map(getStoragePath).filter(Boolean));
+  } catch (error) {
+    console.error(`[${jobId}] Failed to delete outputs of cancelled job:`, error.message);
+  }
+}
+
+/**
+ * Async image generation worker
+ */
+async function generateImageAsync(jobId, persona, platform, sourceUrl, shotType, settings, providerChain, placement, signal, replay = null) {
+  const onProgress = createProgressReporter(jobId);
+  const usage = createUsageRecorder({ jobId, persona, platform });
+  const provenance = createProvenance(jobId, persona);
+  const primaryModel = providerChain[0];
+  // Uploaded outputs not yet recorded in media_generations, deleted if the job is cancelled
+  let unrecordedOutputs = [];
+
+  try {
+    console.log(`[${jobId}] Starting async image generation with ${primaryModel.name}...`);
+    await onProgress('started', { message: `Generating with ${primaryModel.name}`, model: primaryModel.name });
+
+    const { result, model, attempts } = await generateImageWithFailover(jobId, providerChain, {
+      sourceUrl,
+      persona: formatPersonaName(persona),
+      shotType: shotType || DEFAULT_SHOT_TYPES.image,
+      settings,
+      replay,
+      provenance
+    }, { onProgress, onUsage: usage.onUsage, signal });
+
+    console.log(`[${jobId}] Image generation complete:`, result.outputUrl);
+    unrecordedOutputs = [result.outputUrl];
+
+    // Don't record media for a job cancelled while the provider was running
+    await assertJobProcessing(jobId, signal);
 
     // Create media_generations record (following your existing schema)
-    const batchId = generateBatchId(persona);
-    const variationId = 1; // API-generated are always single variations
-    const uniqueKey = `${batchId}_scene1_v${variationId}`;
+    const { batchId, sceneNumber, sceneId, variationId, uniqueKey } = placement;
+    const style = resolveStyle(settings);
 
     const { data: mediaGen, error: mediaError } = await mediaVaultClient
       .from(MEDIA_VAULT_TABLES.MEDIA_GENERATIONS)
@@ -248,7 +1220,7 @@ async function generateImageAsync(jobId, persona, platform, sourceUrl, shotType,
         batch_id: batchId,
         batch_full_id: batchId,
         persona,
-        scene_id: null,
+        scene_id: sceneId,
         variation_id: variationId,
         unique_key: uniqueKey,
         base_prompt: settings.prompt || 'Generated from ' + sourceUrl,
@@ -257,21 +1229,32 @@ async function generateImageAsync(jobId, persona, platform, sourceUrl, shotType,
         location_id: null,
         background_used: false,
         filename: `${uniqueKey}.png`,
-        supabase_url: result.imageUrl,
+        supabase_url: result.outputUrl,
         model_used: model.name,
-        resolution: '2K',
-        aspect_ratio: settings.aspectRatio || '3:4',
+        resolution: style.resolution,
+        aspect_ratio: style.aspectRatio,
         status: 'completed',
         content_type: 'image',
         shot_type: shotType || null,
-        nsfw_level: settings.enableNSFW ? 1 : 0,
+        nsfw_level: resolveNsfwLevel(result.safety, settings),
         source: 'api',
         metadata_json: {
           source: 'api',
           platform,
           source_url: sourceUrl,
           job_id: jobId,
-          generated_via: 'chrome_extension'
+          scene_number: sceneNumber,
+          generated_via: 'chrome_extension',
+          seed: result.providerRequest?.seed ?? null,
+          style_preset: style.preset,
+          safety: result.safety || null,
+          references: describeReferences(result.providerRequest),
+          attempts: attempts.map(({ attempt_number, model, status, error_message }) => ({
+            attempt: attempt_number,
+            model,
+            status,
+            error: error_message
+          }))
         },
         completed_at: new Date().toISOString(),
         created_at: new Date().toISOString()
@@ -283,6 +1266,9 @@ async function generateImageAsync(jobId, persona, platform, sourceUrl, shotType,
       console.error(`[${jobId}] Failed to create media_generation:`, mediaError);
       throw mediaError;
     }
+    unrecordedOutputs = [];
+
+    const renditions = await createImageRenditions(jobId, mediaGen, provenance, onProgress);
 
     // Update job with media_generation_id
     await mediaVaultClient
@@ -290,56 +1276,98 @@ async function generateImageAsync(jobId, persona, platform, sourceUrl, shotType,
       .update({
         status: 'completed',
         media_generation_id: mediaGen.id,
+        estimated_cost_usd: usage.getTotalCost(),
+        provider_request: recordProviderRequest(model, result),
+        prompt_templates: result.providerRequest?.promptTemplates || null,
+        scene_analysis: result.providerRequest?.sceneAnalysis || null,
+        safety_classification: result.safety || null,
         updated_at: new Date().toISOString()
       })
-      .eq('id', jobId);
+      .eq('id', jobId)
+      .eq('status', 'processing');
 
     console.log(`[${jobId}] Image generation completed! Media ID: ${mediaGen.id}`);
+    await onProgress('completed', {
+      message: 'Image generation completed',
+      mediaGenerationId: mediaGen.id,
+      outputUrl: result.outputUrl
+    });
 
-    // TODO: Trigger n8n webhook for Content Waterfall scheduling
-    // Send media_generation_id to n8n, which will create content_calendar entries
+    // Trigger n8n webhook for Content Waterfall scheduling
+    // n8n creates content_calendar entries from media_generation_id (crops for content_variants in renditions)
+    await dispatchWebhookEvent(WEBHOOK_EVENTS.JOB_COMPLETED, buildCompletedWebhookPayload(jobId, mediaGen, platform, placement, renditions));
 
   } catch (error) {
+    // Cancelled: the cancel endpoint already updated the job and emitted the event
+    if (isAbortError(error, signal)) {
+      console.log(`[${jobId}] Image generation cancelled`);
+      await discardOutputs(jobId, unrecordedOutputs);
+      await saveCancelledJobCost(jobId, usage.getTotalCost());
+      return;
+    }
+
     console.error(`[${jobId}] Image generation failed:`, error);
 
-    await mediaVaultClient
-      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
-      .update({
-        status: 'failed',
-        error_message: error.message,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId);
+    if (!await markJobFailed(jobId, error, usage.getTotalCost())) {
+      return;
+    }
+
+    await onProgress('failed', { message: error.message });
+    await dispatchWebhookEvent(WEBHOOK_EVENTS.JOB_FAILED, {
+      job_id: jobId,
+      persona,
+      content_type: 'image',
+      platform,
+      batch_id: placement.batchId,
+      error_message: error.message
+    });
   }
 }
 
 /**
  * Async video generation worker
  */
-async function generateVideoAsync(jobId, persona, platform, sourceUrl, shotType, settings, model) {
+async function generateVideoAsync(jobId, persona, platform, sourceUrl, shotType, settings, provider, placement, signal, replay = null) {
+  const onProgress = createProgressReporter(jobId);
+  const usage = createUsageRecorder({ jobId, persona, platform });
+  // Uploaded outputs not yet recorded in media_generations, deleted if the job is cancelled
+  let unrecordedOutputs = [];
+
   try {
     console.log(`[${jobId}] Starting async video generation...`);
+    await onProgress('started', { message: `Generating with ${provider.name}`, model: provider.name });
 
-    await mediaVaultClient
-      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
-      .update({ status: 'processing', updated_at: new Date().toISOString() })
-      .eq('id', jobId);
-
-    // Call actual WAN Animate API via wavespeed service
-    const result = await generateVideoWithWanAnimate({
+    const request = {
       sourceUrl,
-      persona: persona.charAt(0).toUpperCase() + persona.slice(1), // Capitalize: arisa -> Arisa
-      shotType: shotType || 'full',
-      apiKey: process.env.WAVESPEED_API_KEY,
-      settings: settings || {}
-    });
+      persona: formatPersonaName(persona),
+      shotType: shotType || DEFAULT_SHOT_TYPES.video,
+      settings,
+      replay,
+      provenance: createProvenance(jobId, persona)
+    };
+
+    // Image-to-video from a generated still: run the image providers on the source first
+    // (a replay reuses the recorded still)
+    let still = null;
+    if (!replay && needsGeneratedStill(provider, settings)) {
+      await onProgress('generate_still', { message: 'Generating still image for image-to-video' });
+      const stillProgress = (step, data = {}) => onProgress('generate_still', { ...data, stage: step });
+      still = await generateImageWithFailover(jobId, getImageProviderChain(settings), request, { onProgress: stillProgress, onUsage: usage.onUsage, signal });
+      request.imageUrl = still.result.outputUrl;
+      unrecordedOutputs = [still.result.outputUrl];
+      console.log(`[${jobId}] Still generated with ${still.model.name}:`, request.imageUrl);
+    }
 
-    console.log(`[${jobId}] WAN Animate generation complete:`, result.videoUrl);
+    const result = await runProvider(provider, request, { onProgress, onUsage: usage.onUsage, signal });
+
+    console.log(`[${jobId}] ${provider.name} generation complete:`, result.outputUrl);
+    unrecordedOutputs = [...unrecordedOutputs, result.outputUrl];
+
+    // Don't record media for a job cancelled while the provider was running
+    await assertJobProcessing(jobId, signal);
 
     // Create media_generations record
-    const batchId = generateBatchId(persona);
-    const variationId = 1;
-    const uniqueKey = `${batchId}_scene1_v${variationId}`;
+    const { batchId, sceneNumber, sceneId, variationId, uniqueKey } = placement;
 
     const { data: mediaGen, error: mediaError } = await mediaVaultClient
       .from(MEDIA_VAULT_TABLES.MEDIA_GENERATIONS)
@@ -347,7 +1375,7 @@ async function generateVideoAsync(jobId, persona, platform, sourceUrl, shotType,
         batch_id: batchId,
         batch_full_id: batchId,
         persona,
-        scene_id: null,
+        scene_id: sceneId,
         variation_id: variationId,
         unique_key: uniqueKey,
         base_prompt: settings.prompt || 'Generated from ' + sourceUrl,
@@ -356,21 +1384,31 @@ async function generateVideoAsync(jobId, persona, platform, sourceUrl, shotType,
         location_id: null,
         background_used: false,
         filename: `${uniqueKey}.mp4`,
-        supabase_url: result.videoUrl,
-        model_used: model.name,
-        resolution: '720p',
-        aspect_ratio: '9:16',
+        supabase_url: result.outputUrl,
+        model_used: provider.name,
+        resolution: result.resolution || '720p',
+        aspect_ratio: result.aspectRatio || '9:16',
         status: 'completed',
         content_type: 'video',
         shot_type: shotType || null,
-        nsfw_level: settings.enableNSFW ? 1 : 0,
+        nsfw_level: resolveNsfwLevel(result.safety, settings),
         source: 'api',
         metadata_json: {
           source: 'api',
           platform,
           source_url: sourceUrl,
           job_id: jobId,
-          generated_via: 'chrome_extension'
+          scene_number: sceneNumber,
+          generated_via: 'chrome_extension',
+          provider_model: result.providerModel,
+          video_mode: result.videoMode || null,
+          duration: result.duration || null,
+          seed: result.seed ?? null,
+          safety: result.safety || null,
+          references: describeReferences(result.providerRequest),
+          still: still
+            ? { url: still.result.outputUrl, model: still.model.name, safety: still.result.safety || null }
+            : result.stillUrl ? { url: result.stillUrl, model: 'reference' } : null
         },
         completed_at: new Date().toISOString(),
         created_at: new Date().toISOString()
@@ -382,30 +1420,57 @@ async function generateVideoAsync(jobId, persona, platform, sourceUrl, shotType,
       console.error(`[${jobId}] Failed to create media_generation:`, mediaError);
       throw mediaError;
     }
+    unrecordedOutputs = [];
 
     await mediaVaultClient
       .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
       .update({
         status: 'completed',
         media_generation_id: mediaGen.id,
+        estimated_cost_usd: usage.getTotalCost(),
+        provider_request: recordProviderRequest(provider, result),
+        // Video prompts don't use templates; a generated still's prompt does
+        prompt_templates: still?.result.providerRequest?.promptTemplates || null,
+        scene_analysis: still?.result.providerRequest?.sceneAnalysis || null,
+        safety_classification: result.safety || null,
         updated_at: new Date().toISOString()
       })
-      .eq('id', jobId);
+      .eq('id', jobId)
+      .eq('status', 'processing');
 
     console.log(`[${jobId}] Video generation completed! Media ID: ${mediaGen.id}`);
+    await onProgress('completed', {
+      message: 'Video generation completed',
+      mediaGenerationId: mediaGen.id,
+      outputUrl: result.outputUrl
+    });
 
-    // TODO: Trigger n8n webhook for Content Waterfall scheduling
+    // Trigger n8n webhook for Content Waterfall scheduling
+    await dispatchWebhookEvent(WEBHOOK_EVENTS.JOB_COMPLETED, buildCompletedWebhookPayload(jobId, mediaGen, platform, placement));
 
   } catch (error) {
+    // Cancelled: the cancel endpoint already updated the job and emitted the event
+    if (isAbortError(error, signal)) {
+      console.log(`[${jobId}] Video generation cancelled`);
+      await discardOutputs(jobId, unrecordedOutputs);
+      await saveCancelledJobCost(jobId, usage.getTotalCost());
+      return;
+    }
+
     console.error(`[${jobId}] Video generation failed:`, error);
 
-    await mediaVaultClient
-      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
-      .update({
-        status: 'failed',
-        error_message: error.message,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId);
+    if (!await markJobFailed(jobId, error, usage.getTotalCost())) {
+      return;
+    }
+
+    await onProgress('failed', { message: error.message });
+    await dispatchWebhookEvent(WEBHOOK_EVENTS.JOB_FAILED, {
+      job_id: jobId,
+      persona,
+      content_type: 'video',
+      platform,
+      batch_id: placement.batchId,
+      error_message: error.message
+    });
   }
 }
@@ -0,0 +1,156 @@
+/**
+ * IDEMPOTENCY.SERVICE.JS
+ * Deduplicates generation requests (extension retries, double-clicks)
+ *
+ * - Explicit keys come from the Idempotency-Key header and are honoured for IDEMPOTENCY_KEY_TTL_HOURS
+ * - Without a header, a key is derived from the request content and honoured for IDEMPOTENCY_WINDOW_MINUTES
+ * - Batch requests use "batch:" keys with the same TTL as explicit keys (header only)
+ * - Keys are scoped by API key and mode, so two clients never share a key
+ * - A header key sent again with a different request is rejected (IdempotencyConflictError)
+ * - Failed and cancelled jobs never match, so a user can retry them
+ * - Concurrent duplicates: serialized inside a process, and across processes the partial unique
+ *   index on pending/processing jobs (migration-idempotency.sql) rejects the second insert
+ */
+
+import crypto from 'crypto';
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+import { IdempotencyConflictError } from '../utils/errors.js';
+
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Requests currently creating a job in this process (key -> Promise)
+const inFlight = new Map();
+
+function getIdempotencyConfig() {
+  return {
+    windowMinutes: parseInt(process.env.IDEMPOTENCY_WINDOW_MINUTES || '10', 10),
+    keyTtlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10)
+  };
+}
+
+/**
+ * JSON.stringify with sorted object keys, so { a, b } and { b, a } hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * sha256 of a request's content (mode, source(s), shot type, persona, settings, ...)
+ * Stored with the job to tell a retry from a different request reusing the key
+ */
+export function hashIdempotentRequest(request) {
+  const { shotType, settings, ...rest } = request;
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ ...rest, shotType: shotType || null, settings: settings || {} }))
+    .digest('hex');
+}
+
+/**
+ * Resolve the idempotency key for a request, scoped by API key and mode
+ * Header keys are namespaced with "key:" ("batch:" for batches), derived keys with "auto:"
+ * Batches without a header aren't deduplicated (null)
+ */
+export function resolveIdempotencyKey({ headerKey, apiKeyId, mode, requestHash, batch = false }) {
+  const scope = `${apiKeyId ?? '-'}:${mode}`;
+
+  if (headerKey) {
+    return `${batch ? 'batch' : 'key'}:${scope}:${headerKey}`;
+  }
+  return batch ? null : `auto:${scope}:${requestHash}`;
+}
+
+/**
+ * Find a live job created with this key inside its window
+ * Pending and processing jobs match at any age (they hold the key in the unique index)
+ * Throws IdempotencyConflictError when the job was created from a different request
+ * (jobs created before request hashes were stored always match)
+ */
+async function findJobByIdempotencyKey(idempotencyKey, requestHash) {
+  const { windowMinutes, keyTtlHours } = getIdempotencyConfig();
+  const lookbackMs = idempotencyKey.startsWith('auto:')
+    ? windowMinutes * 60 * 1000
+    : keyTtlHours * 60 * 60 * 1000;
+  const since = new Date(Date.now() - lookbackMs).toISOString();
+
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('id, status, batch_id, idempotency_request_hash, created_at')
+    .eq('idempotency_key', idempotencyKey)
+    .or(`status.in.(pending,processing),created_at.gte."${since}"`)
+    .not('status', 'in', '(failed,cancelled)')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check idempotency key: ${error.message}`);
+  }
+
+  if (data?.idempotency_request_hash && data.idempotency_request_hash !== requestHash) {
+    throw new IdempotencyConflictError(data.id);
+  }
+
+  return data;
+}
+
+/**
+ * True for an insert rejected by the unique index on live jobs' idempotency keys
+ */
+function isIdempotencyKeyViolation(error) {
+  const cause = error?.cause || error;
+  return cause?.code === '23505' && String(cause.message).includes('idx_generation_jobs_idempotency_live');
+}
+
+/**
+ * Create a job (or batch) once per idempotency key
+ *
+ * - A live job already created with the key is passed to onDuplicate instead
+ * - When another process inserted the same key first (unique violation), its job is returned the same way
+ *
+ * @param {Function} create - inserts the job(s); insert errors must keep the Supabase error as `cause`
+ * @param {Function} onDuplicate - (existingJob) => response
+ */
+export async function createOnce({ idempotencyKey, requestHash }, create, onDuplicate) {
+  return withIdempotencyLock(idempotencyKey, async () => {
+    const existingJob = await findJobByIdempotencyKey(idempotencyKey, requestHash);
+    if (existingJob) {
+      return onDuplicate(existingJob);
+    }
+
+    try {
+      return await create();
+    } catch (error) {
+      if (!isIdempotencyKeyViolation(error)) throw error;
+
+      const winner = await findJobByIdempotencyKey(idempotencyKey, requestHash);
+      if (!winner) throw error;
+      return onDuplicate(winner);
+    }
+  });
+}
+
+/**
+ * Serialize concurrent requests with the same key inside this process
+ * The second caller waits for the first, then sees its job via findJobByIdempotencyKey
+ */
+async function withIdempotencyLock(idempotencyKey, fn) {
+  while (inFlight.has(idempotencyKey)) {
+    await inFlight.get(idempotencyKey).catch(() => {});
+  }
+
+  const promise = fn();
+  inFlight.set(idempotencyKey, promise);
+  try {
+    return await promise;
+  } finally {
+    inFlight.delete(idempotencyKey);
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * PROGRESS.SERVICE.JS
+ * Structured progress events for generation jobs
+ *
+ * Events are persisted to generation_job_events (so workers running in a
+ * separate process are visible to the API) and emitted locally for
+ * low-latency delivery to SSE subscribers in the same process.
+ */
+
+import { EventEmitter } from 'events';
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+
+// ==========================================
+// PIPELINE STEPS
+// ==========================================
+
+// Approximate overall progress (0-100) when each step starts
+export const PROGRESS_STEPS = {
+  queued: 0,
+  started: 5,
+  generate_still: 7,
+  tiktok_resolve: 8,
+  download: 12,
+  upload_temp: 18,
+  reverse_prompt: 25,
+  build_prompt: 35,
+  provider_call: 45,
+  polling: 50,
+  upload_final: 92,
+  safety_check: 93,
+  renditions: 95,
+  completed: 100,
+  failed: 100,
+  cancelled: 100
+};
+
+export const TERMINAL_STEPS = ['completed', 'failed', 'cancelled'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Work out overall progress for a step
+ * Poll events interpolate between 'polling' and 'upload_final' using poll/maxPolls
+ */
+function computeProgress(step, data) {
+  if (step === 'polling' && data.poll && data.maxPolls) {
+    const start = PROGRESS_STEPS.polling;
+    const end = PROGRESS_STEPS.upload_final;
+    return Math.min(end, Math.round(start + (end - start) * (data.poll / data.maxPolls)));
+  }
+  return PROGRESS_STEPS[step] ?? null;
+}
+
+/**
+ * Record a progress event for a job
+ * Never throws - progress reporting must not break generation
+ */
+export async function reportProgress(jobId, step, data = {}) {
+  const { message = null, ...details } = data;
+  const event = {
+    seq: null,
+    jobId,
+    step,
+    progress: computeProgress(step, details),
+    message,
+    data: details,
+    at: new Date().toISOString()
+  };
+
+  try {
+    const { data: row, error } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_JOB_EVENTS)
+      .insert({
+        job_id: jobId,
+        step,
+        progress: event.progress,
+        message,
+        data: details,
+        created_at: event.at
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error(`[Progress] Failed to persist ${step} for ${jobId}:`, error.message);
+    } else {
+      event.seq = row.id;
+    }
+  } catch (error) {
+    console.error(`[Progress] Failed to persist ${step} for ${jobId}:`, error.message);
+  }
+
+  emitter.emit(jobId, event);
+  return event;
+}
+
+/**
+ * Build a progress callback bound to a job
+ * Passed to provider services as options.onProgress
+ */
+export function createProgressReporter(jobId) {
+  return (step, data) => reportProgress(jobId, step, data);
+}
+
+/**
+ * Fetch persisted events for a job (optionally only those after a sequence number)
+ */
+export async function getJobEvents(jobId, afterSeq = 0) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOB_EVENTS)
+    .select('*')
+    .eq('job_id', jobId)
+    .gt('id', afterSeq)
+    .order('id', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch job events: ${error.message}`);
+  }
+
+  return (data || []).map(row => ({
+    seq: row.id,
+    jobId: row.job_id,
+    step: row.step,
+    progress: row.progress,
+    message: row.message,
+    data: row.data || {},
+    at: row.created_at
+  }));
+}
+
+/**
+ * Subscribe to events emitted in this process for a job
+ * Returns an unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
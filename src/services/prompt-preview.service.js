@@ -0,0 +1,144 @@
+/**
+ * PROMPT-PREVIEW.SERVICE.JS
+ * Dry run of an image job's prompt building, for tuning prompts without spending image credits
+ *
+ * - Runs the same steps as the image providers: reference selection, reverse prompting,
+ *   prompt editing and the style preset, using the provider's reference limit and image layout
+ * - Persona and shot type are normalized the way image jobs do (Arisa, 'close' by default)
+ * - No job is created and no image provider is called; the OpenRouter calls are billed as usual,
+ *   recorded in generation_usage without a job and returned with their estimated cost
+ * - Each preview reserves its unit price ('prompt-preview' in UNIT_PRICES) against the daily spend
+ *   budgets first, and counts toward them with its recorded cost afterwards
+ */
+
+import { getReferenceImages, getInfluencerProfile, selectReferences } from './reference.service.js';
+import { reversePromptImage, applySceneOverrides, buildGenerationPrompt, applyStyleToPrompt, imageLabel, OPENROUTER_MODELS } from './prompt.service.js';
+import { getImageProviderChain, formatPersonaName, DEFAULT_PERSONA, DEFAULT_SHOT_TYPES } from './generation.service.js';
+import { estimateCost, createUsageRecorder } from './usage.service.js';
+import { reserveGenerationBudget } from './budget.service.js';
+import { getProvider, supportsRequest } from '../providers/index.js';
+import { resolveStyle } from '../config/style-presets.js';
+import { getUnitPrice } from '../config/pricing.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Image provider the preview is for: the requested one, or the first of the fallback chain
+ * (getImageProviderChain throws a ValidationError when no provider fits)
+ */
+function resolvePreviewProvider(providerId, settings) {
+  if (!providerId) {
+    return getImageProviderChain(settings)[0];
+  }
+
+  const { aspectRatio, resolution } = resolveStyle(settings);
+  const nsfw = Boolean(settings.enableNSFW);
+  const provider = getProvider(providerId);
+  if (!supportsRequest(provider, { type: 'image', nsfw, aspectRatio, resolution })) {
+    throw new ValidationError('Provider does not support this request', [
+      { field: 'provider', message: `${provider.name} does not support nsfw: ${nsfw}, aspectRatio: ${aspectRatio}, resolution: ${resolution}` }
+    ]);
+  }
+  return provider;
+}
+
+/**
+ * OpenRouter model id as { id, name }
+ */
+function describeModel(modelId) {
+  if (!modelId) return null;
+  const model = Object.values(OPENROUTER_MODELS).find(candidate => candidate.id === modelId);
+  return { id: modelId, name: model?.name || modelId };
+}
+
+function describeTemplate(template) {
+  return template ? { name: template.name, version: template.version } : null;
+}
+
+/**
+ * Build the prompt an image job would send, without generating
+ * Throws QuotaExceededError when the preview would go over a daily spend budget
+ *
+ * @param {Object} options
+ * @param {string} options.sourceUrl
+ * @param {string} [options.persona]
+ * @param {string|null} [options.shotType] - normalized ('close' | 'half' | 'full'), default 'close' like image jobs
+ * @param {boolean} [options.enableNSFW]
+ * @param {string} [options.providerId] - image provider id or alias
+ * @param {Object} [options.scene] - settings.scene overrides
+ * @param {string} [options.style] - style preset, with optional stylePrompt / negativePrompt overrides
+ * @param {AbortSignal} [options.signal]
+ */
+export async function previewPrompt({ sourceUrl, persona: personaId = DEFAULT_PERSONA, shotType: requestedShotType = null, enableNSFW = false, providerId = null, scene = null, style: styleName, stylePrompt, negativePrompt, signal }) {
+  const settings = { enableNSFW, style: styleName, stylePrompt, negativePrompt };
+  const provider = resolvePreviewProvider(providerId, settings);
+  const style = resolveStyle(settings);
+  const negativeInPrompt = !provider.capabilities.negativePrompt;
+  const persona = formatPersonaName(personaId);
+  const shotType = requestedShotType || DEFAULT_SHOT_TYPES.image;
+
+  const references = await getReferenceImages(persona, shotType);
+  if (references.face.length === 0) {
+    throw new ValidationError('No face reference images found', [
+      { field: 'persona', message: `${persona} has no active face reference images` }
+    ]);
+  }
+  const profile = await getInfluencerProfile(persona);
+  const selected = selectReferences(references, { shotType, maxReferences: provider.capabilities.maxReferences });
+  const sourceImageNumber = provider.capabilities.sourceAfterReferences ? selected.length + 1 : null;
+
+  const budget = await reserveGenerationBudget({ persona: personaId, mode: 'preview', costUsd: getUnitPrice('prompt-preview') });
+  const recorder = createUsageRecorder({ persona: personaId });
+
+  const usage = [];
+  const onUsage = async call => {
+    usage.push({ ...call, estimatedCostUsd: estimateCost(call) });
+    await recorder.onUsage(call);
+  };
+
+  let analysis;
+  let edited;
+  try {
+    const analyzed = await reversePromptImage(sourceUrl, enableNSFW, { signal, onUsage });
+    analysis = applySceneOverrides(analyzed, scene);
+    edited = await buildGenerationPrompt(analysis, profile, selected, enableNSFW, { signal, onUsage, sourceImageNumber, stylePrompt: style.prompt });
+  } finally {
+    // The recorded calls count toward the budget from here on
+    await budget.release();
+  }
+  const finalPrompt = applyStyleToPrompt(edited.prompt, style, { negativeInPrompt });
+
+  return {
+    provider: { id: provider.id, name: provider.name },
+    persona,
+    shotType,
+    enableNSFW,
+    style,
+    references: selected.map((reference, index) => ({
+      url: reference.url,
+      role: reference.role,
+      label: imageLabel(index + 1, reference.role)
+    })),
+    source: {
+      url: sourceUrl,
+      label: sourceImageNumber ? imageLabel(sourceImageNumber, 'source') : null
+    },
+    reversePrompt: {
+      description: analysis.description,
+      scene: analysis.scene,
+      structured: Boolean(analysis.scene),
+      fallback: !analysis.model,
+      model: describeModel(analysis.model),
+      template: describeTemplate(analysis.template)
+    },
+    prompt: {
+      text: finalPrompt,
+      length: finalPrompt.length,
+      negativePrompt: negativeInPrompt ? null : style.negativePrompt,
+      fallback: !edited.model,
+      model: describeModel(edited.model),
+      template: describeTemplate(edited.template)
+    },
+    usage,
+    estimatedCostUsd: recorder.getTotalCost()
+  };
+}
@@ -0,0 +1,302 @@
+/**
+ * PROMPT-TEMPLATE.SERVICE.JS
+ * Versioned prompt templates for reverse prompting and prompt editing
+ *
+ * - Version 1 of every template is built in (config/prompt-templates.js); newer versions are
+ *   stored in prompt_template_versions and one version per template is active
+ * - Active versions are cached for TEMPLATE_CACHE_MS, so edits reach workers in other processes
+ *   within a minute; if the tables can't be read, the built-in version is used
+ * - The versions used for a job are stored in generation_jobs.prompt_templates ({ name: version })
+ */
+
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+import { PROMPT_TEMPLATES, PROMPT_TEMPLATE_VARIABLES } from '../config/prompt-templates.js';
+import { ValidationError } from '../utils/errors.js';
+
+const BUILT_IN_VERSION = 1;
+const TEMPLATE_CACHE_MS = 60 * 1000;
+
+// {{name}} or {{name|fallback}}
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+const activeCache = new Map();
+
+function builtInVersion(name) {
+  const { system, body } = PROMPT_TEMPLATES[name];
+  return { name, version: BUILT_IN_VERSION, system, body };
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+
+/**
+ * Fill a template's placeholders
+ * Missing and empty values render as the placeholder's fallback (or nothing)
+ *
+ * @returns {{ system: string|null, body: string }}
+ */
+export function renderTemplate(template, variables) {
+  const fill = text => text.replace(PLACEHOLDER_PATTERN, (match, name, fallback = '') => {
+    const value = variables[name];
+    return value === undefined || value === null || value === '' ? fallback.trim() : String(value);
+  });
+
+  return {
+    system: template.system ? fill(template.system) : null,
+    body: fill(template.body)
+  };
+}
+
+/**
+ * Versions used for a job, for providerRequest.promptTemplates: { 'edit-prompt-mythomax': 3, ... }
+ * Templates that weren't used (null, e.g. the LLM call failed and a fallback was used) are left out
+ */
+export function templateVersions(...templates) {
+  return Object.fromEntries(templates.filter(Boolean).map(({ name, version }) => [name, version]));
+}
+
+// ==========================================
+// ACTIVE VERSIONS
+// ==========================================
+
+/**
+ * Active version of a template: { name, version, system, body }
+ */
+export async function getPromptTemplate(name) {
+  if (!PROMPT_TEMPLATES[name]) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const cached = activeCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.template;
+  }
+
+  let template = builtInVersion(name);
+  try {
+    const activeVersion = await fetchActiveVersion(name);
+    if (activeVersion && activeVersion !== BUILT_IN_VERSION) {
+      template = await fetchVersion(name, activeVersion) || template;
+    }
+  } catch (error) {
+    console.warn(`[Prompts] Using built-in ${name}: ${error.message}`);
+  }
+
+  activeCache.set(name, { template, expiresAt: Date.now() + TEMPLATE_CACHE_MS });
+  return template;
+}
+
+async function fetchActiveVersion(name) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.PROMPT_TEMPLATES)
+    .select('active_version')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch prompt template: ${error.message}`);
+  }
+  return data?.active_version ?? null;
+}
+
+async function fetchVersion(name, version) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.PROMPT_TEMPLATE_VERSIONS)
+    .select('template_name, version, system_prompt, body')
+    .eq('template_name', name)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch prompt template version: ${error.message}`);
+  }
+  return data ? { name, version: data.version, system: data.system_prompt, body: data.body } : null;
+}
+
+async function fetchStoredVersions(name) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.PROMPT_TEMPLATE_VERSIONS)
+    .select('version, system_prompt, body, notes, api_key_id, created_at')
+    .eq('template_name', name)
+    .order('version', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch prompt template versions: ${error.message}`);
+  }
+  return data || [];
+}
+
+// ==========================================
+// ADMIN
+// ==========================================
+
+/**
+ * Every template with its active and latest version
+ */
+export async function listPromptTemplates() {
+  const { data: rows, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.PROMPT_TEMPLATES)
+    .select('name, active_version, latest_version, updated_at');
+
+  if (error) {
+    throw new Error(`Failed to fetch prompt templates: ${error.message}`);
+  }
+
+  return Object.entries(PROMPT_TEMPLATES).map(([name, { description, variables }]) => {
+    const row = rows.find(template => template.name === name);
+    return {
+      name,
+      description,
+      variables,
+      activeVersion: row?.active_version ?? BUILT_IN_VERSION,
+      latestVersion: row?.latest_version ?? BUILT_IN_VERSION,
+      updatedAt: row?.updated_at || null
+    };
+  });
+}
+
+/**
+ * One template with all its versions (version 1 is the built-in one)
+ * Returns null for unknown names
+ */
+export async function getPromptTemplateVersions(name) {
+  const builtIn = PROMPT_TEMPLATES[name];
+  if (!builtIn) {
+    return null;
+  }
+
+  const [activeVersion, stored] = await Promise.all([fetchActiveVersion(name), fetchStoredVersions(name)]);
+  const active = activeVersion ?? BUILT_IN_VERSION;
+
+  return {
+    name,
+    description: builtIn.description,
+    variables: builtIn.variables.map(variable => ({ name: variable, description: PROMPT_TEMPLATE_VARIABLES[variable] })),
+    activeVersion: active,
+    versions: [
+      { version: BUILT_IN_VERSION, system: builtIn.system, body: builtIn.body, notes: 'Built-in', apiKeyId: null, createdAt: null },
+      ...stored.map(row => ({
+        version: row.version,
+        system: row.system_prompt,
+        body: row.body,
+        notes: row.notes,
+        apiKeyId: row.api_key_id,
+        createdAt: row.created_at
+      }))
+    ].map(version => ({ ...version, active: version.version === active }))
+  };
+}
+
+/**
+ * Placeholders a template uses that it doesn't declare, as validation field entries
+ */
+function unknownVariableErrors(name, fields) {
+  const allowed = PROMPT_TEMPLATES[name].variables;
+  const errors = [];
+
+  for (const [field, text] of Object.entries(fields)) {
+    if (!text) continue;
+    const unknown = [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))]
+      .filter(variable => !allowed.includes(variable));
+    if (unknown.length > 0) {
+      errors.push({
+        field,
+        message: allowed.length > 0
+          ? `unknown variable(s): ${unknown.join(', ')}. Available: ${allowed.join(', ')}`
+          : `unknown variable(s): ${unknown.join(', ')}. This template takes no variables`
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Store a new version of a template
+ * system defaults to the active version's; the new version becomes active unless activate is false
+ * Returns null for unknown names
+ */
+export async function createPromptTemplateVersion(name, { body, system, notes = null, activate = true, apiKeyId = null }) {
+  if (!PROMPT_TEMPLATES[name]) {
+    return null;
+  }
+
+  const systemPrompt = system === undefined ? (await getPromptTemplate(name)).system : system;
+  const errors = unknownVariableErrors(name, { body, system: systemPrompt });
+  if (errors.length > 0) {
+    throw new ValidationError('Template uses unknown variables', errors);
+  }
+
+  const stored = await fetchStoredVersions(name);
+  const version = Math.max(BUILT_IN_VERSION, ...stored.map(row => row.version)) + 1;
+
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.PROMPT_TEMPLATE_VERSIONS)
+    .insert({
+      template_name: name,
+      version,
+      system_prompt: systemPrompt,
+      body,
+      notes,
+      api_key_id: apiKeyId,
+      created_at: new Date().toISOString()
+    })
+    .select('version, system_prompt, body, notes, api_key_id, created_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save prompt template version: ${error.message}`);
+  }
+
+  const activeVersion = activate ? version : (await fetchActiveVersion(name)) ?? BUILT_IN_VERSION;
+  await saveTemplateState(name, { activeVersion, latestVersion: version });
+
+  return {
+    name,
+    version: data.version,
+    system: data.system_prompt,
+    body: data.body,
+    notes: data.notes,
+    apiKeyId: data.api_key_id,
+    createdAt: data.created_at,
+    active: activeVersion === version
+  };
+}
+
+/**
+ * Make a stored (or the built-in) version active
+ * @returns {{ name, activeVersion } | null} null for unknown templates or versions
+ */
+export async function activatePromptTemplateVersion(name, version) {
+  if (!PROMPT_TEMPLATES[name]) {
+    return null;
+  }
+
+  const stored = await fetchStoredVersions(name);
+  if (version !== BUILT_IN_VERSION && !stored.some(row => row.version === version)) {
+    return null;
+  }
+
+  await saveTemplateState(name, {
+    activeVersion: version,
+    latestVersion: Math.max(BUILT_IN_VERSION, ...stored.map(row => row.version))
+  });
+  return { name, activeVersion: version };
+}
+
+async function saveTemplateState(name, { activeVersion, latestVersion }) {
+  const { error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.PROMPT_TEMPLATES)
+    .upsert({
+      name,
+      active_version: activeVersion,
+      latest_version: latestVersion,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'name' });
+
+  if (error) {
+    throw new Error(`Failed to update prompt template: ${error.message}`);
+  }
+
+  activeCache.delete(name);
+}
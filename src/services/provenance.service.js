@@ -0,0 +1,167 @@
+/**
+ * PROVENANCE.SERVICE.JS
+ * Metadata sanitization and provenance stamps for generated media
+ *
+ * - Every generated image and video is stripped of provider metadata before it's uploaded:
+ *   images are re-encoded by sharp without EXIF/XMP/IPTC, MP4 metadata boxes are blanked
+ * - When PROVENANCE_SECRET is set, a signed stamp { jobId, persona, generatedAt } is embedded:
+ *   EXIF ImageDescription for images and their renditions, a 'uuid' box at the end of MP4 files
+ * - readProvenance() reads the stamp back from a file and checks its signature (GET /api/media/verify)
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { isMp4, stripMp4Metadata, appendMp4UuidBox, readMp4UuidBox, readExifString } from '../utils/media.js';
+
+const STAMP_PREFIX = 'aivora-provenance:';
+const STAMP_VERSION = 1;
+
+// Identifies our box among other 'uuid' boxes in an MP4
+const MP4_STAMP_UUID = '9c3e5a1f6b2d4e8aa7f0c41d2b6e8f35';
+
+const EXIF_IMAGE_DESCRIPTION = 0x010E;
+
+// Output options when re-encoding; other formats are uploaded unchanged
+const IMAGE_FORMATS = {
+  png: {},
+  jpeg: { quality: 95 },
+  webp: { quality: 95 }
+};
+
+function getProvenanceSecret() {
+  return process.env.PROVENANCE_SECRET || '';
+}
+
+function signStamp({ jobId, persona, generatedAt }, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${STAMP_VERSION}.${jobId}.${persona}.${generatedAt}`)
+    .digest('hex');
+}
+
+/**
+ * Stamp string embedded in a file
+ */
+function encodeStamp(provenance, secret) {
+  const { jobId, persona, generatedAt } = provenance;
+  return STAMP_PREFIX + JSON.stringify({
+    v: STAMP_VERSION,
+    jobId,
+    persona,
+    generatedAt,
+    signature: signStamp(provenance, secret)
+  });
+}
+
+function decodeStamp(text) {
+  if (!text?.startsWith(STAMP_PREFIX)) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(STAMP_PREFIX.length));
+  } catch {
+    return null;
+  }
+}
+
+// ==========================================
+// UPLOAD POST-PROCESSING
+// ==========================================
+
+/**
+ * Provenance for a job's outputs, passed to providers as request.provenance
+ */
+export function createProvenance(jobId, persona) {
+  return {
+    jobId,
+    persona: persona.toLowerCase(),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Add the provenance stamp to a sharp pipeline (unchanged when PROVENANCE_SECRET isn't set)
+ * sharp drops all input metadata unless asked to keep it, so the stamp is the only metadata written
+ */
+export function stampImage(image, provenance) {
+  const secret = getProvenanceSecret();
+  if (!provenance || !secret) {
+    return image;
+  }
+  return image.withExif({ IFD0: { ImageDescription: encodeStamp(provenance, secret), Software: 'AIVORA' } });
+}
+
+/**
+ * Strip provider metadata from a generated file and stamp it (when PROVENANCE_SECRET is set)
+ * Called on the final output right before it's uploaded
+ *
+ * @param {Blob} blob - the provider output
+ * @param {Object|null} provenance - from createProvenance()
+ * @returns {Promise<Blob>}
+ */
+export async function sanitizeOutput(blob, provenance = null) {
+  const buffer = Buffer.from(await blob.arrayBuffer());
+
+  if (isMp4(buffer)) {
+    const secret = getProvenanceSecret();
+    const stamp = provenance && secret ? encodeStamp(provenance, secret) : null;
+    const stripped = stripMp4Metadata(buffer);
+    const output = stamp ? appendMp4UuidBox(stripped, MP4_STAMP_UUID, Buffer.from(stamp)) : stripped;
+    return new Blob([output], { type: blob.type || 'video/mp4' });
+  }
+
+  const { format } = await sharp(buffer).metadata().catch(() => ({}));
+  if (!IMAGE_FORMATS[format]) {
+    console.warn(`[Provenance] Can't sanitize ${format || blob.type || 'unknown'} output, uploading as-is`);
+    return blob;
+  }
+
+  const output = await stampImage(sharp(buffer), provenance)
+    .toFormat(format, IMAGE_FORMATS[format])
+    .toBuffer();
+  return new Blob([output], { type: `image/${format}` });
+}
+
+// ==========================================
+// VERIFICATION
+// ==========================================
+
+/**
+ * Read the provenance stamp embedded in a file
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{ found: boolean, format: string|null, verified: boolean|null, provenance: Object|null }>}
+ *   verified is null when PROVENANCE_SECRET isn't set here
+ */
+export async function readProvenance(buffer) {
+  let format = null;
+  let text = null;
+
+  if (isMp4(buffer)) {
+    format = 'mp4';
+    text = readMp4UuidBox(buffer, MP4_STAMP_UUID)?.toString('utf8') || null;
+  } else {
+    const metadata = await sharp(buffer).metadata().catch(() => ({}));
+    format = metadata.format || null;
+    text = metadata.exif ? readExifString(metadata.exif, EXIF_IMAGE_DESCRIPTION) : null;
+  }
+
+  const stamp = decodeStamp(text);
+  if (!stamp) {
+    return { found: false, format, verified: null, provenance: null };
+  }
+
+  const { jobId, persona, generatedAt, signature } = stamp;
+  const secret = getProvenanceSecret();
+  const expected = secret ? signStamp({ jobId, persona, generatedAt }, secret) : null;
+
+  return {
+    found: true,
+    format,
+    verified: expected
+      ? typeof signature === 'string' && signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      : null,
+    provenance: { jobId, persona, generatedAt }
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * QUEUE.SERVICE.JS
+ * Durable job queue backed by the generation_jobs table
+ *
+ * - Jobs are inserted as 'pending' by the API and claimed by workers
+ * - A claim sets status 'processing' plus a lease (locked_by, lease_expires_at)
+ * - Workers renew the lease while a job runs; an expired lease means the worker died
+ * - Orphaned jobs are requeued (or failed after max_attempts) on startup and periodically
+ */
+
+import os from 'os';
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+import { reportProgress } from './progress.service.js';
+import { JobCancelledError } from '../utils/abort.js';
+
+// ==========================================
+// QUEUE CONFIGURATION
+// ==========================================
+
+/**
+ * Read queue configuration from environment
+ * Read lazily so values loaded by dotenv after import are respected
+ */
+export function getQueueConfig() {
+  return {
+    concurrency: {
+      image: parseInt(process.env.WORKER_IMAGE_CONCURRENCY || '2', 10),
+      video: parseInt(process.env.WORKER_VIDEO_CONCURRENCY || '1', 10)
+    },
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '2000', 10),
+    leaseSeconds: parseInt(process.env.QUEUE_LEASE_SECONDS || '120', 10),
+    recoveryIntervalMs: parseInt(process.env.QUEUE_RECOVERY_INTERVAL_MS || '60000', 10)
+  };
+}
+
+/**
+ * Whether the API process should also run workers
+ * Set RUN_WORKERS_IN_PROCESS=false when running `npm run worker` separately
+ */
+export function shouldRunWorkersInProcess() {
+  return process.env.RUN_WORKERS_IN_PROCESS !== 'false';
+}
+
+// Sleeping worker slots, woken early when a job is enqueued in this process
+const idleWaiters = new Set();
+
+// AbortControllers for jobs currently running in this process (jobId -> controller)
+const activeJobs = new Map();
+
+function leaseExpiry(leaseSeconds) {
+  return new Date(Date.now() + leaseSeconds * 1000).toISOString();
+}
+
+function idle(ms) {
+  return new Promise(resolve => {
+    const waiter = () => {
+      clearTimeout(timer);
+      idleWaiters.delete(waiter);
+      resolve();
+    };
+    const timer = setTimeout(waiter, ms);
+    idleWaiters.add(waiter);
+  });
+}
+
+/**
+ * Wake idle workers in this process so a new job is picked up immediately
+ * Workers in other processes pick it up on their next poll
+ */
+export function wakeWorkers() {
+  for (const waiter of [...idleWaiters]) {
+    waiter();
+  }
+}
+
+// ==========================================
+// CLAIM / LEASE
+// ==========================================
+
+/**
+ * Claim the oldest pending job for a mode
+ * Uses a conditional update (status + attempts unchanged) so two workers
+ * can never claim the same row. Returns the claimed job or null.
+ */
+export async function claimNextJob(mode, workerId, leaseSeconds = getQueueConfig().leaseSeconds) {
+  const { data: candidates, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('id, attempts')
+    .eq('status', 'pending')
+    .eq('mode', mode)
+    .order('created_at', { ascending: true })
+    .limit(5);
+
+  if (error) {
+    throw new Error(`Failed to fetch pending jobs: ${error.message}`);
+  }
+
+  for (const candidate of candidates || []) {
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+      .update({
+        status: 'processing',
+        attempts: (candidate.attempts || 0) + 1,
+        locked_by: workerId,
+        lease_expires_at: leaseExpiry(leaseSeconds),
+        started_at: now,
+        updated_at: now
+      })
+      .eq('id', candidate.id)
+      .eq('status', 'pending')
+      .eq('attempts', candidate.attempts || 0)
+      .select()
+      .maybeSingle();
+
+    if (claimError) {
+      throw new Error(`Failed to claim job ${candidate.id}: ${claimError.message}`);
+    }
+
+    // Another worker won the race for this row, try the next one
+    if (claimed) {
+      return claimed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extend the lease on a job this worker holds
+ * Returns false if the job is no longer ours to run (e.g. it was cancelled)
+ */
+export async function renewLease(jobId, workerId, leaseSeconds = getQueueConfig().leaseSeconds) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .update({ lease_expires_at: leaseExpiry(leaseSeconds) })
+    .eq('id', jobId)
+    .eq('locked_by', workerId)
+    .eq('status', 'processing')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to renew lease for ${jobId}: ${error.message}`);
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Abort a job running in this process
+ * Returns false if the job isn't running here (it may be on another worker,
+ * which notices the cancellation on its next lease renewal)
+ */
+export function abortJob(jobId) {
+  const controller = activeJobs.get(jobId);
+  if (!controller) {
+    return false;
+  }
+  controller.abort(new JobCancelledError(jobId));
+  return true;
+}
+
+/**
+ * Drop the lease once the worker is done with a job
+ */
+export async function releaseLease(jobId, workerId) {
+  const { error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .update({ lease_expires_at: null })
+    .eq('id', jobId)
+    .eq('locked_by', workerId);
+
+  if (error) {
+    console.error(`[Queue] Failed to release lease for ${jobId}:`, error);
+  }
+}
+
+/**
+ * Requeue jobs whose worker disappeared (lease expired)
+ * Jobs that already used all their attempts are marked failed instead
+ */
+export async function recoverOrphanedJobs() {
+  const now = new Date().toISOString();
+
+  const { data: orphans, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+    .select('id, attempts, max_attempts, locked_by, lease_expires_at')
+    .eq('status', 'processing')
+    .or(`lease_expires_at.lt."${now}",lease_expires_at.is.null`);
+
+  if (error) {
+    throw new Error(`Failed to fetch orphaned jobs: ${error.message}`);
+  }
+
+  let requeued = 0;
+  let failed = 0;
+
+  for (const orphan of orphans || []) {
+    const exhausted = (orphan.attempts || 0) >= (orphan.max_attempts || 3);
+    const update = exhausted
+      ? {
+          status: 'failed',
+          error_message: `Worker lost job after ${orphan.attempts} attempts (last worker: ${orphan.locked_by || 'unknown'})`,
+          lease_expires_at: null,
+          updated_at: now
+        }
+      : {
+          status: 'pending',
+          locked_by: null,
+          lease_expires_at: null,
+          updated_at: now
+        };
+
+    // Guard on locked_by so a job re-claimed in the meantime is left alone
+    let query = mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+      .update(update)
+      .eq('id', orphan.id)
+      .eq('status', 'processing');
+    query = orphan.locked_by ? query.eq('locked_by', orphan.locked_by) : query.is('locked_by', null);
+
+    const { error: updateError } = await query;
+    if (updateError) {
+      console.error(`[Queue] Failed to recover job ${orphan.id}:`, updateError);
+      continue;
+    }
+
+    if (exhausted) {
+      failed++;
+    } else {
+      requeued++;
+    }
+  }
+
+  if (requeued || failed) {
+    console.log(`[Queue] Recovered orphaned jobs: ${requeued} requeued, ${failed} failed`);
+  }
+
+  return { requeued, failed };
+}
+
+// ==========================================
+// WORKERS
+// ==========================================
+
+/**
+ * Start worker slots for each mode
+ *
+ * @param {Object} processors - { image: async (job, { signal }) => {}, video: async (job, { signal }) => {} }
+ * @returns {{ stop: () => Promise<void> }}
+ */
+export async function startWorkers(processors) {
+  const config = getQueueConfig();
+  const hostId = `${os.hostname()}:${process.pid}`;
+  let running = true;
+
+  try {
+    await recoverOrphanedJobs();
+  } catch (error) {
+    console.error(`[Queue] Startup recovery failed:`, error);
+  }
+
+  const recoveryTimer = setInterval(() => {
+    recoverOrphanedJobs().catch(error => console.error(`[Queue] Recovery failed:`, error));
+  }, config.recoveryIntervalMs);
+
+  async function runSlot(mode, processor, workerId) {
+    while (running) {
+      let job = null;
+      try {
+        job = await claimNextJob(mode, workerId, config.leaseSeconds);
+      } catch (error) {
+        console.error(`[Queue] ${workerId} claim failed:`, error);
+      }
+
+      if (!job) {
+        await idle(config.pollIntervalMs);
+        continue;
+      }
+
+      console.log(`[Queue] ${workerId} claimed job ${job.id} (attempt ${job.attempts})`);
+
+      const controller = new AbortController();
+      activeJobs.set(job.id, controller);
+
+      // Renew the lease; losing it means the job was cancelled from another process
+      const heartbeat = setInterval(() => {
+        renewLease(job.id, workerId, config.leaseSeconds)
+          .then(held => {
+            if (!held && !controller.signal.aborted) {
+              console.log(`[Queue] ${workerId} lost job ${job.id}, aborting`);
+              controller.abort(new JobCancelledError(job.id));
+            }
+          })
+          .catch(error => console.error(`[Queue] ${workerId} lease renewal failed:`, error));
+      }, (config.leaseSeconds * 1000) / 3);
+
+      try {
+        await processor(job, { signal: controller.signal });
+      } catch (error) {
+        console.error(`[Queue] ${workerId} job ${job.id} crashed:`, error);
+        const { data: updated, error: updateError } = await mediaVaultClient
+          .from(MEDIA_VAULT_TABLES.GENERATION_JOBS)
+          .update({
+            status: 'failed',
+            error_message: error.message,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', job.id)
+          .eq('status', 'processing')
+          .select('id');
+
+        // Only report the failure if the job was still ours (not cancelled or finished meanwhile)
+        if (updateError) {
+          console.error(`[Queue] Failed to mark job ${job.id} failed:`, updateError);
+        } else if (updated.length > 0) {
+          await reportProgress(job.id, 'failed', { message: error.message });
+        }
+      } finally {
+        clearInterval(heartbeat);
+        activeJobs.delete(job.id);
+        await releaseLease(job.id, workerId);
+      }
+    }
+  }
+
+  const slots = [];
+  for (const [mode, processor] of Object.entries(processors)) {
+    const count = config.concurrency[mode] || 1;
+    for (let i = 0; i < count; i++) {
+      slots.push(runSlot(mode, processor, `${hostId}:${mode}-${i + 1}`));
+    }
+    console.log(`[Queue] Started ${count} ${mode} worker(s)`);
+  }
+
+  return {
+    async stop() {
+      running = false;
+      clearInterval(recoveryTimer);
+      wakeWorkers();
+      await Promise.all(slots);
+      console.log(`[Queue] Workers stopped`);
+    }
+  };
+}
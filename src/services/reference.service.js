@@ -1,4 +1,6 @@
 import { mediaVaultClient, influencerMgmtClient, MEDIA_VAULT_TABLES, INFLUENCER_MGMT_TABLES, BUCKETS } from '../config/supabase.js';
+import { withRetry } from '../utils/retry.js';
+import { isAbortError } from '../utils/abort.js';
 
 /**
  * Fetch reference images for a persona based on shot type
@@ -75,6 +77,47 @@ export async function getReferenceImages(persona, shotType) {
   return references;
 }
 
+// ==========================================
+// REFERENCE SELECTION
+// ==========================================
+
+// Most references of each category worth sending, even when a provider takes more
+const REFERENCE_CATEGORY_LIMITS = {
+  face: 3,
+  body: 2
+};
+
+// What each image sent with a prompt is for, used to label it
+export const REFERENCE_ROLES = {
+  face: 'face reference - match facial features (eyes, nose, lips, jawline)',
+  body: 'body reference - match body proportions and build',
+  source: 'source scene - keep outfit, pose, background and lighting'
+};
+
+/**
+ * Pick the references to send to an image provider, in the order they are sent
+ * (image 1, 2, ... in prompts)
+ *
+ * - Face references come first and at least one is always kept
+ * - Half and full shots add body references in the remaining slots
+ * - Never more than maxReferences in total (the provider's capabilities.maxReferences)
+ *
+ * @param {{ face: string[], body: string[] }} references - from getReferenceImages
+ * @returns {Array<{ url: string, role: 'face' | 'body' }>}
+ */
+export function selectReferences(references, { shotType, maxReferences }) {
+  const faces = references.face.slice(0, REFERENCE_CATEGORY_LIMITS.face);
+  const bodies = ['half', 'full'].includes(shotType) ? references.body.slice(0, REFERENCE_CATEGORY_LIMITS.body) : [];
+
+  const bodyCount = Math.min(bodies.length, Math.max(maxReferences - 1, 0));
+  const faceCount = Math.min(faces.length, maxReferences - bodyCount);
+
+  return [
+    ...faces.slice(0, faceCount).map(url => ({ url, role: 'face' })),
+    ...bodies.slice(0, bodyCount).map(url => ({ url, role: 'body' }))
+  ];
+}
+
 /**
  * Fetch influencer profile data
  */
@@ -90,24 +133,28 @@ export async function getInfluencerProfile(persona) {
 
 /**
  * Upload file to Supabase Storage
+ * Transient failures are retried with backoff (see utils/retry.js)
+ * The storage client can't be aborted mid-upload, so the signal is checked up front
  */
-export async function uploadToSupabase(file, filename, folder) {
-  const filePath = `${folder}/${filename}`;
+export async function uploadToSupabase(file, filename, folder, { signal } = {}) {
+  signal?.throwIfAborted();
 
-  const { data, error } = await mediaVaultClient
-    .storage
-    .from(BUCKETS.GALLERY)
-    .upload(filePath, file);
+  const filePath = `${folder}/${filename}`;
 
-  if (error) {
+  try {
+    await withRetry(async () => {
+      const { error } = await mediaVaultClient
+        .storage
+        .from(BUCKETS.GALLERY)
+        .upload(filePath, file);
+      if (error) throw error;
+    }, { signal, retryIf: isTransientStorageError });
+  } catch (error) {
+    if (isAbortError(error, signal)) throw error;
     throw new Error(`Failed to upload to Supabase: ${error.message}`);
   }
 
-  // Get public URL
-  const { data: { publicUrl } } = mediaVaultClient
-    .storage
-    .from(BUCKETS.GALLERY)
-    .getPublicUrl(filePath);
+  const publicUrl = getPublicStorageUrl(filePath);
 
   console.log(`[Storage] Uploaded: ${publicUrl}`);
 
@@ -117,13 +164,112 @@ export async function uploadToSupabase(file, filename, folder) {
   };
 }
 
+/**
+ * Storage errors worth retrying: 429 and 5xx responses, and network failures (no response)
+ */
+function isTransientStorageError(error) {
+  const status = Number(error.statusCode || error.status);
+  if (status) return status === 429 || status >= 500;
+  return error.name === 'StorageUnknownError';
+}
+
+/**
+ * Public URL of a file in the gallery bucket
+ */
+export function getPublicStorageUrl(filePath) {
+  const { data: { publicUrl } } = mediaVaultClient
+    .storage
+    .from(BUCKETS.GALLERY)
+    .getPublicUrl(filePath);
+  return publicUrl;
+}
+
+/**
+ * Storage path of a public URL in the gallery bucket
+ * Returns null for any other URL (another host, another bucket, or a path leaving the bucket)
+ */
+export function getStoragePath(url) {
+  const bucketUrl = getPublicStorageUrl('');
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const bucket = new URL(bucketUrl.endsWith('/') ? bucketUrl : `${bucketUrl}/`);
+  if (parsed.origin !== bucket.origin || !parsed.pathname.startsWith(bucket.pathname)) {
+    return null;
+  }
+
+  let filePath;
+  try {
+    filePath = decodeURIComponent(parsed.pathname.slice(bucket.pathname.length));
+  } catch {
+    return null;
+  }
+
+  const segments = filePath.split('/');
+  return filePath && !segments.some(segment => segment === '' || segment === '.' || segment === '..') ? filePath : null;
+}
+
+/**
+ * Delete files from Supabase Storage (paths in the gallery bucket)
+ */
+export async function deleteFromSupabase(filePaths) {
+  if (filePaths.length === 0) return;
+
+  const { error } = await mediaVaultClient
+    .storage
+    .from(BUCKETS.GALLERY)
+    .remove(filePaths);
+
+  if (error) {
+    throw new Error(`Failed to delete from Supabase: ${error.message}`);
+  }
+
+  console.log(`[Storage] Deleted: ${filePaths.join(', ')}`);
+}
+
+// Limits for downloadFile (sources, references and provider outputs)
+export const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+export const DOWNLOAD_MAX_BYTES = 200 * 1024 * 1024;
+
 /**
  * Download file from URL
+ * Fails after timeoutMs, or as soon as the body grows past maxBytes
  */
-export async function downloadFile(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to download file: ${response.statusText}`);
+export async function downloadFile(url, { signal, timeoutMs = DOWNLOAD_TIMEOUT_MS, maxBytes = DOWNLOAD_MAX_BYTES } = {}) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+
+  try {
+    const response = await fetch(url, { signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    if (!response.ok) {
+      throw new Error(`Failed to download file: ${response.statusText}`);
+    }
+
+    const tooLarge = () => new Error(`Failed to download file: larger than ${maxBytes} bytes`);
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      await response.body?.cancel();
+      throw tooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body ?? []) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+
+    return new Blob(chunks, { type: response.headers.get('content-type') || '' });
+  } catch (error) {
+    if (timeout.aborted && !signal?.aborted) {
+      throw new Error(`Failed to download file: not finished within ${timeoutMs / 1000}s`);
+    }
+    throw error;
   }
-  return await response.blob();
 }
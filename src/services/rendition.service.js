@@ -0,0 +1,169 @@
+/**
+ * RENDITION.SERVICE.JS
+ * Platform crops, thumbnails and compressed copies of completed images (sharp)
+ *
+ * - Crops are centered on the subject with sharp's attention (saliency) or entropy strategy
+ * - Every rendition is uploaded beside the original (<name>_4x5.jpg, <name>_thumb.webp, ...)
+ *   and stored in media_renditions, linked to the media_generations row
+ * - Renditions are listed in the job status and the job.completed webhook
+ */
+
+import sharp from 'sharp';
+import { mediaVaultClient, MEDIA_VAULT_TABLES, BUCKETS } from '../config/supabase.js';
+import { RENDITIONS, getRenditionConfig } from '../config/renditions.js';
+import { downloadFile, uploadToSupabase } from './reference.service.js';
+import { stampImage } from './provenance.service.js';
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+const EXTENSIONS = {
+  jpeg: 'jpg',
+  webp: 'webp'
+};
+
+/**
+ * Storage folder and file name (without extension) of an image in the gallery bucket
+ * Falls back to `fallbackPath` for URLs outside the bucket
+ */
+function resolveStorageBase(url, fallbackPath) {
+  const marker = `/${BUCKETS.GALLERY}/`;
+  const pathname = decodeURIComponent(new URL(url).pathname);
+  const index = pathname.indexOf(marker);
+  const path = index >= 0 ? pathname.slice(index + marker.length) : fallbackPath;
+
+  const slash = path.lastIndexOf('/');
+  const filename = path.slice(slash + 1);
+  const dot = filename.lastIndexOf('.');
+
+  return {
+    folder: slash >= 0 ? path.slice(0, slash) : '',
+    name: dot > 0 ? filename.slice(0, dot) : filename
+  };
+}
+
+/**
+ * Largest box with the given aspect ratio that fits the image, scaled down to maxWidth
+ */
+function cropSize(width, height, [ratioWidth, ratioHeight], maxWidth) {
+  const scale = Math.min(width / ratioWidth, height / ratioHeight);
+  const cropWidth = Math.min(Math.floor(ratioWidth * scale), maxWidth);
+  return {
+    width: cropWidth,
+    height: Math.round(cropWidth * ratioHeight / ratioWidth)
+  };
+}
+
+/**
+ * Render one rendition from the original image buffer
+ * @returns {Promise<{ data: Buffer, info: { width, height, size } }>}
+ */
+function renderRendition(original, metadata, rendition, config, provenance) {
+  let image = stampImage(sharp(original), provenance);
+
+  if (rendition.ratio) {
+    const size = cropSize(metadata.width, metadata.height, rendition.ratio, rendition.width);
+    image = image.resize(size.width, size.height, {
+      fit: 'cover',
+      position: sharp.strategy[config.cropStrategy]
+    });
+  } else {
+    image = image.resize({ width: rendition.width, withoutEnlargement: true });
+  }
+
+  image = rendition.format === 'webp'
+    ? image.webp({ quality: config.quality.webp })
+    : image.jpeg({ quality: config.quality.jpeg, mozjpeg: true });
+
+  return image.toBuffer({ resolveWithObject: true });
+}
+
+// ==========================================
+// PIPELINE
+// ==========================================
+
+/**
+ * Make and store every rendition of a completed image
+ * Renditions are rendered one at a time to keep memory use low
+ *
+ * @param {Object} options
+ * @param {string} options.mediaGenerationId
+ * @param {string} options.jobId
+ * @param {string} options.imageUrl - the original image
+ * @param {string} options.fallbackPath - storage path to place renditions beside when imageUrl is outside the bucket
+ * @param {Object} [options.provenance] - stamp embedded in each rendition (provenance.service.js)
+ * @param {Function} [options.onProgress]
+ * @returns {Promise<Array>} stored media_renditions rows ([] when renditions are disabled)
+ */
+export async function createRenditions({ mediaGenerationId, jobId, imageUrl, fallbackPath, provenance = null, onProgress = async () => {} }) {
+  const config = getRenditionConfig();
+  if (!config.enabled) {
+    return [];
+  }
+
+  await onProgress('renditions', { message: 'Creating platform crops and web renditions' });
+
+  const blob = await downloadFile(imageUrl);
+  const original = Buffer.from(await blob.arrayBuffer());
+  const metadata = await sharp(original).metadata();
+  const { folder, name } = resolveStorageBase(imageUrl, fallbackPath);
+
+  const rows = [];
+  for (const rendition of RENDITIONS) {
+    const { data, info } = await renderRendition(original, metadata, rendition, config, provenance);
+    const filename = `${name}_${rendition.suffix}.${EXTENSIONS[rendition.format]}`;
+    const { path, url } = await uploadToSupabase(new Blob([data], { type: CONTENT_TYPES[rendition.format] }), filename, folder);
+
+    rows.push({
+      media_generation_id: mediaGenerationId,
+      job_id: jobId,
+      variant: rendition.variant,
+      kind: rendition.kind,
+      format: rendition.format,
+      width: info.width,
+      height: info.height,
+      bytes: info.size,
+      crop_strategy: rendition.ratio ? config.cropStrategy : null,
+      storage_path: path,
+      url,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  const { data: stored, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.MEDIA_RENDITIONS)
+    .upsert(rows, { onConflict: 'media_generation_id,variant' })
+    .select('variant, kind, format, width, height, bytes, crop_strategy, url');
+
+  if (error) {
+    throw new Error(`Failed to save renditions: ${error.message}`);
+  }
+
+  return stored || [];
+}
+
+/**
+ * Renditions of a media_generations row
+ */
+export async function getMediaRenditions(mediaGenerationId) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.MEDIA_RENDITIONS)
+    .select('variant, kind, format, width, height, bytes, crop_strategy, url')
+    .eq('media_generation_id', mediaGenerationId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch renditions: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Rendition URLs keyed by variant, for webhook payloads: { '4:5': url, thumbnail: url, ... }
+ */
+export function renditionUrls(renditions) {
+  return Object.fromEntries(renditions.map(({ variant, url }) => [variant, url]));
+}
@@ -0,0 +1,242 @@
+/**
+ * SAFETY.SERVICE.JS
+ * Safety classification of generated outputs, right before they're uploaded
+ *
+ * - Every final image, and sampled frames of every final video, are scored by the classifier
+ *   selected with SAFETY_CLASSIFIER (see classifiers/ and config/safety.js)
+ * - The scores set the media record's nsfw_level (before, it recorded settings.enableNSFW)
+ * - An output breaking a hard rule is never uploaded: the job fails with a SafetyViolationError,
+ *   so no media record is created and nothing reaches the Content Waterfall
+ * - Classifications are stored in generation_jobs.safety_classification and metadata_json.safety
+ * - Off by default (SAFETY_CLASSIFIER=none); workers don't start when the chosen classifier can't run
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getClassifier } from '../classifiers/index.js';
+import { getSafetyConfig } from '../config/safety.js';
+import { isMp4, readMp4DurationSeconds } from '../utils/media.js';
+import { isAbortError } from '../utils/abort.js';
+import { SafetyViolationError } from '../utils/errors.js';
+
+const execFileAsync = promisify(execFile);
+
+const FRAME_TIMEOUT_MS = 30 * 1000;
+const FRAME_MAX_BYTES = 64 * 1024 * 1024;
+
+// ==========================================
+// SCORING
+// ==========================================
+
+function roundScore(score) {
+  return Math.round(score * 10000) / 10000;
+}
+
+/**
+ * Categories of a classification at or above the given thresholds: [{ category, score, threshold }]
+ */
+function reachedThresholds(categories, thresholds = {}) {
+  return Object.entries(thresholds)
+    .filter(([category, threshold]) => (categories[category] ?? 0) >= threshold)
+    .map(([category, threshold]) => ({ category, score: categories[category], threshold }));
+}
+
+/**
+ * nsfw_level for category scores: the highest policy level with a threshold reached (0 when none)
+ */
+function scoreNsfwLevel(categories, levels) {
+  return levels.reduce(
+    (highest, { level, thresholds }) => reachedThresholds(categories, thresholds).length > 0 ? Math.max(highest, level) : highest,
+    0
+  );
+}
+
+/**
+ * Hard rules an output breaks: [{ rule, category, score, threshold }]
+ */
+function findViolations(categories, rules, { enableNSFW = false } = {}) {
+  return rules
+    .filter(rule => rule.appliesTo !== 'sfw' || !enableNSFW)
+    .flatMap(rule => reachedThresholds(categories, rule.thresholds).map(hit => ({ rule: rule.id, ...hit })));
+}
+
+/**
+ * Highest score per category across video frames
+ */
+function maxCategories(frames) {
+  const categories = {};
+  for (const frame of frames) {
+    for (const [category, score] of Object.entries(frame.categories)) {
+      categories[category] = Math.max(categories[category] ?? 0, score);
+    }
+  }
+  return categories;
+}
+
+// ==========================================
+// VIDEO FRAMES
+// ==========================================
+
+/**
+ * PNG frames spread evenly over a video: [{ time, image }]
+ * ffmpeg reads the video from a temp file (MP4 needs seeking)
+ */
+async function extractVideoFrames(buffer, { count, ffmpegPath, signal }) {
+  const duration = readMp4DurationSeconds(buffer);
+  const times = duration
+    ? Array.from({ length: count }, (_, index) => Math.round(duration * (index + 0.5) / count * 10) / 10)
+    : [0];
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aivora-safety-'));
+  const file = path.join(dir, 'output.mp4');
+
+  try {
+    await fs.writeFile(file, buffer);
+
+    const frames = [];
+    for (const time of times) {
+      const { stdout } = await execFileAsync(
+        ffmpegPath,
+        ['-v', 'error', '-ss', String(time), '-i', file, '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', 'pipe:1'],
+        { encoding: 'buffer', maxBuffer: FRAME_MAX_BYTES, timeout: FRAME_TIMEOUT_MS, signal }
+      ).catch(error => {
+        throw error.code === 'ENOENT' ? new Error(`ffmpeg not found at ${ffmpegPath} (set FFMPEG_PATH)`) : error;
+      });
+      if (stdout.length > 0) {
+        frames.push({ time, image: stdout });
+      }
+    }
+
+    if (frames.length === 0) {
+      throw new Error('No frames could be extracted from the video');
+    }
+    return frames;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// ==========================================
+// CLASSIFICATION
+// ==========================================
+
+/**
+ * Scores for an image, or for sampled frames of an MP4
+ *
+ * @returns {Promise<{ model: string|null, categories: Object, frames?: Array }>}
+ */
+async function classifyMedia(classifier, buffer, { videoFrames, ffmpegPath, signal }) {
+  if (!isMp4(buffer)) {
+    const { model, categories } = await classifier.classify(buffer, { signal });
+    return { model: model || null, categories };
+  }
+
+  const frames = [];
+  let model = null;
+  for (const { time, image } of await extractVideoFrames(buffer, { count: videoFrames, ffmpegPath, signal })) {
+    const result = await classifier.classify(image, { signal });
+    model = result.model || model;
+    frames.push({ time, categories: result.categories });
+  }
+  return { model, categories: maxCategories(frames), frames };
+}
+
+function roundCategories(categories) {
+  return Object.fromEntries(Object.entries(categories).map(([category, score]) => [category, roundScore(score)]));
+}
+
+/**
+ * Make sure the configured classifier can run (called when workers start)
+ * Throws for an unknown classifier or one missing what it needs, so a misconfigured
+ * install fails at startup instead of leaving every output unclassified
+ */
+export async function checkSafetyClassifier() {
+  const { classifier: classifierId } = getSafetyConfig();
+  if (classifierId === 'none') {
+    return;
+  }
+
+  const classifier = getClassifier(classifierId);
+  if (!classifier) {
+    throw new Error(`Unknown safety classifier: ${classifierId} (SAFETY_CLASSIFIER)`);
+  }
+
+  await classifier.check?.();
+  console.log(`[Safety] Classifying outputs with ${classifier.name}`);
+}
+
+/**
+ * Classify a generated output before it's uploaded
+ * Throws a SafetyViolationError when the output breaks a hard rule
+ *
+ * @param {Blob} blob - the provider output (image or MP4)
+ * @param {Object} options
+ * @param {boolean} [options.enableNSFW] - what the job asked for ('sfw' rules only apply without it)
+ * @param {Function} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} classification, stored with the job and media record:
+ *   { classifier, model, categories, frames?, nsfwLevel, blocked, violations, error?, classifiedAt }
+ *   null when SAFETY_CLASSIFIER is 'none'. nsfwLevel is null when classification failed
+ */
+export async function checkOutputSafety(blob, { enableNSFW = false, onProgress = async () => {}, signal } = {}) {
+  const { classifier: classifierId, policy, videoFrames, failClosed, ffmpegPath } = getSafetyConfig();
+  if (classifierId === 'none') {
+    return null;
+  }
+
+  const classifier = getClassifier(classifierId);
+  await onProgress('safety_check', {
+    message: `Checking output with ${classifier?.name || classifierId}`,
+    classifier: classifierId
+  });
+
+  let result;
+  try {
+    if (!classifier) {
+      throw new Error(`Unknown safety classifier: ${classifierId}`);
+    }
+    result = await classifyMedia(classifier, Buffer.from(await blob.arrayBuffer()), { videoFrames, ffmpegPath, signal });
+  } catch (error) {
+    if (isAbortError(error, signal)) throw error;
+    if (failClosed) {
+      throw new Error(`Safety classification failed: ${error.message}`);
+    }
+
+    console.warn(`[Safety] Classification failed, keeping output unclassified: ${error.message}`);
+    return {
+      classifier: classifierId,
+      model: null,
+      categories: null,
+      nsfwLevel: null,
+      blocked: false,
+      violations: [],
+      error: error.message,
+      classifiedAt: new Date().toISOString()
+    };
+  }
+
+  const violations = findViolations(result.categories, policy.rules || [], { enableNSFW });
+  const classification = {
+    classifier: classifierId,
+    model: result.model,
+    categories: roundCategories(result.categories),
+    ...(result.frames && {
+      frames: result.frames.map(frame => ({ time: frame.time, categories: roundCategories(frame.categories) }))
+    }),
+    nsfwLevel: scoreNsfwLevel(result.categories, policy.levels || []),
+    blocked: violations.length > 0,
+    violations: violations.map(violation => ({ ...violation, score: roundScore(violation.score) })),
+    classifiedAt: new Date().toISOString()
+  };
+
+  if (classification.blocked) {
+    const rules = [...new Set(violations.map(violation => violation.rule))];
+    console.warn(`[Safety] Output blocked by ${rules.join(', ')}:`, classification.categories);
+    throw new SafetyViolationError(`Output blocked by safety rule: ${rules.join(', ')}`, classification);
+  }
+
+  return classification;
+}
@@ -6,6 +6,8 @@
  * - tikwm.com API (no auth required, rate limited but free)
  */
 
+import { providerUrl } from '../config/providers.js';
+
 /**
  * Get TikTok video data using tikwm.com API (free, no auth)
  * Works with various TikTok URL formats:
@@ -13,14 +15,15 @@
  * - https://vm.tiktok.com/ZMJxxxxxx/
  * - https://vt.tiktok.com/ZMJxxxxxx/
  */
-export async function getTikTokVideoUrl(postUrl) {
+export async function getTikTokVideoUrl(postUrl, { signal } = {}) {
   console.log(`[TikTok] Getting video URL from: ${postUrl}`);
 
   try {
     // Use tikwm.com free API
-    const apiUrl = `https://www.tikwm.com/api/?url=${encodeURIComponent(postUrl)}`;
+    const apiUrl = providerUrl('tikwm', `/api/?url=${encodeURIComponent(postUrl)}`);
 
     const response = await fetch(apiUrl, {
+      signal,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
       }
@@ -75,19 +78,19 @@ export function isBlobUrl(url) {
 /**
  * Process TikTok URL - convert to downloadable video URL
  */
-export async function processTikTokUrl(sourceUrl, pageUrl = null) {
+export async function processTikTokUrl(sourceUrl, pageUrl = null, { signal } = {}) {
   // If it's a blob URL, use the page URL
   if (isBlobUrl(sourceUrl)) {
     if (!pageUrl) {
       throw new Error('Blob URL detected but no page URL provided.');
     }
     console.log(`[TikTok] Blob URL detected, using page URL: ${pageUrl}`);
-    return await getTikTokVideoUrl(pageUrl);
+    return await getTikTokVideoUrl(pageUrl, { signal });
   }
 
   // If it's already a TikTok post URL, extract the video URL
   if (isTikTokPostUrl(sourceUrl)) {
-    return await getTikTokVideoUrl(sourceUrl);
+    return await getTikTokVideoUrl(sourceUrl, { signal });
   }
 
   // If it's already a direct video URL, return as-is
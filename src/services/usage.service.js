@@ -0,0 +1,219 @@
+/**
+ * USAGE.SERVICE.JS
+ * Per-job cost accounting
+ *
+ * - Every billable provider call made for a job is stored in generation_usage
+ *   (tokens, input images, images generated, video seconds)
+ * - Prompt previews record their LLM calls the same way, without a job
+ * - Each row carries an estimated cost from the price table (config/pricing.js)
+ * - The job's total is written to generation_jobs.estimated_cost_usd when it finishes
+ * - Spend reports aggregate generation_usage by persona, model, platform and day
+ */
+
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+import { getModelPrices } from '../config/pricing.js';
+
+const REPORT_PAGE_SIZE = 1000;
+
+/**
+ * Estimated USD cost of one provider call, or null when the model has no price
+ */
+export function estimateCost({ model, resolution = null, inputTokens = 0, outputTokens = 0, inputImages = 0, images = 0, videoSeconds = null }) {
+  const prices = getModelPrices(model, resolution);
+  if (!prices) {
+    return null;
+  }
+
+  const seconds = videoSeconds ?? (prices.perVideoSecond ? prices.defaultVideoSeconds || 0 : 0);
+  const cost =
+    (inputTokens || 0) / 1e6 * (prices.inputPerMillionTokens || 0) +
+    (outputTokens || 0) / 1e6 * (prices.outputPerMillionTokens || 0) +
+    (inputImages || 0) * (prices.perInputImage || 0) +
+    (images || 0) * (prices.perImage || 0) +
+    seconds * (prices.perVideoSecond || 0);
+
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Create the onUsage callback threaded through providers alongside onProgress
+ * jobId is null for calls made outside a job (prompt previews)
+ *
+ * onUsage({ provider, model, operation, resolution, inputTokens, outputTokens, inputImages, images, videoSeconds })
+ * Never throws - usage logging must not break generation
+ *
+ * @returns {{ onUsage: Function, getTotalCost: Function }}
+ */
+export function createUsageRecorder({ jobId = null, persona, platform = null }) {
+  const label = jobId || 'Preview';
+  let totalCost = 0;
+
+  async function onUsage(usage) {
+    const estimatedCost = estimateCost(usage);
+    totalCost += estimatedCost || 0;
+
+    if (estimatedCost === null) {
+      console.warn(`[${label}] No price for ${usage.model}, recording usage without cost`);
+    }
+
+    try {
+      const { error } = await mediaVaultClient
+        .from(MEDIA_VAULT_TABLES.GENERATION_USAGE)
+        .insert({
+          job_id: jobId,
+          persona,
+          platform,
+          provider: usage.provider,
+          model: usage.model,
+          operation: usage.operation,
+          resolution: usage.resolution || null,
+          input_tokens: usage.inputTokens || 0,
+          output_tokens: usage.outputTokens || 0,
+          input_images: usage.inputImages || 0,
+          images: usage.images || 0,
+          video_seconds: usage.videoSeconds ?? null,
+          estimated_cost_usd: estimatedCost,
+          created_at: new Date().toISOString()
+        });
+
+      if (error) {
+        console.error(`[${label}] Failed to record usage for ${usage.model}:`, error.message);
+      }
+    } catch (error) {
+      console.error(`[${label}] Failed to record usage for ${usage.model}:`, error.message);
+    }
+  }
+
+  return {
+    onUsage,
+    getTotalCost: () => Math.round(totalCost * 1e6) / 1e6
+  };
+}
+
+/**
+ * Fetch all usage rows for a job, oldest first
+ */
+export async function getJobUsage(jobId) {
+  const { data, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.GENERATION_USAGE)
+    .select('provider, model, operation, resolution, input_tokens, output_tokens, input_images, images, video_seconds, estimated_cost_usd, created_at')
+    .eq('job_id', jobId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch usage: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// ==========================================
+// SPEND REPORTS
+// ==========================================
+
+function emptyTotals() {
+  return {
+    estimated_cost_usd: 0,
+    calls: 0,
+    unpriced_calls: 0,
+    jobs: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    images: 0,
+    video_seconds: 0
+  };
+}
+
+function addRow(totals, row, jobIds) {
+  totals.estimated_cost_usd += Number(row.estimated_cost_usd) || 0;
+  totals.calls++;
+  if (row.estimated_cost_usd === null) totals.unpriced_calls++;
+  totals.input_tokens += row.input_tokens || 0;
+  totals.output_tokens += row.output_tokens || 0;
+  totals.images += row.images || 0;
+  totals.video_seconds += Number(row.video_seconds) || 0;
+  if (row.job_id) jobIds.add(row.job_id);
+}
+
+/**
+ * Group rows by a key, summing totals per group
+ */
+function groupRows(rows, keyFn) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = keyFn(row) ?? 'unknown';
+    if (!groups.has(key)) {
+      groups.set(key, { totals: emptyTotals(), jobIds: new Set() });
+    }
+    const group = groups.get(key);
+    addRow(group.totals, row, group.jobIds);
+  }
+
+  return [...groups.entries()].map(([key, { totals, jobIds }]) => finalizeTotals({ key, ...totals }, jobIds));
+}
+
+function finalizeTotals(totals, jobIds) {
+  return {
+    ...totals,
+    estimated_cost_usd: Math.round(totals.estimated_cost_usd * 1e4) / 1e4,
+    video_seconds: Math.round(totals.video_seconds * 10) / 10,
+    jobs: jobIds.size
+  };
+}
+
+/**
+ * Estimated spend between two UTC dates (inclusive), broken down by persona, model, platform and day
+ *
+ * @param {Object} options
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD
+ * @param {string} [options.persona]
+ * @param {string} [options.platform]
+ */
+export async function getSpendReport({ from, to, persona, platform }) {
+  const since = `${from}T00:00:00.000Z`;
+  const until = new Date(Date.parse(`${to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000).toISOString();
+
+  const rows = [];
+  for (let offset = 0; ; offset += REPORT_PAGE_SIZE) {
+    let query = mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.GENERATION_USAGE)
+      .select('job_id, persona, platform, model, input_tokens, output_tokens, images, video_seconds, estimated_cost_usd, created_at')
+      .gte('created_at', since)
+      .lt('created_at', until)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + REPORT_PAGE_SIZE - 1);
+
+    if (persona) query = query.eq('persona', persona);
+    if (platform) query = query.eq('platform', platform);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to fetch usage: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < REPORT_PAGE_SIZE) break;
+  }
+
+  const totals = emptyTotals();
+  const jobIds = new Set();
+  for (const row of rows) {
+    addRow(totals, row, jobIds);
+  }
+
+  const byCost = (a, b) => b.estimated_cost_usd - a.estimated_cost_usd;
+
+  return {
+    from,
+    to,
+    currency: 'USD',
+    filters: { persona: persona || null, platform: platform || null },
+    totals: finalizeTotals(totals, jobIds),
+    by_persona: groupRows(rows, row => row.persona).sort(byCost),
+    by_model: groupRows(rows, row => row.model).sort(byCost),
+    by_platform: groupRows(rows, row => row.platform).sort(byCost),
+    by_day: groupRows(rows, row => row.created_at.slice(0, 10)).sort((a, b) => a.key.localeCompare(b.key))
+  };
+}
@@ -1,6 +1,16 @@
-import { downloadFile, uploadToSupabase, getReferenceImages, getInfluencerProfile } from './reference.service.js';
+import { downloadFile, uploadToSupabase, getReferenceImages, getInfluencerProfile, selectReferences } from './reference.service.js';
+import { sanitizeOutput } from './provenance.service.js';
+import { checkOutputSafety } from './safety.service.js';
 import { processTikTokUrl, isTikTokPostUrl, isBlobUrl } from './tiktok.service.js';
-import { reversePromptImage, buildGenerationPrompt } from './prompt.service.js';
+import { reversePromptImage, applySceneOverrides, buildGenerationPrompt, applyStyleToPrompt } from './prompt.service.js';
+import { templateVersions } from './prompt-template.service.js';
+import { sleep, isAbortError } from '../utils/abort.js';
+import { ProviderError } from '../utils/errors.js';
+import { withRetry, reportRetry, isRetryableError } from '../utils/retry.js';
+import { providerUrl, getWavespeedPollIntervalMs } from '../config/providers.js';
+import { readMp4DurationSeconds } from '../utils/media.js';
+import { resolveStyle } from '../config/style-presets.js';
+import { resolveSeed } from '../utils/seed.js';
 
 // ==========================================
 // WAVESPEED.AI API CONFIGURATION
@@ -9,32 +19,64 @@ import { reversePromptImage, buildGenerationPrompt } from './prompt.service.js';
 const WAVESPEED_CONFIG = {
   // Seedream 4.5 Edit - Image to Image
   seedreamEdit: {
-    endpoint: 'https://api.wavespeed.ai/api/v3/bytedance/seedream-v4.5/edit',
-    model: 'seedream-v4.5-edit'
+    path: '/api/v3/bytedance/seedream-v4.5/edit',
+    model: 'seedream-v4.5-edit',
+    name: 'Seedream 4.5 Edit'
+  },
+
+  // Seedream 4.0 Edit - Image to Image (SFW fallback)
+  seedream40Edit: {
+    path: '/api/v3/bytedance/seedream-v4.0/edit',
+    model: 'seedream-v4.0-edit',
+    name: 'Seedream 4.0'
   },
 
   // WAN 2.2 Animate - Character animation/replacement
   wanAnimate: {
-    endpoint: 'https://api.wavespeed.ai/api/v3/wavespeed-ai/wan-2.2/animate',
-    model: 'wan-2.2-animate'
+    path: '/api/v3/wavespeed-ai/wan-2.2/animate',
+    model: 'wan-2.2-animate',
+    // Our mode names -> Wavespeed's `mode` values
+    // replace: keeps the video's clothing/scene, swaps in the persona's face
+    // move:    animates the character image with the video's motion (persona's outfit replaces the source outfit)
+    modes: { replace: 'replace', move: 'animate' },
+    resolutions: ['480p', '720p']
   },
 
-  // Kling Video Generation
+  // Kling 2.5 Turbo Pro - Image to Video / Text to Video
   kling: {
-    endpoint: 'https://api.wavespeed.ai/v1/kling/video/generate',
-    model: 'kling-2.6'
+    paths: {
+      'image-to-video': '/api/v3/kwaivgi/kling-v2.5-turbo-pro/image-to-video',
+      'text-to-video': '/api/v3/kwaivgi/kling-v2.5-turbo-pro/text-to-video'
+    },
+    model: 'kling-v2.5-turbo-pro',
+    name: 'Kling 2.5'
   },
 
-  // Veo Video Generation
+  // Veo 3.1 - Image to Video / Text to Video
   veo: {
-    endpoint: 'https://api.wavespeed.ai/v1/veo/video/generate',
-    model: 'veo-3.1'
+    paths: {
+      'image-to-video': '/api/v3/google/veo3.1/image-to-video',
+      'text-to-video': '/api/v3/google/veo3.1/text-to-video'
+    },
+    model: 'veo3.1',
+    name: 'Veo 3.1'
   }
 };
 
 /**
- * Generate video using WAN Animate Replace
- * Process: Source Video → Seedream Image Replacement → WAN Animate
+ * Generate video using WAN Animate (replace or move mode)
+ * Process: Source Video → Persona Reference Image → WAN Animate
+ *
+ * Settings:
+ * - wanMode: 'replace' (default) | 'move'
+ * - referenceCategory: 'face' | 'body' (default: face for replace, body for move)
+ * - referenceIndex: which reference of that category to use (default 0)
+ * - videoResolution: '480p' | '720p' (default 720p)
+ * - seed: fixed seed, -1 for random (default); random seeds are picked here so they can be replayed
+ * - prompt: overrides the default prompt for the mode
+ *
+ * With `replay` (a recorded providerRequest), the stored source video, character image,
+ * prompt and seed are sent again without resolving the source or picking a reference
  */
 export async function generateVideoWithWanAnimate(options) {
   const {
@@ -43,127 +85,204 @@ export async function generateVideoWithWanAnimate(options) {
     persona,            // 'Arisa'
     shotType,           // 'close', 'half', 'full'
     apiKey,
-    settings = {}
+    settings = {},
+    replay = null,      // recorded providerRequest to send again
+    taskId = null,      // prediction already submitted for replay: polled instead of submitting again
+    provenance = null,  // stamp embedded in the output (provenance.service.js)
+    onProgress = async () => {},  // (step, data) => Promise - structured progress events
+    onUsage = async () => {},     // (usage) => Promise - billable provider calls (usage.service.js)
+    signal              // AbortSignal - aborts downloads, provider calls and polling
   } = options;
 
-  console.log(`[WAN Animate] Starting generation for ${persona}`);
-  console.log(`[WAN Animate] Source: ${sourceUrl}`);
+  console.log(`[WAN Animate] Starting generation for ${persona}${taskId ? ` (resuming ${taskId})` : replay ? ' (replay)' : ''}`);
+  console.log(`[WAN Animate] Source: ${replay?.sourceUrl || sourceUrl}`);
   console.log(`[WAN Animate] Page URL: ${pageUrl || 'N/A'}`);
   console.log(`[WAN Animate] Shot type: ${shotType}`);
 
+  let request = replay;
   try {
-    // Step 1: Get reference images
-    const references = await getReferenceImages(persona, shotType);
-    const profile = await getInfluencerProfile(persona);
-
-    if (references.face.length === 0) {
-      throw new Error('No face reference images found. Please add reference images to the database.');
-    }
+    request = request || await buildWanRequest({ sourceUrl, pageUrl, persona, shotType, settings, onProgress, signal });
+    const { wanMode, resolution, seed } = request;
+
+    // Step 4: Call WAN Animate API (or keep polling the submitted prediction)
+    const result = taskId
+      ? await pollWanTaskResult(taskId, apiKey, { onProgress, signal })
+      : await callWanAnimate({
+        sourceVideoUrl: request.sourceUrl,
+        characterImage: request.referenceUrls[0],
+        wanMode,
+        prompt: request.prompt,
+        resolution,
+        seed,
+        apiKey,
+        onProgress,
+        signal
+      });
 
-    console.log(`[WAN Animate] Using ${references.face.length} face refs, ${references.body.length} body refs`);
-
-    // Step 2: Process TikTok URL to get downloadable video URL
-    let downloadableUrl = sourceUrl;
-    if (isTikTokPostUrl(sourceUrl) || isBlobUrl(sourceUrl)) {
-      console.log(`[WAN Animate] Processing TikTok URL...`);
-      downloadableUrl = await processTikTokUrl(sourceUrl, pageUrl);
-      console.log(`[WAN Animate] Downloadable URL: ${downloadableUrl}`);
-    }
-
-    // Step 3: Download source video
-    console.log(`[WAN Animate] Downloading source video...`);
-    const videoBlob = await downloadFile(downloadableUrl);
-
-    // Step 3: Upload source video to Supabase for processing
-    const sourceFilename = `temp_${Date.now()}_source.mp4`;
-    await uploadToSupabase(videoBlob, sourceFilename, 'temp');
-
-    // Step 4: Call WAN Animate API
-    const result = await callWanAnimateReplace({
-      sourceVideoUrl: `https://hisjjecrmlszuidhiref.supabase.co/storage/v1/object/public/aivora-gallery/temp/${sourceFilename}`,
-      referenceImages: references.face,
-      persona,
-      profile,
-      apiKey
+    // Step 5: Download generated video
+    await onProgress('upload_final', { message: 'Saving generated video' });
+    const generatedVideoBlob = await downloadFile(result.videoUrl, { signal });
+    const videoSeconds = readMp4DurationSeconds(Buffer.from(await generatedVideoBlob.arrayBuffer()));
+    await onUsage({
+      provider: 'wavespeed',
+      model: WAVESPEED_CONFIG.wanAnimate.model,
+      operation: 'video',
+      resolution,
+      videoSeconds
     });
 
-    // Step 5: Download generated video
-    const generatedVideoBlob = await downloadFile(result.videoUrl);
+    const safety = await checkOutputSafety(generatedVideoBlob, { enableNSFW: Boolean(settings.enableNSFW), onProgress, signal });
 
     // Step 6: Upload to Supabase Storage
     const finalFilename = `${persona}_video_${Date.now()}.mp4`;
-    const { url: finalUrl } = await uploadToSupabase(generatedVideoBlob, finalFilename, `${persona}/videos`);
+    const { url: finalUrl } = await uploadToSupabase(await sanitizeOutput(generatedVideoBlob, provenance), finalFilename, `${persona}/videos`, { signal });
 
     console.log(`[WAN Animate] Complete! Video: ${finalUrl}`);
 
     return {
       success: true,
       videoUrl: finalUrl,
-      model: 'wan-2.2-animate-replace',
-      duration: result.duration || null
+      model: `wan-2.2-animate-${wanMode}`,
+      characterImage: request.referenceUrls[0],
+      resolution,
+      seed,
+      duration: result.duration || videoSeconds,
+      request,
+      safety
     };
 
   } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log(`[WAN Animate] Cancelled`);
+      throw error;
+    }
+    attachSubmittedRequest(error, request);
     console.error(`[WAN Animate] Error:`, error);
     throw error;
   }
 }
 
 /**
- * Call WAN Animate Replace API
+ * Build the WAN Animate request for a new job: pick the character image,
+ * resolve and upload the source video, and fix the seed
+ * Returns the providerRequest stored on the job (see providers/registry.js)
+ */
+async function buildWanRequest({ sourceUrl, pageUrl, persona, shotType, settings, onProgress, signal }) {
+  const wanMode = settings.wanMode || 'replace';
+
+  // Step 1: Pick the character image from the persona's references
+  const profile = await getInfluencerProfile(persona);
+  const characterImage = await selectCharacterImage(persona, shotType, wanMode, settings);
+
+  // Step 2: Process TikTok URL to get downloadable video URL
+  let downloadableUrl = sourceUrl;
+  if (isTikTokPostUrl(sourceUrl) || isBlobUrl(sourceUrl)) {
+    console.log(`[WAN Animate] Processing TikTok URL...`);
+    await onProgress('tiktok_resolve', { message: 'Resolving TikTok video URL' });
+    downloadableUrl = await processTikTokUrl(sourceUrl, pageUrl, { signal });
+    console.log(`[WAN Animate] Downloadable URL: ${downloadableUrl}`);
+  }
+
+  // Step 3: Download source video
+  console.log(`[WAN Animate] Downloading source video...`);
+  await onProgress('download', { message: 'Downloading source video' });
+  const videoBlob = await downloadFile(downloadableUrl, { signal });
+
+  // Step 3: Upload source video to Supabase for processing
+  await onProgress('upload_temp', { message: 'Uploading source video for processing' });
+  const sourceFilename = `temp_${Date.now()}_source.mp4`;
+  const { url: sourceVideoUrl } = await uploadToSupabase(videoBlob, sourceFilename, 'temp', { signal });
+
+  return {
+    model: WAVESPEED_CONFIG.wanAnimate.model,
+    wanMode,
+    prompt: settings.prompt || buildPromptFromProfile(profile, wanMode),
+    negativePrompt: null,
+    seed: resolveSeed(settings.seed),
+    size: null,
+    resolution: settings.videoResolution || '720p',
+    guidanceScale: null,
+    sourceUrl: sourceVideoUrl,
+    referenceUrls: [characterImage.url],
+    referenceRoles: [characterImage.role]
+  };
+}
+
+/**
+ * Pick the character image for WAN Animate
+ * Move mode defaults to a body (full-body) reference so the persona's outfit carries over;
+ * falls back to a face reference if the persona has no body references
+ *
+ * @returns {{ url: string, role: 'face' | 'body' }}
+ */
+async function selectCharacterImage(persona, shotType, wanMode, settings) {
+  const defaultCategory = wanMode === 'move' ? 'body' : 'face';
+  const category = settings.referenceCategory || defaultCategory;
+
+  // Body references are only fetched for half/full shots
+  const referenceShotType = category === 'body' && !['half', 'full'].includes(shotType) ? 'full' : shotType;
+  const references = await getReferenceImages(persona, referenceShotType);
+
+  console.log(`[WAN Animate] ${references.face.length} face refs, ${references.body.length} body refs`);
+
+  let role = category;
+  if (references[category].length === 0 && !settings.referenceCategory && category === 'body') {
+    console.log(`[WAN Animate] No body references, falling back to face references`);
+    role = 'face';
+  }
+  const candidates = references[role];
+  if (candidates.length === 0) {
+    throw new Error(`No ${category} reference images found. Please add reference images to the database.`);
+  }
+
+  const index = settings.referenceIndex || 0;
+  if (index >= candidates.length) {
+    throw new Error(`referenceIndex ${index} is out of range (${candidates.length} ${category} reference(s))`);
+  }
+
+  return { url: candidates[index], role };
+}
+
+/**
+ * Call WAN Animate API
  */
-async function callWanAnimateReplace(options) {
+async function callWanAnimate(options) {
   const {
     sourceVideoUrl,
-    referenceImages,
-    persona,
-    profile,
-    apiKey
+    characterImage,
+    wanMode,
+    prompt,
+    resolution,
+    seed,
+    apiKey,
+    onProgress = async () => {},
+    signal
   } = options;
 
-  console.log(`[WAN API] Calling WAN Animate Replace...`);
-  console.log(`[WAN API] Source: ${sourceVideoUrl}`);
-  console.log(`[WAN API] References: ${referenceImages.length} images`);
-
-  // Build prompt based on Arisa's profile
-  const prompt = buildPromptFromProfile(profile);
+  const wanConfig = WAVESPEED_CONFIG.wanAnimate;
 
-  // Use the first reference image as the character image
-  const characterImage = referenceImages[0];
+  console.log(`[WAN API] Calling WAN Animate (${wanMode})...`);
+  console.log(`[WAN API] Source: ${sourceVideoUrl}`);
+  console.log(`[WAN API] Character: ${characterImage}`);
 
   // WAN 2.2 Animate API format
-  // Replace mode: Keeps original video's clothing/pose, only replaces the face
   const requestBody = {
-    image: characterImage,      // Character face image
-    video: sourceVideoUrl,      // Source video with pose/motion/clothing
-    mode: 'replace',            // Replace mode: keeps video's clothing, replaces face
-    prompt: prompt,             // Focuses on face appearance only
-    resolution: '720p',         // 720p for TikTok quality
-    seed: -1                    // -1 for random seed
+    image: characterImage,               // Persona reference (face or full body)
+    video: sourceVideoUrl,               // Source video with pose/motion (and clothing in replace mode)
+    mode: wanConfig.modes[wanMode],
+    prompt: prompt,
+    resolution: resolution,
+    seed: seed
   };
 
-  const response = await fetch('https://api.wavespeed.ai/api/v3/wavespeed-ai/wan-2.2/animate', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(requestBody)
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`WAN API error ${response.status}: ${errorText}`);
-  }
+  await onProgress('provider_call', { message: `Submitting to WAN 2.2 Animate (${wanMode})`, model: wanConfig.model });
 
-  const result = await response.json();
-
-  console.log(`[WAN API] Response:`, result);
+  const result = await submitWavespeedTask(wanConfig.path, requestBody, apiKey, { label: 'WAN API', onProgress, signal });
 
   // Wavespeed returns a task ID for async processing
   if (result.data && result.data.id) {
     // Poll for completion using the result endpoint
-    return await pollWanTaskResult(result.data.id, apiKey);
+    return await pollWanTaskResult(result.data.id, apiKey, { onProgress, signal });
   }
 
   // Or direct video URL in outputs
@@ -174,31 +293,58 @@ async function callWanAnimateReplace(options) {
     };
   }
 
-  throw new Error('Unexpected API response format');
+  throw new ProviderError('Unexpected API response format', { provider: 'wavespeed' });
 }
 
 /**
  * Poll WAN task for completion
+ * On abort, the remote prediction is cancelled before the error propagates
  */
-async function pollWanTaskResult(taskId, apiKey, maxAttempts = 60) {
-  console.log(`[WAN API] Polling task: ${taskId}`);
-
-  for (let i = 0; i < maxAttempts; i++) {
-    await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
+export async function pollWanTaskResult(taskId, apiKey, options = {}) {
+  return pollVideoPrediction(taskId, apiKey, { label: 'WAN API', failureMessage: 'WAN animation failed', ...options });
+}
 
-    const response = await fetch(`https://api.wavespeed.ai/api/v3/predictions/${taskId}/result`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
+/**
+ * Poll any Wavespeed video prediction (WAN, Kling, Veo) for completion
+ * On abort, the remote prediction is cancelled before the error propagates
+ */
+export async function pollVideoPrediction(taskId, apiKey, {
+  label = 'Wavespeed',
+  failureMessage = 'Video generation failed',
+  maxAttempts = 60,
+  onProgress = async () => {},
+  signal
+} = {}) {
+  console.log(`[${label}] Polling task: ${taskId}`);
 
-    if (!response.ok) {
-      throw new Error(`Failed to check task status: ${response.statusText}`);
+  try {
+    return await pollVideoPredictionLoop(taskId, apiKey, { label, failureMessage, maxAttempts, onProgress, signal });
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      await cancelWavespeedPrediction(taskId, apiKey);
+    } else if (error instanceof ProviderError) {
+      error.taskId = taskId;
     }
+    throw error;
+  }
+}
+
+async function pollVideoPredictionLoop(taskId, apiKey, { label, failureMessage, maxAttempts, onProgress, signal }) {
+  const checkStatus = createStatusChecker(taskId, apiKey, label, signal);
+
+  for (let i = 0; i < maxAttempts; i++) {
+    await sleep(getWavespeedPollIntervalMs(5000), signal);
 
-    const result = await response.json();
+    const result = await checkStatus(i + 1);
+    if (!result) continue;
 
-    console.log(`[WAN API] Poll ${i + 1}/${maxAttempts}: ${result.data?.status || result.status}`);
+    console.log(`[${label}] Poll ${i + 1}/${maxAttempts}: ${result.data?.status || result.status}`);
+    await onProgress('polling', {
+      poll: i + 1,
+      maxPolls: maxAttempts,
+      providerStatus: result.data?.status || result.status || null,
+      taskId
+    });
 
     // Check if task is completed
     if (result.data && result.data.status === 'completed' && result.data.outputs && result.data.outputs.length > 0) {
@@ -210,20 +356,115 @@ async function pollWanTaskResult(taskId, apiKey, maxAttempts = 60) {
 
     // Check if task failed
     if (result.data && result.data.status === 'failed') {
-      throw new Error(result.data.error || 'WAN animation failed');
+      throw new ProviderError(result.data.error || failureMessage, { provider: 'wavespeed' });
     }
   }
 
-  throw new Error('Task timed out');
+  throw new ProviderError('Task timed out', { provider: 'wavespeed', code: 'TIMEOUT' });
+}
+
+/**
+ * Generate video with Kling or Veo (image-to-video or text-to-video)
+ * Image-to-video animates imageUrl (a persona reference or generated still); text-to-video uses the prompt only
+ */
+export async function generateVideoWithWavespeedModel(options) {
+  const {
+    variant,            // 'kling' | 'veo' (key in WAVESPEED_CONFIG)
+    mode,               // 'image-to-video' | 'text-to-video'
+    imageUrl,           // required for image-to-video
+    prompt,
+    params = {},        // model-specific request fields (duration, aspect_ratio, ...)
+    persona,
+    apiKey,
+    enableNSFW = false, // applies the SFW-only safety rules when false (safety.service.js)
+    taskId = null,      // prediction already submitted: polled instead of submitting again
+    provenance = null,  // stamp embedded in the output (provenance.service.js)
+    onProgress = async () => {},
+    onUsage = async () => {},
+    signal
+  } = options;
+
+  const videoConfig = WAVESPEED_CONFIG[variant];
+  const path = videoConfig.paths[mode];
+  if (!path) {
+    throw new Error(`${videoConfig.name} does not support ${mode}`);
+  }
+
+  console.log(`[${videoConfig.name}] Starting ${mode} for ${persona}${taskId ? ` (resuming ${taskId})` : ''}`);
+
+  try {
+    let videoUrl = null;
+    let predictionId = taskId;
+    if (!predictionId) {
+      const requestBody = {
+        ...(mode === 'image-to-video' && { image: imageUrl }),
+        prompt,
+        ...params
+      };
+
+      await onProgress('provider_call', { message: `Submitting to ${videoConfig.name} (${mode})`, model: videoConfig.model });
+      const result = await submitWavespeedTask(path, requestBody, apiKey, { label: videoConfig.name, onProgress, signal });
+
+      videoUrl = result.data?.outputs?.[0];
+      predictionId = result.data?.id;
+    }
+
+    if (!videoUrl && predictionId) {
+      ({ videoUrl } = await pollVideoPrediction(predictionId, apiKey, {
+        label: videoConfig.name,
+        failureMessage: `${videoConfig.name} generation failed`,
+        maxAttempts: 120,
+        onProgress,
+        signal
+      }));
+    }
+    if (!videoUrl) {
+      throw new ProviderError('Unexpected API response format', { provider: 'wavespeed' });
+    }
+
+    // Download generated video and store it in Supabase
+    await onProgress('upload_final', { message: 'Saving generated video' });
+    const videoBlob = await downloadFile(videoUrl, { signal });
+    await onUsage({
+      provider: 'wavespeed',
+      model: videoConfig.model,
+      operation: 'video',
+      resolution: params.resolution || null,
+      videoSeconds: params.duration ?? readMp4DurationSeconds(Buffer.from(await videoBlob.arrayBuffer()))
+    });
+    const safety = await checkOutputSafety(videoBlob, { enableNSFW, onProgress, signal });
+    const finalFilename = `${persona}_video_${Date.now()}.mp4`;
+    const { url: finalUrl } = await uploadToSupabase(await sanitizeOutput(videoBlob, provenance), finalFilename, `${persona}/videos`, { signal });
+
+    console.log(`[${videoConfig.name}] Complete! Video: ${finalUrl}`);
+
+    return {
+      success: true,
+      videoUrl: finalUrl,
+      model: videoConfig.model,
+      safety
+    };
+
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log(`[${videoConfig.name}] Cancelled`);
+      throw error;
+    }
+    console.error(`[${videoConfig.name}] Error:`, error);
+    throw error;
+  }
 }
 
 /**
  * Build prompt from influencer profile
  * For WAN Replace mode: Follow Wavespeed docs recommendation
  * Example: "Preserve outfit, natural expression, no background change"
- * Note: The face comes from the image URL, not the prompt
+ * Note: The face (and outfit in move mode) comes from the image URL, not the prompt
  */
-function buildPromptFromProfile(profile) {
+function buildPromptFromProfile(profile, wanMode = 'replace') {
+  if (wanMode === 'move') {
+    return 'Follow the motion of the video, keep the outfit and appearance from the character image, natural expression.';
+  }
   // Following Wavespeed docs format exactly
   return 'Preserve outfit, natural expression, no background change.';
 }
@@ -255,7 +496,11 @@ function calculateImageSize(resolution, aspectRatio) {
 }
 
 /**
- * Generate image using Seedream 4.5 Edit
+ * Generate image using Seedream Edit
+ * Defaults to Seedream 4.5 Edit; pass variant: 'seedream40Edit' for Seedream 4.0
+ *
+ * With `replay` (a providerRequest recorded by an earlier job), the recorded prompt, seed,
+ * size and images are sent again as-is: no reverse prompting or reference lookup
  */
 export async function generateImageWithSeedream(options) {
   const {
@@ -263,65 +508,222 @@ export async function generateImageWithSeedream(options) {
     persona,
     shotType,
     apiKey,
+    variant = 'seedreamEdit',   // key in WAVESPEED_CONFIG
     enableNSFW = false,
-    settings = {}
+    maxReferences = 4,          // persona references sent with the request (see selectReferences)
+    settings = {},
+    replay = null,              // recorded providerRequest to send again
+    taskId = null,              // prediction already submitted for replay: polled instead of submitting again
+    provenance = null,          // stamp embedded in the output (provenance.service.js)
+    onProgress = async () => {},  // (step, data) => Promise - structured progress events
+    onUsage = async () => {},     // (usage) => Promise - billable provider calls (usage.service.js)
+    signal                        // AbortSignal - aborts downloads, provider calls and polling
   } = options;
 
-  console.log(`[Seedream] Starting image generation for ${persona}`);
-  console.log(`[Seedream] Source: ${sourceUrl}`);
+  const seedreamConfig = WAVESPEED_CONFIG[variant];
+
+  console.log(`[Seedream] Starting image generation for ${persona} (${seedreamConfig.name})${taskId ? ` (resuming ${taskId})` : replay ? ' (replay)' : ''}`);
+  console.log(`[Seedream] Source: ${replay?.sourceUrl || sourceUrl}`);
 
+  let request = null;
   try {
-    // Get reference images
-    const references = await getReferenceImages(persona, shotType);
-    const profile = await getInfluencerProfile(persona);
+    request = replay
+      ? { ...replay, model: seedreamConfig.model }
+      : await buildSeedreamRequest({ sourceUrl, persona, shotType, enableNSFW, maxReferences, settings, seedreamConfig, onProgress, onUsage, signal });
+
+    console.log(`[Seedream] Final prompt: ${request.prompt.substring(0, 200)}...`);
+    console.log(`[Seedream] Size: ${request.size}, seed: ${request.seed}`);
+
+    const resolution = request.resolution;
+    const imageUrl = taskId
+      ? (await pollSeedreamTask(taskId, apiKey, { onProgress, signal })).imageUrl
+      : await submitSeedream(request, seedreamConfig, apiKey, { onProgress, signal });
+    await onUsage({ provider: 'wavespeed', model: seedreamConfig.model, operation: 'image', resolution, images: 1 });
+
+    // Download and upload final image
+    await onProgress('upload_final', { message: 'Saving generated image' });
+    const imageBlob = await downloadFile(imageUrl, { signal });
+    const safety = await checkOutputSafety(imageBlob, { enableNSFW, onProgress, signal });
+    const finalFilename = `${persona}_image_${Date.now()}.png`;
+    const { url: finalUrl } = await uploadToSupabase(await sanitizeOutput(imageBlob, provenance), finalFilename, `${persona}/images`, { signal });
+
+    return {
+      success: true,
+      imageUrl: finalUrl,
+      model: seedreamConfig.model,
+      request,
+      safety
+    };
 
-    if (references.face.length === 0) {
-      throw new Error('No face reference images found.');
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log(`[Seedream] Cancelled`);
+      throw error;
     }
+    attachSubmittedRequest(error, request);
+    console.error(`[Seedream] Error:`, error);
+    throw error;
+  }
+}
 
-    // Download source image
-    const imageBlob = await downloadFile(sourceUrl);
+/**
+ * Submit a Seedream request and wait for the image
+ * Returns the provider's image URL (async predictions are polled, direct results returned as-is)
+ */
+async function submitSeedream(request, seedreamConfig, apiKey, { onProgress, signal }) {
+  const requestBody = {
+    model: request.model,
+    source_image: request.sourceUrl,
+    reference_images: request.referenceUrls,
+    prompt: request.prompt,
+    negative_prompt: request.negativePrompt,
+    num_images: 1,
+    size: request.size,  // Wavespeed uses "widthxheight" format like "2048x2048"
+    guidance_scale: request.guidanceScale,
+    seed: request.seed
+  };
 
-    // Upload to Supabase temporarily
-    const tempFilename = `temp_${Date.now()}_source.png`;
-    await uploadToSupabase(imageBlob, tempFilename, 'temp');
+  console.log(`[Seedream] Calling API...`);
+  await onProgress('provider_call', { message: `Submitting to ${seedreamConfig.name}`, model: seedreamConfig.model });
+  const result = await submitWavespeedTask(seedreamConfig.path, requestBody, apiKey, { label: 'Seedream', onProgress, signal });
 
-    const uploadedSourceUrl = `https://hisjjecrmlszuidhiref.supabase.co/storage/v1/object/public/aivora-gallery/temp/${tempFilename}`;
+  // Async task (v3 predictions return data.id)
+  const taskId = result.data?.id || result.task_id;
+  if (taskId) {
+    return (await pollSeedreamTask(taskId, apiKey, { onProgress, signal })).imageUrl;
+  }
 
-    // Step 1: Reverse prompt - analyze source image
-    console.log(`[Seedream] Step 1: Reverse prompting source image...`);
-    const reversePrompt = await reversePromptImage(sourceUrl, enableNSFW);
+  // Direct result
+  if (result.images?.[0]?.url) {
+    return result.images[0].url;
+  }
 
-    // Step 2: Build generation prompt with reference instructions
-    console.log(`[Seedream] Step 2: Building generation prompt...`);
-    const prompt = await buildGenerationPrompt(reversePrompt, profile, references, enableNSFW);
+  throw new ProviderError('Unexpected API response format', { provider: 'wavespeed' });
+}
 
-    console.log(`[Seedream] Final prompt: ${prompt.substring(0, 200)}...`);
+/**
+ * Build the Seedream request for a new job: upload the source, reverse prompt it,
+ * build the generation prompt and fix the seed
+ * Returns the providerRequest stored on the job (see providers/registry.js)
+ */
+async function buildSeedreamRequest({ sourceUrl, persona, shotType, enableNSFW, maxReferences, settings, seedreamConfig, onProgress, onUsage, signal }) {
+  // Get reference images
+  const references = await getReferenceImages(persona, shotType);
+  const profile = await getInfluencerProfile(persona);
 
-    // Calculate size for Wavespeed API (e.g., "2048x2048")
-    const resolution = settings.resolution || '2K';
-    const aspectRatio = settings.aspectRatio || '3:4';
-    const size = calculateImageSize(resolution, aspectRatio);
+  if (references.face.length === 0) {
+    throw new Error('No face reference images found.');
+  }
 
-    console.log(`[Seedream] Size: ${size} (resolution: ${resolution}, aspect: ${aspectRatio})`);
+  // Download source image
+  await onProgress('download', { message: 'Downloading source image' });
+  const imageBlob = await downloadFile(sourceUrl, { signal });
+
+  // Upload to Supabase temporarily
+  await onProgress('upload_temp', { message: 'Uploading source image for processing' });
+  const tempFilename = `temp_${Date.now()}_source.png`;
+  const { url: uploadedSourceUrl } = await uploadToSupabase(imageBlob, tempFilename, 'temp', { signal });
+
+  // Step 1: Reverse prompt - analyze source image
+  console.log(`[Seedream] Step 1: Reverse prompting source image...`);
+  await onProgress('reverse_prompt', { message: 'Analyzing source image' });
+  const analyzed = await reversePromptImage(sourceUrl, enableNSFW, { signal, onUsage });
+  const analysis = applySceneOverrides(analyzed, settings.scene);
+
+  // Step 2: Build generation prompt with reference instructions
+  console.log(`[Seedream] Step 2: Building generation prompt...`);
+  await onProgress('build_prompt', { message: 'Building generation prompt' });
+  const selected = selectReferences(references, { shotType, maxReferences });
+  const style = resolveStyle(settings);
+  const edited = await buildGenerationPrompt(analysis, profile, selected, enableNSFW, { signal, onUsage, stylePrompt: style.prompt });
+
+  // Calculate size for Wavespeed API (e.g., "2048x2048")
+  const { resolution, aspectRatio } = style;
+
+  return {
+    model: seedreamConfig.model,
+    prompt: applyStyleToPrompt(edited.prompt, style),
+    negativePrompt: style.negativePrompt,
+    seed: resolveSeed(settings.seed),
+    size: calculateImageSize(resolution, aspectRatio),
+    resolution,
+    aspectRatio,
+    guidanceScale: 7.5,
+    sourceUrl: uploadedSourceUrl,
+    referenceUrls: selected.map(reference => reference.url),
+    referenceRoles: selected.map(reference => reference.role),
+    promptTemplates: templateVersions(analysis.template, edited.template),
+    sceneAnalysis: analysis.scene,
+    stylePreset: style.preset
+  };
+}
 
-    // Call Seedream API
-    const requestBody = {
-      model: 'seedream-v4.5-edit',
-      source_image: uploadedSourceUrl,
-      reference_images: references.face.slice(0, 2),
-      prompt: prompt,
-      negative_prompt: 'blurry, low quality, distorted, deformed, ugly, bad anatomy, watermark, text, error',
-      num_images: 1,
-      size: size,  // Wavespeed uses "widthxheight" format like "2048x2048"
-      guidance_scale: 7.5,
-      seed: Math.floor(Math.random() * 1000000)
-    };
+/**
+ * Poll Seedream task for completion
+ * On abort, the remote prediction is cancelled before the error propagates
+ */
+export async function pollSeedreamTask(taskId, apiKey, { maxAttempts = 30, onProgress = async () => {}, signal } = {}) {
+  console.log(`[Seedream] Polling task: ${taskId}`);
+
+  try {
+    return await pollSeedreamLoop(taskId, apiKey, maxAttempts, onProgress, signal);
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      await cancelWavespeedPrediction(taskId, apiKey);
+    } else if (error instanceof ProviderError) {
+      error.taskId = taskId;
+    }
+    throw error;
+  }
+}
+
+async function pollSeedreamLoop(taskId, apiKey, maxAttempts, onProgress, signal) {
+  const checkStatus = createStatusChecker(taskId, apiKey, 'Seedream', signal);
+
+  for (let i = 0; i < maxAttempts; i++) {
+    await sleep(getWavespeedPollIntervalMs(3000), signal);
+
+    const result = await checkStatus(i + 1);
+    if (!result) continue;
+
+    console.log(`[Seedream] Poll ${i + 1}/${maxAttempts}: ${result.data?.status || result.status}`);
+    await onProgress('polling', {
+      poll: i + 1,
+      maxPolls: maxAttempts,
+      providerStatus: result.data?.status || result.status || null,
+      taskId
+    });
+
+    if (result.data && result.data.status === 'completed' && result.data.outputs && result.data.outputs.length > 0) {
+      return {
+        imageUrl: result.data.outputs[0]
+      };
+    }
+
+    if (result.data && result.data.status === 'failed') {
+      throw new ProviderError(result.data.error || 'Seedream generation failed', { provider: 'wavespeed' });
+    }
+  }
+
+  throw new ProviderError('Task timed out', { provider: 'wavespeed', code: 'TIMEOUT' });
+}
+
+// ==========================================
+// SUBMISSION & STATUS CHECKS
+// ==========================================
 
-    console.log(`[Seedream] Calling API...`);
+// Failed status checks in a row before polling gives up (the task keeps running remotely)
+const MAX_CONSECUTIVE_POLL_ERRORS = 5;
 
-    const response = await fetch('https://api.wavespeed.ai/api/v3/bytedance/seedream-v4.5/edit', {
+/**
+ * POST a prediction request, retrying transient errors (429, 5xx, network)
+ * Only the submission is retried: nothing has been submitted until it succeeds
+ */
+async function submitWavespeedTask(path, requestBody, apiKey, { label, onProgress = async () => {}, signal }) {
+  const result = await withRetry(async () => {
+    const response = await fetch(providerUrl('wavespeed', path), {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${apiKey}`
@@ -331,82 +733,88 @@ export async function generateImageWithSeedream(options) {
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Seedream API error ${response.status}: ${errorText}`);
+      throw new ProviderError(`${label} API error ${response.status}: ${errorText}`, {
+        provider: 'wavespeed',
+        status: response.status
+      });
     }
 
-    const result = await response.json();
-    console.log(`[Seedream] Response:`, result);
-
-    // Handle async task
-    if (result.task_id) {
-      const finalResult = await pollSeedreamTask(result.task_id, apiKey);
+    return response.json();
+  }, { signal, onRetry: reportRetry(onProgress, `${label} submission`) });
 
-      // Download and upload final image
-      const imageBlob = await downloadFile(finalResult.imageUrl);
-      const finalFilename = `${persona}_image_${Date.now()}.png`;
-      const { url: finalUrl } = await uploadToSupabase(imageBlob, finalFilename, `${persona}/images`);
-
-      return {
-        success: true,
-        imageUrl: finalUrl,
-        model: 'seedream-v4.5-edit'
-      };
-    }
+  console.log(`[${label}] Response:`, result);
+  return result;
+}
 
-    // Direct result
-    if (result.images?.[0]?.url) {
-      const imageBlob = await downloadFile(result.images[0].url);
-      const finalFilename = `${persona}_image_${Date.now()}.png`;
-      const { url: finalUrl } = await uploadToSupabase(imageBlob, finalFilename, `${persona}/images`);
+/**
+ * Status check for a submitted prediction: (poll) => result JSON, or null after a transient failure
+ * Transient failures are skipped so the same task keeps being polled; MAX_CONSECUTIVE_POLL_ERRORS
+ * in a row (or a permanent failure) throw
+ */
+function createStatusChecker(taskId, apiKey, label, signal) {
+  let consecutiveErrors = 0;
+
+  return async (poll) => {
+    try {
+      const response = await fetch(providerUrl('wavespeed', `/api/v3/predictions/${taskId}/result`), {
+        signal,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new ProviderError(`Failed to check task status: ${response.statusText}`, {
+          provider: 'wavespeed',
+          status: response.status
+        });
+      }
 
-      return {
-        success: true,
-        imageUrl: finalUrl,
-        model: 'seedream-v4.5-edit'
-      };
+      const result = await response.json();
+      consecutiveErrors = 0;
+      return result;
+    } catch (error) {
+      if (isAbortError(error, signal) || !isRetryableError(error) || ++consecutiveErrors >= MAX_CONSECUTIVE_POLL_ERRORS) {
+        throw error;
+      }
+      console.warn(`[${label}] Poll ${poll} failed (${error.message}), polling ${taskId} again`);
+      return null;
     }
+  };
+}
 
-    throw new Error('Unexpected API response format');
-
-  } catch (error) {
-    console.error(`[Seedream] Error:`, error);
-    throw error;
+/**
+ * Record the providerRequest on an error from a submitted prediction (error.taskId is set),
+ * so the job can resume the same prediction with the provider's poll() instead of submitting again
+ */
+function attachSubmittedRequest(error, request) {
+  if (error instanceof ProviderError && error.taskId && request) {
+    error.providerRequest = request;
   }
 }
 
 /**
- * Poll Seedream task for completion
+ * Cancel a Wavespeed prediction (best effort)
+ * Stops the remote task from running to completion after a job is cancelled
  */
-async function pollSeedreamTask(taskId, apiKey, maxAttempts = 30) {
-  console.log(`[Seedream] Polling task: ${taskId}`);
-
-  for (let i = 0; i < maxAttempts; i++) {
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    const response = await fetch(`https://api.wavespeed.ai/api/v3/predictions/${taskId}/result`, {
+export async function cancelWavespeedPrediction(taskId, apiKey) {
+  try {
+    const response = await fetch(providerUrl('wavespeed', `/api/v3/predictions/${taskId}/cancel`), {
+      method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`
       }
     });
 
     if (!response.ok) {
-      throw new Error(`Failed to check task status: ${response.statusText}`);
-    }
-
-    const result = await response.json();
-
-    console.log(`[Seedream] Poll ${i + 1}/${maxAttempts}: ${result.data?.status || result.status}`);
-
-    if (result.data && result.data.status === 'completed' && result.data.outputs && result.data.outputs.length > 0) {
-      return {
-        imageUrl: result.data.outputs[0]
-      };
+      console.warn(`[Wavespeed] Could not cancel prediction ${taskId}: ${response.status}`);
+      return false;
     }
 
-    if (result.data && result.data.status === 'failed') {
-      throw new Error(result.data.error || 'Seedream generation failed');
-    }
+    console.log(`[Wavespeed] Cancelled prediction ${taskId}`);
+    return true;
+  } catch (error) {
+    console.warn(`[Wavespeed] Could not cancel prediction ${taskId}:`, error.message);
+    return false;
   }
-
-  throw new Error('Task timed out');
 }
@@ -0,0 +1,388 @@
+/**
+ * WEBHOOK.SERVICE.JS
+ * Signed job completion webhooks (n8n Content Waterfall)
+ *
+ * - Sends job.completed / job.failed to every configured endpoint
+ * - Body is signed with HMAC-SHA256: X-Aivora-Signature: t=<unix>,v1=<hex(hmac(secret, `${t}.${body}`))>
+ * - Transient failures (network, 429, 5xx) are retried with exponential backoff
+ * - Retries are scheduled in the table (next_attempt_at) and sent by the workers' sweep,
+ *   so they survive a restart; a delivery whose sender died is picked up the same way
+ * - Every delivery and attempt is stored so failed deliveries can be replayed
+ */
+
+import crypto from 'crypto';
+import { mediaVaultClient, MEDIA_VAULT_TABLES } from '../config/supabase.js';
+import { backoffDelay, isRetryableError } from '../utils/retry.js';
+import { ProviderError } from '../utils/errors.js';
+
+export const WEBHOOK_EVENTS = {
+  JOB_COMPLETED: 'job.completed',
+  JOB_FAILED: 'job.failed'
+};
+
+/**
+ * Read webhook configuration from environment
+ * WEBHOOK_ENDPOINTS (comma-separated) takes precedence over N8N_WEBHOOK_URL
+ */
+function getWebhookConfig() {
+  const endpoints = (process.env.WEBHOOK_ENDPOINTS || process.env.N8N_WEBHOOK_URL || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return {
+    endpoints,
+    secret: process.env.WEBHOOK_SECRET || '',
+    n8nApiKey: process.env.N8N_API_KEY || '',
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    sweepIntervalMs: parseInt(process.env.WEBHOOK_SWEEP_INTERVAL_MS || '10000', 10),
+    retryPolicy: {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+      baseDelayMs: parseInt(process.env.WEBHOOK_BASE_DELAY_MS || '5000', 10),
+      maxDelayMs: parseInt(process.env.WEBHOOK_MAX_DELAY_MS || '300000', 10)
+    }
+  };
+}
+
+function timeFromNow(ms) {
+  return new Date(Date.now() + ms).toISOString();
+}
+
+/**
+ * How long a sender holds a delivery before the sweep may send it again (it died mid-send)
+ */
+function claimMs(config) {
+  return config.timeoutMs * 3;
+}
+
+/**
+ * Sign a raw body
+ */
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// ==========================================
+// DISPATCH
+// ==========================================
+
+/**
+ * Queue a webhook event for every configured endpoint
+ * Deliveries run in the background; this only waits for the delivery rows to be stored
+ * Never throws - a webhook problem must not change the job outcome
+ */
+export async function dispatchWebhookEvent(event, data) {
+  const { endpoints } = getWebhookConfig();
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  const deliveries = [];
+  for (const endpoint of endpoints) {
+    let delivery;
+    try {
+      const { data: inserted, error } = await mediaVaultClient
+        .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERIES)
+        .insert({
+          event,
+          endpoint,
+          job_id: data.job_id || null,
+          payload: data,
+          status: 'pending',
+          attempts: 0,
+          // Held by this process for the first attempt; the sweep sends it if we die first
+          next_attempt_at: timeFromNow(claimMs(getWebhookConfig())),
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      delivery = inserted;
+    } catch (error) {
+      console.error(`[Webhook] Failed to store ${event} delivery for ${endpoint}:`, error.message);
+      continue;
+    }
+
+    deliveries.push(delivery);
+    attemptDelivery(delivery).catch(deliveryError => {
+      console.error(`[Webhook] Delivery ${delivery.id} crashed:`, deliveryError);
+    });
+  }
+
+  return deliveries;
+}
+
+/**
+ * Send a delivery once and record the outcome
+ * A transient failure schedules the next attempt (next_attempt_at) until WEBHOOK_MAX_ATTEMPTS
+ *
+ * @param {boolean} [options.retry] - false for a single attempt (replays)
+ * @returns {Promise<boolean>} delivered
+ */
+async function attemptDelivery(delivery, { retry = true } = {}) {
+  const config = getWebhookConfig();
+  const attemptCount = (delivery.attempts || 0) + 1;
+
+  try {
+    await sendDelivery(delivery, attemptCount, config);
+  } catch (error) {
+    const willRetry = retry && attemptCount < config.retryPolicy.maxAttempts && isRetryableError(error);
+    const delayMs = willRetry ? backoffDelay(attemptCount, config.retryPolicy) : null;
+
+    await updateDelivery(delivery.id, {
+      status: willRetry ? 'retrying' : 'failed',
+      attempts: attemptCount,
+      last_error: error.message,
+      next_attempt_at: willRetry ? timeFromNow(delayMs) : null
+    });
+
+    if (willRetry) {
+      console.warn(`[Webhook] ${delivery.event} to ${delivery.endpoint} failed (${error.message}), retrying in ${Math.round(delayMs / 1000)}s`);
+    } else {
+      console.error(`[Webhook] Giving up on ${delivery.event} to ${delivery.endpoint} after ${attemptCount} attempt(s):`, error.message);
+    }
+    return false;
+  }
+
+  await updateDelivery(delivery.id, {
+    status: 'delivered',
+    attempts: attemptCount,
+    last_error: null,
+    next_attempt_at: null,
+    delivered_at: new Date().toISOString()
+  });
+  console.log(`[Webhook] Delivered ${delivery.event} to ${delivery.endpoint} (attempt ${attemptCount})`);
+  return true;
+}
+
+/**
+ * One HTTP attempt; throws ProviderError on non-2xx so the retry policy can classify it
+ */
+async function sendDelivery(delivery, attemptNumber, config) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: delivery.payload
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Aivora-Event': delivery.event,
+    'X-Aivora-Delivery': delivery.id
+  };
+  if (config.secret) {
+    headers['X-Aivora-Signature'] = signPayload(body, config.secret);
+  }
+  if (config.n8nApiKey) {
+    headers['X-N8N-API-KEY'] = config.n8nApiKey;
+  }
+
+  const startedAt = Date.now();
+  let statusCode = null;
+  let responseBody = null;
+  let attemptError = null;
+
+  try {
+    const response = await fetch(delivery.endpoint, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+    statusCode = response.status;
+    responseBody = (await response.text()).slice(0, 1000);
+
+    if (!response.ok) {
+      throw new ProviderError(`Webhook endpoint returned ${response.status}`, {
+        provider: 'webhook',
+        status: response.status
+      });
+    }
+  } catch (error) {
+    attemptError = error;
+    throw error;
+  } finally {
+    const { error: insertError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERY_ATTEMPTS)
+      .insert({
+        delivery_id: delivery.id,
+        attempt_number: attemptNumber,
+        status_code: statusCode,
+        response_body: responseBody,
+        error_message: attemptError?.message || null,
+        duration_ms: Date.now() - startedAt,
+        attempted_at: new Date(startedAt).toISOString()
+      });
+
+    if (insertError) {
+      console.error(`[Webhook] Failed to record attempt for ${delivery.id}:`, insertError.message);
+    }
+  }
+}
+
+async function updateDelivery(deliveryId, update) {
+  const { error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERIES)
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', deliveryId);
+
+  if (error) {
+    console.error(`[Webhook] Failed to update delivery ${deliveryId}:`, error.message);
+  }
+}
+
+// ==========================================
+// RETRY SWEEP
+// ==========================================
+
+/**
+ * Send every delivery whose next attempt is due
+ * Each one is claimed with a conditional update (next_attempt_at unchanged), so two
+ * sweeping processes never send the same attempt
+ */
+export async function sendDueDeliveries({ limit = 50 } = {}) {
+  const config = getWebhookConfig();
+  const now = new Date().toISOString();
+
+  const { data: due, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERIES)
+    .select('*')
+    .in('status', ['pending', 'retrying'])
+    .lte('next_attempt_at', now)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch due webhook deliveries: ${error.message}`);
+  }
+
+  let sent = 0;
+  for (const delivery of due || []) {
+    const { data: claimed, error: claimError } = await mediaVaultClient
+      .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERIES)
+      .update({ next_attempt_at: timeFromNow(claimMs(config)), updated_at: now })
+      .eq('id', delivery.id)
+      .eq('next_attempt_at', delivery.next_attempt_at)
+      .in('status', ['pending', 'retrying'])
+      .select('id');
+
+    if (claimError) {
+      console.error(`[Webhook] Failed to claim delivery ${delivery.id}:`, claimError.message);
+      continue;
+    }
+    if (claimed.length === 0) {
+      continue;
+    }
+
+    await attemptDelivery(delivery);
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Sweep due deliveries every WEBHOOK_SWEEP_INTERVAL_MS (started with the queue workers)
+ * @returns {{ stop: () => void }}
+ */
+export function startWebhookSweep() {
+  const { sweepIntervalMs } = getWebhookConfig();
+  let sweeping = false;
+
+  const sweep = async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      const sent = await sendDueDeliveries();
+      if (sent > 0) {
+        console.log(`[Webhook] Sent ${sent} due delivery attempt(s)`);
+      }
+    } catch (error) {
+      console.error('[Webhook] Sweep failed:', error);
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, sweepIntervalMs);
+
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+// ==========================================
+// DELIVERY LOG / REPLAY
+// ==========================================
+
+/**
+ * List deliveries, newest first
+ */
+export async function listDeliveries({ status, jobId, limit = 50 } = {}) {
+  let query = mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERIES)
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+  if (jobId) query = query.eq('job_id', jobId);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch deliveries: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Get a delivery with its attempt history
+ */
+export async function getDelivery(deliveryId) {
+  const { data: delivery, error } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERIES)
+    .select('*')
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch delivery: ${error.message}`);
+  }
+  if (!delivery) {
+    return null;
+  }
+
+  const { data: attempts } = await mediaVaultClient
+    .from(MEDIA_VAULT_TABLES.WEBHOOK_DELIVERY_ATTEMPTS)
+    .select('attempt_number, status_code, error_message, duration_ms, attempted_at')
+    .eq('delivery_id', deliveryId)
+    .order('attempt_number', { ascending: true });
+
+  return { ...delivery, attempt_log: attempts || [] };
+}
+
+/**
+ * Re-send a stored delivery with the same payload and delivery id
+ * Makes a single attempt and waits for the outcome so the caller can report it
+ */
+export async function replayDelivery(deliveryId) {
+  const delivery = await getDelivery(deliveryId);
+  if (!delivery) {
+    return null;
+  }
+
+  console.log(`[Webhook] Replaying delivery ${deliveryId} (${delivery.event} -> ${delivery.endpoint})`);
+  await updateDelivery(deliveryId, { status: 'pending', next_attempt_at: timeFromNow(claimMs(getWebhookConfig())) });
+  await attemptDelivery(delivery, { retry: false });
+
+  return getDelivery(deliveryId);
+}
@@ -0,0 +1,330 @@
+/**
+ * APP.JS
+ * Local provider simulator - stands in for Wavespeed, Google AI Studio, OpenRouter and tikwm
+ *
+ * Mounted under one prefix per provider so PROVIDER_SIMULATOR_URL can point every base URL at it:
+ * - /wavespeed   POST /api/v3/<vendor>/<model>/<action>, GET /api/v3/predictions/:id/result, POST .../cancel
+ * - /google      POST /upload/v1beta/files, GET /v1beta/files/:id, POST /v1beta/models/<model>:generateContent
+ * - /openrouter  POST /chat/completions
+ * - /tikwm       GET /api/?url=
+ * - /media       sample image/video that the fake outputs point to (the video is a real H.264 clip,
+ *                so ffmpeg frame sampling for safety checks works on it)
+ * - /__simulator scenario control and call log
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import { once } from 'events';
+import sharp from 'sharp';
+import { sleep } from '../utils/abort.js';
+import { getScenario, setScenario, getLatency, takeFailure } from './scenario.js';
+
+// Wavespeed predictions (id -> { id, model, kind, status, polls, error })
+const predictions = new Map();
+
+// Recent calls, newest last (for assertions in tests, see test/)
+const MAX_CALL_LOG = 200;
+const callLog = [];
+
+// Placeholder media. The video is a 5 s, 144x256 H.264 clip (~2 KB), made with:
+// ffmpeg -f lavfi -i "color=c=0xc8b4a0:s=144x256:d=5:r=5" -c:v libx264 -preset veryslow -crf 30 -g 5 \
+//   -pix_fmt yuv420p -movflags +faststart -an sample.mp4
+const SAMPLE_VIDEO = fs.readFileSync(new URL('./fixtures/sample.mp4', import.meta.url));
+let sampleImagePromise = null;
+
+/**
+ * Rough token count for fake usage figures (~4 characters per token)
+ */
+function countTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function getSampleImage() {
+  sampleImagePromise ||= sharp({
+    create: { width: 768, height: 1024, channels: 3, background: { r: 200, g: 180, b: 160 } }
+  }).png().toBuffer();
+  return sampleImagePromise;
+}
+
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Wrap a handler with call logging, scripted latency and scripted HTTP failures
+ * Task-level failures (taskStatus: "failed") are passed to the handler
+ */
+function simulate(op, handler) {
+  return async (req, res, next) => {
+    callLog.push({ op, method: req.method, path: req.originalUrl, at: new Date().toISOString() });
+    if (callLog.length > MAX_CALL_LOG) callLog.shift();
+
+    try {
+      await sleep(getLatency(op));
+
+      const failure = takeFailure(op, req.path);
+      if (failure?.reset) {
+        console.log(`[Simulator] ${op}: dropping connection`);
+        req.socket.destroy();
+        return;
+      }
+      if (failure?.status) {
+        console.log(`[Simulator] ${op}: failing with ${failure.status}`);
+        return res.status(failure.status).json({
+          code: failure.status,
+          message: failure.message || 'Simulated provider failure'
+        });
+      }
+
+      await handler(req, res, failure);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// ==========================================
+// WAVESPEED
+// ==========================================
+
+const wavespeed = express.Router();
+
+wavespeed.use((req, res, next) => {
+  if (!req.get('authorization')?.startsWith('Bearer ')) {
+    return res.status(401).json({ code: 401, message: 'Missing API key' });
+  }
+  next();
+});
+
+wavespeed.get('/api/v3/predictions/:id/result', simulate('wavespeed.result', async (req, res, failure) => {
+  const prediction = predictions.get(req.params.id);
+  if (!prediction) {
+    return res.status(404).json({ code: 404, message: 'Prediction not found' });
+  }
+
+  if (prediction.status === 'created' || prediction.status === 'processing') {
+    prediction.polls++;
+    if (failure?.taskStatus === 'failed') {
+      prediction.status = 'failed';
+      prediction.error = failure.message || 'Simulated task failure';
+    } else {
+      prediction.status = prediction.polls >= getScenario().pollsUntilComplete ? 'completed' : 'processing';
+    }
+  }
+
+  const outputs = prediction.status === 'completed'
+    ? [`${baseUrl(req)}/media/${prediction.kind === 'video' ? 'sample.mp4' : 'sample.png'}?id=${prediction.id}`]
+    : [];
+
+  res.json({
+    code: 200,
+    message: 'success',
+    data: {
+      id: prediction.id,
+      model: prediction.model,
+      status: prediction.status,
+      outputs,
+      error: prediction.error || ''
+    }
+  });
+}));
+
+wavespeed.post('/api/v3/predictions/:id/cancel', simulate('wavespeed.cancel', async (req, res) => {
+  const prediction = predictions.get(req.params.id);
+  if (!prediction) {
+    return res.status(404).json({ code: 404, message: 'Prediction not found' });
+  }
+  if (prediction.status === 'created' || prediction.status === 'processing') {
+    prediction.status = 'cancelled';
+  }
+  res.json({ code: 200, message: 'success', data: { id: prediction.id, status: prediction.status } });
+}));
+
+// Any model endpoint, e.g. /api/v3/bytedance/seedream-v4.5/edit or /api/v3/google/veo3.1/text-to-video
+wavespeed.post('/api/v3/*', simulate('wavespeed.submit', async (req, res) => {
+  const model = req.params[0];
+  const prediction = {
+    id: newId('pred'),
+    model,
+    kind: /video|animate/.test(model) ? 'video' : 'image',
+    status: 'created',
+    polls: 0,
+    error: null
+  };
+  predictions.set(prediction.id, prediction);
+
+  res.json({
+    code: 200,
+    message: 'success',
+    data: {
+      id: prediction.id,
+      model,
+      status: prediction.status,
+      outputs: [],
+      urls: { get: `${baseUrl(req)}/wavespeed/api/v3/predictions/${prediction.id}/result` }
+    }
+  });
+}));
+
+// ==========================================
+// GOOGLE AI STUDIO
+// ==========================================
+
+const google = express.Router();
+
+google.post('/upload/v1beta/files', simulate('google.upload', async (req, res) => {
+  // Drain the multipart body; its content is never inspected
+  req.resume();
+  await once(req, 'end');
+
+  const name = `files/${newId('sim')}`;
+  res.json({
+    file: {
+      name,
+      uri: `${baseUrl(req)}/google/v1beta/${name}`,
+      state: 'PROCESSING'
+    }
+  });
+}));
+
+google.get('/v1beta/files/:id', simulate('google.file', async (req, res) => {
+  res.json({ name: `files/${req.params.id}`, state: 'ACTIVE' });
+}));
+
+google.post('/v1beta/models/:modelAction', express.json({ limit: '50mb' }), simulate('google.generateContent', async (req, res) => {
+  if (!req.params.modelAction.endsWith(':generateContent')) {
+    return res.status(404).json({ error: { code: 404, message: 'Unknown method' } });
+  }
+
+  const image = await getSampleImage();
+  res.json({
+    candidates: [{
+      content: {
+        role: 'model',
+        parts: [
+          { text: 'Simulated image' },
+          { inlineData: { mimeType: 'image/png', data: image.toString('base64') } }
+        ]
+      },
+      finishReason: 'STOP'
+    }],
+    usageMetadata: {
+      promptTokenCount: countTokens(req.body?.contents?.[0]?.parts?.[0]?.text) + 516,
+      candidatesTokenCount: 1120,
+      totalTokenCount: countTokens(req.body?.contents?.[0]?.parts?.[0]?.text) + 1636
+    }
+  });
+}));
+
+// ==========================================
+// OPENROUTER
+// ==========================================
+
+const openrouter = express.Router();
+
+openrouter.post('/chat/completions', express.json({ limit: '50mb' }), simulate('openrouter.chat', async (req, res) => {
+  const hasImage = (req.body.messages || []).some(message =>
+    Array.isArray(message.content) && message.content.some(part => part.type === 'image_url')
+  );
+
+  const content = hasImage
+    ? 'A young woman with shoulder-length dark hair stands on a city sidewalk at golden hour, wearing a cream knit sweater and light-wash jeans. Half-body shot at eye level, 85mm portrait lens, shallow depth of field with soft bokeh.'
+    : 'A photorealistic half-body portrait of the persona on a city sidewalk at golden hour, cream knit sweater, light-wash jeans, 85mm lens, shallow depth of field, soft natural light.';
+
+  const promptTokens = (req.body.messages || []).reduce((sum, message) => sum + countTokens(
+    Array.isArray(message.content) ? message.content.filter(part => part.type === 'text').map(part => part.text).join(' ') : message.content
+  ), 0);
+
+  res.json({
+    id: newId('gen'),
+    model: req.body.model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: 'stop'
+    }],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: countTokens(content),
+      total_tokens: promptTokens + countTokens(content)
+    }
+  });
+}));
+
+// ==========================================
+// TIKWM
+// ==========================================
+
+const tikwm = express.Router();
+
+tikwm.get('/api/', simulate('tikwm.resolve', async (req, res) => {
+  if (!req.query.url) {
+    return res.json({ code: -1, msg: 'Url parsing is failed! Please check url.' });
+  }
+
+  res.json({
+    code: 0,
+    msg: 'success',
+    data: {
+      id: newId('tt'),
+      play: `${baseUrl(req)}/media/sample.mp4`,
+      wmplay: `${baseUrl(req)}/media/sample.mp4?wm=1`
+    }
+  });
+}));
+
+// ==========================================
+// APP
+// ==========================================
+
+export function createSimulatorApp() {
+  const app = express();
+
+  app.use('/wavespeed', wavespeed);
+  app.use('/google', google);
+  app.use('/openrouter', openrouter);
+  app.use('/tikwm', tikwm);
+
+  app.get('/media/sample.png', async (req, res) => {
+    res.type('image/png').send(await getSampleImage());
+  });
+  app.get('/media/sample.mp4', (req, res) => {
+    res.type('video/mp4').send(SAMPLE_VIDEO);
+  });
+
+  // Scenario control
+  app.get('/__simulator/scenario', (req, res) => {
+    res.json(getScenario());
+  });
+  app.post('/__simulator/scenario', express.json(), (req, res) => {
+    try {
+      res.json(setScenario(req.body));
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid scenario', message: error.message });
+    }
+  });
+  app.get('/__simulator/calls', (req, res) => {
+    res.json({ calls: callLog });
+  });
+  app.post('/__simulator/reset', (req, res) => {
+    predictions.clear();
+    callLog.length = 0;
+    res.json({ scenario: setScenario({}) });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found', path: req.originalUrl });
+  });
+
+  app.use((err, req, res, next) => {
+    console.error('[Simulator] Error:', err);
+    res.status(500).json({ code: 500, message: err.message });
+  });
+
+  return app;
+}
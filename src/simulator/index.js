@@ -0,0 +1,26 @@
+/**
+ * Provider simulator entry point (npm run simulator)
+ *
+ * Point the API server at it with PROVIDER_SIMULATOR_URL=http://localhost:4010
+ * Scenario: SIMULATOR_SCENARIO=./scenario.json or POST /__simulator/scenario (see scenario.js)
+ */
+
+import dotenv from 'dotenv';
+import { createSimulatorApp } from './app.js';
+import { loadScenarioFromEnv } from './scenario.js';
+
+dotenv.config();
+
+const PORT = process.env.SIMULATOR_PORT || 4010;
+
+try {
+  loadScenarioFromEnv();
+} catch (error) {
+  console.error(`[Simulator] Could not load SIMULATOR_SCENARIO:`, error.message);
+  process.exit(1);
+}
+
+createSimulatorApp().listen(PORT, '0.0.0.0', () => {
+  console.log(`[Simulator] Provider simulator listening on http://localhost:${PORT}`);
+  console.log(`[Simulator] Set PROVIDER_SIMULATOR_URL=http://localhost:${PORT} on the API server and worker`);
+});
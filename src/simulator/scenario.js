@@ -0,0 +1,101 @@
+/**
+ * SCENARIO.JS
+ * Scriptable latencies and failures for the provider simulator
+ *
+ * Scenario shape (SIMULATOR_SCENARIO file or POST /__simulator/scenario):
+ * {
+ *   "latencyMs": { "*": 50, "wavespeed.submit": 400 },   // per operation, "*" = default
+ *   "pollsUntilComplete": 2,                              // Wavespeed result polls before "completed"
+ *   "failures": [
+ *     { "op": "wavespeed.submit", "match": "seedream", "status": 503, "count": 2 },
+ *     { "op": "wavespeed.result", "taskStatus": "failed", "message": "NSFW content detected" },
+ *     { "op": "google.generateContent", "reset": true, "count": 1 }
+ *   ]
+ * }
+ *
+ * A failure applies to requests whose operation equals `op` and whose path contains `match` (optional).
+ * It answers with `status` (HTTP error), `taskStatus: "failed"` (Wavespeed task failure) or
+ * `reset: true` (connection dropped), `count` times - or forever when `count` is omitted.
+ */
+
+import fs from 'fs';
+
+export const SIMULATOR_OPS = [
+  'wavespeed.submit',
+  'wavespeed.result',
+  'wavespeed.cancel',
+  'google.upload',
+  'google.file',
+  'google.generateContent',
+  'openrouter.chat',
+  'tikwm.resolve'
+];
+
+const DEFAULT_SCENARIO = {
+  latencyMs: { '*': 0 },
+  pollsUntilComplete: 1,
+  failures: []
+};
+
+let scenario = normalizeScenario(DEFAULT_SCENARIO);
+
+/**
+ * Validate and copy a scenario so counters can be decremented safely
+ */
+export function normalizeScenario(input = {}) {
+  const failures = (input.failures || []).map((failure, index) => {
+    if (!SIMULATOR_OPS.includes(failure.op)) {
+      throw new Error(`failures[${index}].op must be one of: ${SIMULATOR_OPS.join(', ')}`);
+    }
+    if (!failure.status && !failure.reset && failure.taskStatus !== 'failed') {
+      throw new Error(`failures[${index}] needs status, reset or taskStatus: "failed"`);
+    }
+    return { ...failure, remaining: failure.count ?? null };
+  });
+
+  return {
+    latencyMs: { ...DEFAULT_SCENARIO.latencyMs, ...(input.latencyMs || {}) },
+    pollsUntilComplete: Math.max(1, parseInt(input.pollsUntilComplete ?? DEFAULT_SCENARIO.pollsUntilComplete, 10)),
+    failures
+  };
+}
+
+export function getScenario() {
+  return scenario;
+}
+
+export function setScenario(input) {
+  scenario = normalizeScenario(input);
+  return scenario;
+}
+
+/**
+ * Load the scenario named by SIMULATOR_SCENARIO (JSON file), if any
+ */
+export function loadScenarioFromEnv() {
+  const scenarioPath = process.env.SIMULATOR_SCENARIO;
+  if (!scenarioPath) {
+    return scenario;
+  }
+  return setScenario(JSON.parse(fs.readFileSync(scenarioPath, 'utf8')));
+}
+
+export function getLatency(op) {
+  return scenario.latencyMs[op] ?? scenario.latencyMs['*'] ?? 0;
+}
+
+/**
+ * Find (and consume) the failure scripted for this request, if any
+ */
+export function takeFailure(op, path) {
+  const failure = scenario.failures.find(candidate =>
+    candidate.op === op &&
+    (!candidate.match || path.includes(candidate.match)) &&
+    (candidate.remaining === null || candidate.remaining > 0)
+  );
+
+  if (failure && failure.remaining !== null) {
+    failure.remaining--;
+  }
+  return failure || null;
+}
@@ -0,0 +1,46 @@
+/**
+ * Cancellation helpers for AbortSignal-aware pipelines
+ */
+
+/**
+ * Thrown (as the abort reason) when a job is cancelled by the user
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.code = 'JOB_CANCELLED';
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * Promise-based sleep that rejects as soon as the signal aborts
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * True if the error was caused by the signal aborting
+ * (either the abort reason itself or fetch's AbortError)
+ */
+export function isAbortError(error, signal) {
+  if (signal?.aborted) return true;
+  return error?.name === 'AbortError' || error?.code === 'JOB_CANCELLED';
+}
@@ -0,0 +1,101 @@
+/**
+ * Error types shared across services
+ */
+
+/**
+ * Error returned by an external AI provider (Google, Wavespeed, ...)
+ * Carries the HTTP status so the retry policy can tell transient from permanent failures
+ */
+export class ProviderError extends Error {
+  constructor(message, { provider, status = null, code = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+  }
+
+  /**
+   * 429, 5xx and timeouts are worth retrying; other 4xx and task failures are not
+   */
+  get retryable() {
+    if (this.code === 'TIMEOUT') return true;
+    if (this.status === 429) return true;
+    return this.status !== null && this.status >= 500;
+  }
+}
+
+/**
+ * Request that passed schema validation but can't be served (e.g. no provider supports the settings)
+ * Routes turn it into a 400 VALIDATION_ERROR response
+ */
+export class ValidationError extends Error {
+  constructor(message, fields = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.fields = fields.length > 0 ? fields : [{ field: '(body)', message }];
+  }
+}
+
+/**
+ * Request rejected because a daily generation budget or the API key's daily quota is used up
+ * (see budget.service.js). Routes turn it into a 429 QUOTA_EXCEEDED response
+ */
+export class QuotaExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.details = details;
+  }
+}
+
+/**
+ * Response body for a QuotaExceededError
+ */
+export function quotaErrorBody(error) {
+  return {
+    error: error.details.scope === 'apiKey' ? 'Daily generation quota exceeded' : 'Generation budget exceeded',
+    code: error.code,
+    message: error.message,
+    ...error.details
+  };
+}
+
+/**
+ * Idempotency-Key sent again with a different request (see idempotency.service.js)
+ * Routes turn it into a 422 IDEMPOTENCY_KEY_REUSED response
+ */
+export class IdempotencyConflictError extends Error {
+  constructor(jobId) {
+    super('Idempotency-Key was already used for a different request');
+    this.name = 'IdempotencyConflictError';
+    this.code = 'IDEMPOTENCY_KEY_REUSED';
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * Response body for an IdempotencyConflictError
+ */
+export function idempotencyConflictBody(error) {
+  return {
+    error: 'Idempotency key reused',
+    code: error.code,
+    message: error.message,
+    jobId: error.jobId
+  };
+}
+
+/**
+ * Generated output blocked by a hard safety rule before upload (see safety.service.js)
+ * Carries the classification so the failed job still records the scores
+ */
+export class SafetyViolationError extends Error {
+  constructor(message, classification) {
+    super(message);
+    this.name = 'SafetyViolationError';
+    this.code = 'SAFETY_BLOCKED';
+    this.classification = classification;
+  }
+}
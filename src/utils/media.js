@@ -0,0 +1,158 @@
+/**
+ * Media file helpers
+ */
+
+/**
+ * Duration in seconds of an MP4/MOV file, read from the movie header ('mvhd' box)
+ * Returns null when the header can't be found (e.g. fragmented or truncated files)
+ *
+ * @param {Buffer} buffer - the whole file
+ */
+export function readMp4DurationSeconds(buffer) {
+  const offset = buffer.indexOf('mvhd');
+  if (offset < 0 || offset + 32 > buffer.length) {
+    return null;
+  }
+
+  const version = buffer.readUInt8(offset + 4);
+  const timescale = version === 1 ? buffer.readUInt32BE(offset + 24) : buffer.readUInt32BE(offset + 16);
+  const duration = version === 1 ? Number(buffer.readBigUInt64BE(offset + 28)) : buffer.readUInt32BE(offset + 20);
+
+  if (!timescale) {
+    return null;
+  }
+  return Math.round(duration / timescale * 10) / 10;
+}
+
+// ==========================================
+// MP4 BOXES
+// ==========================================
+
+// Boxes that carry metadata (titles, encoder, XMP, vendor tags), not media data
+const MP4_METADATA_BOXES = ['udta', 'meta', 'uuid'];
+
+// Boxes whose children are searched for metadata boxes
+const MP4_CONTAINER_BOXES = ['moov', 'trak'];
+
+export function isMp4(buffer) {
+  return buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp';
+}
+
+/**
+ * Boxes between start and end: [{ type, start, size, headerSize }]
+ * Stops at the first malformed box
+ */
+function listMp4Boxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset, size, headerSize });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Copy of an MP4/MOV file with its metadata boxes blanked out
+ * Boxes are turned into zero-filled 'free' boxes of the same size, so sample offsets stay valid
+ */
+export function stripMp4Metadata(buffer) {
+  const output = Buffer.from(buffer);
+
+  const blank = (start, end) => {
+    for (const box of listMp4Boxes(output, start, end)) {
+      if (MP4_METADATA_BOXES.includes(box.type)) {
+        output.write('free', box.start + 4, 'latin1');
+        output.fill(0, box.start + box.headerSize, box.start + box.size);
+      } else if (MP4_CONTAINER_BOXES.includes(box.type)) {
+        blank(box.start + box.headerSize, box.start + box.size);
+      }
+    }
+  };
+
+  blank(0, output.length);
+  return output;
+}
+
+/**
+ * Append a top-level 'uuid' box (readers skip unknown boxes, and nothing before it moves)
+ *
+ * @param {string} uuid - 32 hex characters
+ */
+export function appendMp4UuidBox(buffer, uuid, payload) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32BE(24 + payload.length, 0);
+  header.write('uuid', 4, 'latin1');
+  header.write(uuid, 8, 'hex');
+  return Buffer.concat([buffer, header, payload]);
+}
+
+/**
+ * Payload of the first top-level 'uuid' box with the given uuid, or null
+ */
+export function readMp4UuidBox(buffer, uuid) {
+  const box = listMp4Boxes(buffer).find(({ type, start, headerSize, size }) =>
+    type === 'uuid' &&
+    size >= headerSize + 16 &&
+    buffer.toString('hex', start + headerSize, start + headerSize + 16) === uuid
+  );
+
+  return box ? buffer.subarray(box.start + box.headerSize + 16, box.start + box.size) : null;
+}
+
+// ==========================================
+// EXIF
+// ==========================================
+
+/**
+ * ASCII value of an IFD0 tag (e.g. 0x010E ImageDescription) from an EXIF block, or null
+ * Accepts the block with or without its 'Exif\0\0' header
+ */
+export function readExifString(exif, tag) {
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  if (tiff.length < 8) {
+    return null;
+  }
+
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const readUInt16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const readUInt32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  const ifdOffset = readUInt32(4);
+  if (ifdOffset + 2 > tiff.length) {
+    return null;
+  }
+
+  const entries = readUInt16(ifdOffset);
+  for (let index = 0; index < entries; index++) {
+    const entry = ifdOffset + 2 + index * 12;
+    if (entry + 12 > tiff.length) break;
+
+    // Type 2 = ASCII; values of 4 bytes or less are stored inline
+    if (readUInt16(entry) !== tag || readUInt16(entry + 2) !== 2) continue;
+
+    const length = readUInt32(entry + 4);
+    const valueOffset = length <= 4 ? entry + 8 : readUInt32(entry + 8);
+    if (valueOffset + length > tiff.length) {
+      return null;
+    }
+    return tiff.toString('utf8', valueOffset, valueOffset + length).replace(/\0+$/, '');
+  }
+
+  return null;
+}
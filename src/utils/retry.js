@@ -0,0 +1,78 @@
+/**
+ * Retry with exponential backoff
+ */
+
+import { ProviderError } from './errors.js';
+import { sleep, isAbortError } from './abort.js';
+
+/**
+ * Read retry policy from environment
+ */
+export function getRetryPolicy() {
+  return {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '2000', 10),
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '30000', 10)
+  };
+}
+
+/**
+ * Decide whether an error is transient
+ * - ProviderError: 429, 5xx, timeouts
+ * - Network failures from fetch (connection reset, DNS, socket timeouts)
+ */
+export function isRetryableError(error) {
+  if (error instanceof ProviderError) {
+    return error.retryable;
+  }
+  if (error?.name === 'TimeoutError') return true;
+  if (error?.name === 'TypeError' && error.message === 'fetch failed') return true;
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error?.cause?.code || error?.code);
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt-1), capped, with +/-20% jitter
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+}
+
+/**
+ * Run fn until it succeeds, fails permanently, or attempts run out
+ *
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - aborts backoff waits
+ * @param {Function} [options.onRetry] - async ({ attempt, error, delayMs }) => void
+ * @param {Function} [options.onAttemptFailed] - async ({ attempt, error, willRetry }) => void
+ * @param {Function} [options.retryIf] - (error) => boolean, which errors to retry (default isRetryableError)
+ */
+export async function withRetry(fn, { signal, onRetry, onAttemptFailed, retryIf = isRetryableError, policy = getRetryPolicy() } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (isAbortError(error, signal)) throw error;
+
+      const willRetry = attempt < policy.maxAttempts && retryIf(error);
+      if (onAttemptFailed) await onAttemptFailed({ attempt, error, willRetry });
+      if (!willRetry) throw error;
+
+      const delayMs = backoffDelay(attempt, policy);
+      if (onRetry) await onRetry({ attempt, error, delayMs });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * onRetry handler that reports the wait as a 'retry' progress event
+ */
+export function reportRetry(onProgress, label) {
+  return ({ error, delayMs }) => onProgress('retry', {
+    message: `${label} failed (${error.message}), retrying in ${Math.round(delayMs / 1000)}s`,
+    delayMs
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * Structured reverse prompt ("scene") helpers
+ * The vision model describes the source image as a JSON object with one text field per SCENE_FIELDS key
+ */
+
+import { SCENE_FIELDS } from '../config/prompt-templates.js';
+
+// Section names the model sometimes uses instead of the keys (lowercased, letters only)
+const FIELD_ALIASES = {
+  subjects: 'subject',
+  clothingaccessories: 'clothing',
+  clothingandaccessories: 'clothing',
+  posebodylanguage: 'pose',
+  poseandbodylanguage: 'pose',
+  location: 'setting',
+  settinglocation: 'setting',
+  lightingatmosphere: 'lighting',
+  lightingandatmosphere: 'lighting',
+  composition: 'camera',
+  cameracomposition: 'camera',
+  cameraandcomposition: 'camera',
+  technicaldetails: 'technical',
+  aesthetic: 'style',
+  styleaesthetic: 'style',
+  styleandaesthetic: 'style'
+};
+
+function fieldName(key) {
+  const normalized = key.toLowerCase().replace(/[^a-z]/g, '');
+  if (SCENE_FIELDS[normalized]) return normalized;
+  return FIELD_ALIASES[normalized] || null;
+}
+
+/**
+ * Field value as plain text: lists are joined, nested objects become "key: value" pairs
+ */
+function fieldText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(fieldText).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, nested]) => `${key}: ${fieldText(nested)}`)
+      .join('; ');
+  }
+  return String(value).trim();
+}
+
+/**
+ * JSON text from a model reply: drops markdown fences and text around the object,
+ * and trailing commas
+ */
+function extractJson(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  if (start < 0) return null;
+  const end = unfenced.lastIndexOf('}');
+  const json = end > start ? unfenced.slice(start, end + 1) : unfenced.slice(start);
+  return json.replace(/,\s*([}\]])/g, '$1');
+}
+
+/**
+ * Parse and validate a vision model reply
+ *
+ * @returns {{ scene: Object|null, error: string|null }} scene has every SCENE_FIELDS key as a string;
+ *   error explains what was wrong (sent back to the model when re-asking)
+ */
+export function parseScene(text) {
+  const json = extractJson(text || '');
+  if (!json) {
+    return { scene: null, error: 'The reply did not contain a JSON object.' };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return { scene: null, error: `The reply was not valid JSON (${error.message}).` };
+  }
+
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { scene: null, error: 'The reply must be a single JSON object.' };
+  }
+
+  const scene = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    const field = fieldName(key);
+    if (field && !(field in scene)) {
+      scene[field] = fieldText(value);
+    }
+  }
+
+  const missing = Object.keys(SCENE_FIELDS).filter(field => !(field in scene));
+  if (missing.length > 0) {
+    return { scene: null, error: `The JSON object is missing: ${missing.join(', ')}.` };
+  }
+
+  return { scene: orderFields(scene), error: null };
+}
+
+function orderFields(scene) {
+  return Object.fromEntries(Object.keys(SCENE_FIELDS).map(field => [field, scene[field] ?? '']));
+}
+
+/**
+ * Scene written out as labelled lines, the {{reversePrompt}} given to the edit templates
+ */
+export function formatScene(scene) {
+  return Object.entries(SCENE_FIELDS)
+    .filter(([field]) => scene[field])
+    .map(([field, label]) => `${label}: ${scene[field]}`)
+    .join('\n');
+}
+
+/**
+ * Replace some fields of a scene (e.g. keep the pose, change the setting)
+ * Empty overrides are ignored
+ */
+export function mergeScene(scene, overrides = {}) {
+  const changes = Object.fromEntries(
+    Object.entries(overrides).filter(([field, value]) => SCENE_FIELDS[field] && value)
+  );
+  return orderFields({ ...scene, ...changes });
+}
@@ -0,0 +1,16 @@
+/**
+ * Generation seed helpers
+ */
+
+export const MAX_SEED = 2147483647;
+
+/**
+ * Concrete seed to send to a provider
+ * A missing seed or -1 (random) is replaced by a random one, so the exact value can be stored and replayed
+ */
+export function resolveSeed(seed) {
+  if (seed === undefined || seed === null || seed === -1) {
+    return Math.floor(Math.random() * MAX_SEED);
+  }
+  return seed;
+}
@@ -0,0 +1,142 @@
+/**
+ * Declarative request validation
+ *
+ * A schema is an object of field rules:
+ * {
+ *   sourceUrl: { type: 'string', required: true, format: 'url' },
+ *   variations: { type: 'integer', min: 1, max: 4, default: 1 },
+ *   settings: { type: 'object', properties: { ... } }
+ * }
+ *
+ * Rules: type (string | integer | number | boolean | array | object), required, default,
+ * enum, pattern, minLength, maxLength, min, max, minItems, maxItems, items, properties, format ('url'),
+ * check (value => message | null, for rules that depend on several fields)
+ */
+
+export const VALIDATION_ERROR_CODE = 'VALIDATION_ERROR';
+
+/**
+ * Error response body shared by every validated route
+ */
+export function validationErrorBody(fields) {
+  return {
+    error: 'Validation failed',
+    code: VALIDATION_ERROR_CODE,
+    fields
+  };
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check one value against a rule, pushing { field, message } entries onto errors
+ */
+function validateValue(rule, value, field, errors) {
+  if (rule.type && !typeMatches(rule.type, value)) {
+    errors.push({ field, message: `must be of type ${rule.type}` });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ field, message: `must be at least ${rule.minLength} characters` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: rule.patternMessage || `must match ${rule.pattern}` });
+    }
+    if (rule.format === 'url' && !isHttpUrl(value)) {
+      errors.push({ field, message: 'must be an http(s) URL' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `must be >= ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field, message: `must be <= ${rule.max}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push({ field, message: `must contain at least ${rule.minItems} item(s)` });
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push({ field, message: `must contain at most ${rule.maxItems} item(s)` });
+    }
+    if (rule.items) {
+      value.forEach((item, index) => validateValue(rule.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (rule.properties && typeMatches('object', value)) {
+    validateObject(rule.properties, value, `${field}.`, errors);
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) errors.push({ field, message });
+  }
+}
+
+/**
+ * Validate an object's fields in place, filling in defaults for missing ones
+ */
+function validateObject(schema, target, prefix, errors) {
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    let value = target[name];
+
+    if (value === undefined || value === null) {
+      if (rule.default !== undefined) {
+        target[name] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      } else if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+
+    validateValue(rule, value, field, errors);
+  }
+}
+
+/**
+ * Validate data against a schema
+ * Applies defaults to data in place and returns the list of failing fields (empty when valid)
+ */
+export function validate(schema, data) {
+  const errors = [];
+  if (!typeMatches('object', data)) {
+    errors.push({ field: '(body)', message: 'must be a JSON object' });
+    return errors;
+  }
+  validateObject(schema, data, '', errors);
+  return errors;
+}
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+
+// Load environment variables before services read them
+dotenv.config();
+
+const { startGenerationWorkers } = await import('./services/generation.service.js');
+
+/**
+ * Standalone queue worker process
+ * Run alongside the API with RUN_WORKERS_IN_PROCESS=false on the API side
+ */
+const workers = await startGenerationWorkers();
+
+console.log(`
+╔═══════════════════════════════════════════════════════╗
+║           AIVORA Queue Worker Started                 ║
+╠═══════════════════════════════════════════════════════╣
+║  PID: ${process.pid}
+║  Environment: ${process.env.NODE_ENV || 'development'}
+║  Time: ${new Date().toISOString()}
+╚═══════════════════════════════════════════════════════╝
+`);
+
+// Graceful shutdown: stop claiming, let in-flight jobs finish
+// Jobs still running when the container is killed are recovered via lease expiry
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[Worker] ${signal} received, finishing in-flight jobs...`);
+  await workers.stop();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,61 @@
+/**
+ * Shared test helpers: a provider simulator on a free port
+ */
+
+import { once } from 'events';
+import { createSimulatorApp } from '../src/simulator/app.js';
+
+/**
+ * Start the provider simulator (src/simulator) and point every provider base URL at it
+ *
+ * @returns {Promise<{ url: string, setScenario: Function, calls: Function, reset: Function, close: Function }>}
+ */
+export async function startSimulator() {
+  const server = createSimulatorApp().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.PROVIDER_SIMULATOR_URL = url;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body ?? {})
+    });
+    if (!response.ok) {
+      throw new Error(`Simulator ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+  };
+
+  return {
+    url,
+    setScenario: scenario => post('/__simulator/scenario', scenario),
+    reset: () => post('/__simulator/reset'),
+
+    /**
+     * Logged calls, optionally only one operation (e.g. 'wavespeed.submit')
+     */
+    async calls(op = null) {
+      const { calls } = await (await fetch(`${url}/__simulator/calls`)).json();
+      return op ? calls.filter(call => call.op === op) : calls;
+    },
+
+    async close() {
+      delete process.env.PROVIDER_SIMULATOR_URL;
+      server.closeAllConnections();
+      server.close();
+      await once(server, 'close');
+    }
+  };
+}
+
+/**
+ * Supabase clients are created on import and need keys; tests that never reach Supabase
+ * only need placeholders
+ */
+export function ensureSupabaseKeys() {
+  process.env.SUPABASE_MEDIA_VAULT_KEY ||= 'test';
+  process.env.SUPABASE_INFLUENCER_MGMT_KEY ||= 'test';
+}
@@ -0,0 +1,110 @@
+/**
+ * End to end: jobs created by the generation service, run by the queue workers against the
+ * provider simulator, recorded in Supabase
+ *
+ * Needs a Supabase test project (E2E_SUPABASE=true): the SUPABASE_* variables pointing at it,
+ * every migration-*.sql run, and face references for E2E_PERSONA (default arisa).
+ * Skipped otherwise. Jobs and media created by the run are left in the project.
+ */
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulator } from './helpers.js';
+
+const E2E = process.env.E2E_SUPABASE === 'true';
+const PERSONA = process.env.E2E_PERSONA || 'arisa';
+const JOB_TIMEOUT_MS = 60 * 1000;
+
+describe('generation pipeline', { skip: !E2E && 'set E2E_SUPABASE=true with a Supabase test project' }, () => {
+  let simulator;
+  let workers;
+  let generation;
+
+  before(async () => {
+    Object.assign(process.env, {
+      GOOGLE_API_KEY: process.env.GOOGLE_API_KEY || 'test',
+      WAVESPEED_API_KEY: process.env.WAVESPEED_API_KEY || 'test',
+      OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY || 'test',
+      WAVESPEED_POLL_INTERVAL_MS: '0',
+      RETRY_BASE_DELAY_MS: '10',
+      QUEUE_POLL_INTERVAL_MS: '100',
+      SAFETY_CLASSIFIER: 'none'
+    });
+
+    simulator = await startSimulator();
+    generation = await import('../src/services/generation.service.js');
+    workers = await generation.startGenerationWorkers();
+  });
+
+  after(async () => {
+    await workers?.stop();
+    await simulator?.close();
+  });
+
+  beforeEach(async () => {
+    await simulator.reset();
+    delete process.env.IMAGE_FALLBACK_CHAIN_SFW;
+  });
+
+  /**
+   * Create an image job from the simulator's sample image (unique per run, so it isn't deduplicated)
+   */
+  async function createImageJob() {
+    const { jobId } = await generation.handleImageGeneration({
+      platform: 'generic',
+      sourceUrl: `${simulator.url}/media/sample.png?run=${Date.now()}-${Math.random()}`,
+      shotType: 'close',
+      settings: {},
+      persona: PERSONA
+    });
+    return jobId;
+  }
+
+  async function waitForJob(jobId) {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const job = await generation.getJobStatus(jobId);
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS / 1000}s`);
+  }
+
+  test('an image job runs through the first provider and is recorded', async () => {
+    const job = await waitForJob(await createImageJob());
+
+    assert.equal(job.status, 'completed', job.errorMessage);
+    assert.ok(job.mediaGenerationId);
+    assert.ok(job.outputUrl);
+    assert.equal(job.attempts.length, 1);
+    assert.equal(job.attempts[0].status, 'succeeded');
+
+    const ops = (await simulator.calls()).map(call => call.op);
+    assert.ok(ops.includes('openrouter.chat'), 'reverse prompt and prompt building');
+    assert.ok(ops.includes('google.generateContent'), 'generation on the first provider');
+    assert.ok(!ops.includes('wavespeed.submit'), 'no fallback');
+  });
+
+  test('a Wavespeed task whose polling fails is resumed and the job completes', async () => {
+    process.env.IMAGE_FALLBACK_CHAIN_SFW = 'seedream-4.0-edit';
+    // Five failed status checks in a row make polling give up; the job resumes the same task with poll()
+    await simulator.setScenario({
+      pollsUntilComplete: 2,
+      failures: [{ op: 'wavespeed.result', status: 503, count: 5 }]
+    });
+
+    const job = await waitForJob(await createImageJob());
+
+    assert.equal(job.status, 'completed', job.errorMessage);
+    assert.deepEqual(job.attempts.map(attempt => attempt.status), ['failed', 'succeeded']);
+    assert.equal(job.providerRequest.provider, 'seedream-4.0-edit');
+
+    const submits = await simulator.calls('wavespeed.submit');
+    const results = await simulator.calls('wavespeed.result');
+    assert.equal(submits.length, 1, 'the task is submitted once');
+    assert.equal(results.length, 5 + 2);
+    assert.equal(new Set(results.map(call => call.path)).size, 1, 'every poll is for the same task');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Sample media served by the provider simulator
+ * Runs offline; the frame sampling test needs ffmpeg (FFMPEG_PATH or on the PATH)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { startSimulator } from './helpers.js';
+import { isMp4, readMp4DurationSeconds } from '../src/utils/media.js';
+
+const execFileAsync = promisify(execFile);
+
+let simulator;
+
+before(async () => {
+  simulator = await startSimulator();
+});
+
+after(async () => {
+  await simulator?.close();
+});
+
+test('the sample video is an MP4 with a 5 s movie header', async () => {
+  const response = await fetch(`${simulator.url}/media/sample.mp4`);
+  const video = Buffer.from(await response.arrayBuffer());
+
+  assert.equal(response.headers.get('content-type'), 'video/mp4');
+  assert.ok(isMp4(video));
+  assert.equal(readMp4DurationSeconds(video), 5);
+});
+
+test('the sample video is a real clip that safety checks can sample frames from', async t => {
+  const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+  const hasFfmpeg = await execFileAsync(ffmpegPath, ['-version']).then(() => true, () => false);
+  if (!hasFfmpeg) {
+    t.skip(`ffmpeg not found at ${ffmpegPath} (set FFMPEG_PATH)`);
+    return;
+  }
+
+  const { registerClassifier } = await import('../src/classifiers/index.js');
+  const { checkOutputSafety } = await import('../src/services/safety.service.js');
+
+  const classified = [];
+  registerClassifier({
+    id: 'test-frames',
+    name: 'Test classifier',
+    async classify(image) {
+      classified.push(image);
+      return { model: 'test', categories: { nsfw: 0.01, sfw: 0.99 } };
+    }
+  });
+  process.env.SAFETY_CLASSIFIER = 'test-frames';
+  process.env.SAFETY_VIDEO_FRAMES = '4';
+  t.after(() => {
+    delete process.env.SAFETY_CLASSIFIER;
+    delete process.env.SAFETY_VIDEO_FRAMES;
+  });
+
+  const video = await (await fetch(`${simulator.url}/media/sample.mp4`)).blob();
+  const classification = await checkOutputSafety(video);
+
+  assert.equal(classification.error, undefined);
+  assert.equal(classification.frames.length, 4);
+  assert.deepEqual(classification.frames.map(frame => frame.time), [0.6, 1.9, 3.1, 4.4]);
+  assert.equal(classification.nsfwLevel, 0);
+  // PNG frames
+  assert.ok(classified.every(image => image.subarray(1, 4).toString() === 'PNG'));
+});
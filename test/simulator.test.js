@@ -0,0 +1,89 @@
+/**
+ * Provider simulator: scripted failures and Wavespeed task resumption
+ * Runs offline (no Supabase, no provider credentials)
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulator, ensureSupabaseKeys } from './helpers.js';
+
+let simulator;
+let pollSeedreamTask;
+let ProviderError;
+
+before(async () => {
+  ensureSupabaseKeys();
+  process.env.WAVESPEED_POLL_INTERVAL_MS = '0';
+
+  ({ pollSeedreamTask } = await import('../src/services/wavespeed.service.js'));
+  ({ ProviderError } = await import('../src/utils/errors.js'));
+  simulator = await startSimulator();
+});
+
+after(async () => {
+  await simulator?.close();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+});
+
+async function submitPrediction(path) {
+  const response = await fetch(`${simulator.url}/wavespeed${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer test' },
+    body: JSON.stringify({ prompt: 'test' })
+  });
+  return (await response.json()).data.id;
+}
+
+test('scripted submit failures answer with the scripted status, then stop', async () => {
+  await simulator.setScenario({
+    failures: [{ op: 'wavespeed.submit', match: 'seedream', status: 503, count: 1 }]
+  });
+
+  const submit = () => fetch(`${simulator.url}/wavespeed/api/v3/bytedance/seedream-v4.0/edit`, {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test' }
+  });
+
+  assert.equal((await submit()).status, 503);
+  assert.equal((await submit()).status, 200);
+  assert.equal((await simulator.calls('wavespeed.submit')).length, 2);
+});
+
+test('a Wavespeed task whose polling fails is resumed, not submitted again', async () => {
+  // Five failed status checks in a row make polling give up (MAX_CONSECUTIVE_POLL_ERRORS)
+  await simulator.setScenario({
+    pollsUntilComplete: 2,
+    failures: [{ op: 'wavespeed.result', status: 503, count: 5 }]
+  });
+
+  const taskId = await submitPrediction('/api/v3/bytedance/seedream-v4.0/edit');
+
+  const error = await pollSeedreamTask(taskId, 'test').catch(error => error);
+  assert.ok(error instanceof ProviderError);
+  assert.equal(error.status, 503);
+  assert.equal(error.taskId, taskId);
+
+  const { imageUrl } = await pollSeedreamTask(taskId, 'test');
+  assert.match(imageUrl, new RegExp(`/media/sample\\.png\\?id=${taskId}$`));
+
+  const results = await simulator.calls('wavespeed.result');
+  assert.equal((await simulator.calls('wavespeed.submit')).length, 1);
+  assert.equal(results.length, 5 + 2);
+  assert.ok(results.every(call => call.path.includes(taskId)));
+});
+
+test('a failed Wavespeed task is a permanent provider error', async () => {
+  await simulator.setScenario({
+    failures: [{ op: 'wavespeed.result', taskStatus: 'failed', message: 'NSFW content detected', count: 1 }]
+  });
+
+  const taskId = await submitPrediction('/api/v3/bytedance/seedream-v4.0/edit');
+  const error = await pollSeedreamTask(taskId, 'test').catch(error => error);
+
+  assert.ok(error instanceof ProviderError);
+  assert.equal(error.message, 'NSFW content detected');
+  assert.equal(error.retryable, false);
+});